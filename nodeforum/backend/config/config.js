@@ -56,7 +56,112 @@ module.exports = {
   // JWT configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'nodeforum-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    // Lifetime of access tokens; clients renew them with their refresh token
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    // Sessions expire when their refresh token has not been used for this long
+    refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS, 10) || 30,
+    // The refresh token a refresh replaced is still accepted this long, without rotating it
+    // again, so browser tabs sharing a token can refresh at the same time
+    refreshGraceSeconds: parseInt(process.env.JWT_REFRESH_GRACE_SECONDS, 10) || 30
+  },
+  
+  // Two-factor authentication
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'NodeForum',
+    // Time allowed to enter the code after the password
+    challengeExpiresIn: '5m',
+    // Number of 30 second steps a code may be off by
+    window: 1,
+    recoveryCodeCount: 10
+  },
+  
+  // OpenID Connect single sign-on (see utils/oidc.js); enabled when issuer and clientId are set
+  oidc: {
+    issuer: process.env.OIDC_ISSUER || '',
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    // Leave empty for public clients, which rely on PKCE alone
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:5000'}/api/auth/oidc/callback`,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    // Create accounts for users without one, except in the invite registration mode; otherwise
+    // only existing accounts can be linked
+    autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+    // ID token claim listing the user's groups at the provider
+    groupClaim: process.env.OIDC_GROUP_CLAIM || 'groups',
+    // Provider group => forum group name, e.g. {"forum-admins":"administrator"}
+    groupMapping: JSON.parse(process.env.OIDC_GROUP_MAPPING || '{}')
+  },
+  
+  // Security settings
+  security: {
+    // Failed login tracking (see utils/loginThrottle.js)
+    loginThrottle: {
+      // 'memory' for a single server, 'database' to share lockouts between servers
+      store: process.env.LOGIN_THROTTLE_STORE || 'memory',
+      account: {
+        freeAttempts: 3,
+        lockoutAttempts: 10,
+        lockoutMinutes: 30
+      },
+      ip: {
+        freeAttempts: 10,
+        lockoutAttempts: 50,
+        lockoutMinutes: 60
+      },
+      // Wait after the first attempt beyond the free ones, doubled for every further failure
+      baseDelaySeconds: 1,
+      maxDelaySeconds: 15 * 60,
+      // Failures are forgotten after this long without a new one
+      resetAfterMinutes: 24 * 60
+    },
+    // Rules for new passwords (see utils/passwordPolicy.js)
+    passwordPolicy: {
+      minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+      // In bytes; bcrypt ignores anything longer
+      maxLength: 72,
+      // Character classes every password needs: 'lowercase', 'uppercase', 'digit', 'symbol'
+      requiredClasses: [],
+      // Number of different character classes a password needs
+      minCharacterClasses: 2,
+      // Reject passwords containing the username or email address
+      rejectPersonalInfo: true,
+      // Reject passwords found in blocklistFile (relative to the backend directory)
+      rejectCommon: true,
+      blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || 'data/common-passwords.txt'
+    },
+    // Email address changes: the new address confirms the change, the old one can undo it
+    emailChange: {
+      confirmExpiresInHours: 24,
+      revertExpiresInDays: 7
+    },
+    // Email login links (see utils/magicLinks.js)
+    magicLink: {
+      expiresInMinutes: 15,
+      // Links that can be requested per email address within windowMinutes
+      maxRequests: 3,
+      windowMinutes: 60
+    },
+    // Offline bot checks on public forms (see utils/antiBot.js); admins can change actions,
+    // difficulty and minFillSeconds at runtime through /api/challenge/settings
+    antiBot: {
+      // Forms that require a challenge
+      actions: {
+        register: true,
+        passwordReset: false
+      },
+      // Leading zero bits of the proof of work; each bit doubles the work
+      difficulty: 16,
+      // Forms submitted sooner after the challenge was issued are rejected
+      minFillSeconds: 3,
+      // Field hidden from people that has to stay empty
+      honeypotField: 'website',
+      expiresInMinutes: 30
+    },
+    // Admins acting as another user (see utils/impersonation.js)
+    impersonation: {
+      // Impersonation sessions cannot be refreshed and end after this long
+      expiresInMinutes: 60
+    }
   },
   
   // Application settings
@@ -65,11 +170,20 @@ module.exports = {
     env: process.env.NODE_ENV || 'development',
     baseUrl: process.env.BASE_URL || 'http://localhost:5000',
     frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
-    uploadDir: process.env.UPLOAD_DIR || 'uploads'
+    uploadDir: process.env.UPLOAD_DIR || 'uploads',
+    name: process.env.APP_NAME || 'NodeForum'
   },
   
   // Email configuration
   email: {
+    // How emails are delivered: 'smtp', or 'file' to write them to outboxDir
+    transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file'),
+    outboxDir: process.env.EMAIL_OUTBOX_DIR || 'mail-outbox',
+    // Locale of emails to users who have not chosen one
+    defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || 'en',
+    // Failed sends are retried with a growing delay until maxAttempts is reached
+    maxAttempts: 5,
+    retryDelayMinutes: 5,
     service: process.env.EMAIL_SERVICE || 'smtp',
     host: process.env.EMAIL_HOST || 'smtp.example.com',
     port: process.env.EMAIL_PORT || 587,
@@ -78,7 +192,7 @@ module.exports = {
       user: process.env.EMAIL_USER || '',
       pass: process.env.EMAIL_PASSWORD || ''
     },
-    from: process.env.EMAIL_FROM || 'NodeForum '
+    from: process.env.EMAIL_FROM || 'NodeForum <noreply@example.com>'
   },
   
   // Forum settings
@@ -99,8 +213,43 @@ module.exports = {
     // New user defaults
     defaultUserGroup: 'member',
     requireEmailVerification: true,
+    // 'open', 'invite' (an invite code is required) or 'approval' (new accounts wait for an admin)
+    // Admins can change it at runtime (see utils/registration.js); this is the initial value
+    registrationMode: process.env.REGISTRATION_MODE || 'open',
     
     // Private messaging
     maxPMsPerUser: 100
+  },
+  
+  // Moderation
+  moderation: {
+    // Warnings (see utils/warnings.js); admins can change types and thresholds at runtime
+    // through /api/warnings/settings
+    warnings: {
+      // Types moderators choose from, with the points they give and the days they count for
+      // (null: forever); moderators may change both for a single warning
+      types: {
+        spam: { label: 'Spam', points: 2, expiresInDays: 30 },
+        offTopic: { label: 'Off-topic posting', points: 1, expiresInDays: 14 },
+        offensive: { label: 'Offensive language', points: 3, expiresInDays: 60 },
+        harassment: { label: 'Harassment', points: 5, expiresInDays: 90 },
+        other: { label: 'Other', points: 1, expiresInDays: 30 }
+      },
+      // Consequences applied when a warning takes a user's active points to a threshold:
+      //   moderatePosts - new posts wait for approval by a moderator for `days`
+      //   ban - banned for `days`, permanently without
+      //   changeGroup - added to the group `groupId` for `days`, permanently without
+      thresholds: [
+        { points: 5, action: 'moderatePosts', days: 7 },
+        { points: 10, action: 'ban', days: 7 },
+        { points: 20, action: 'ban' }
+      ]
+    }
+  },
+  
+  // Background jobs
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    interval: parseInt(process.env.JOBS_INTERVAL, 10) || 60 * 1000 // 1 minute
   }
 };
\ No newline at end of file
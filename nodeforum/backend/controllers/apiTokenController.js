@@ -0,0 +1,109 @@
+/**
+ * API Token Controller
+ * Handles personal access tokens of the current user
+ */
+const { ApiToken } = require('../models');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { SCOPES, createApiToken } = require('../utils/apiTokens');
+
+// Tokens a user can have at once
+const MAX_TOKENS_PER_USER = 20;
+
+/**
+ * Get the current user's tokens
+ */
+exports.getTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.findAll({
+      where: { userId: req.user.id, revokedAt: null },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      tokens,
+      scopes: SCOPES
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a token
+ * The token is only returned in this response; afterwards only its prefix is known.
+ */
+exports.createToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      errors.push({ field: 'name', message: 'Name is required and cannot exceed 100 characters' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push({ field: 'scopes', message: 'At least one scope is required' });
+    } else {
+      const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        errors.push({ field: 'scopes', message: `Unknown scopes: ${unknown.join(', ')}` });
+      }
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+      errors.push({ field: 'expiresInDays', message: 'Expiry must be a positive number of days' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', errors);
+    }
+
+    const tokenCount = await ApiToken.count({ where: { userId: req.user.id, revokedAt: null } });
+    if (tokenCount >= MAX_TOKENS_PER_USER) {
+      throw new ValidationError(`You cannot have more than ${MAX_TOKENS_PER_USER} API tokens`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays) {
+      expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+    }
+
+    const { apiToken, token } = await createApiToken(req.user, {
+      name: name.trim(),
+      scopes,
+      expiresAt
+    });
+
+    res.status(201).json({
+      message: 'API token created. Copy it now, it will not be shown again.',
+      token,
+      apiToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a token
+ */
+exports.revokeToken = async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!apiToken) {
+      throw new NotFoundError('API token not found');
+    }
+
+    apiToken.revokedAt = new Date();
+    await apiToken.save();
+
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
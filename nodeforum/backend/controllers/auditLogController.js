@@ -0,0 +1,29 @@
+/**
+ * Audit Log Controller
+ * Handles reading the log of administrative and moderation actions
+ */
+const { getAuditLog, getAuditLogEntry } = require('../utils/auditLog');
+
+/**
+ * Get log entries, newest first
+ * Filters: actorId, action (comma-separated, "thread.*" for all thread actions), targetType,
+ * targetId, from, to; paginated with page and limit.
+ */
+exports.getEntries = async (req, res, next) => {
+  try {
+    res.json(await getAuditLog(req.query));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a log entry
+ */
+exports.getEntry = async (req, res, next) => {
+  try {
+    res.json(await getAuditLogEntry(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,68 +1,300 @@
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { Op } = require('sequelize');
+const { User, UserGroup, Session } = require('../models');
+const { attachPermissions, getGrantedPermissions } = require('../utils/permissions');
+const { refreshSession, revokeSession } = require('../utils/sessions');
+const { createChallengeToken, isTwoFactorRequired } = require('../utils/twoFactor');
+const { AuthenticationError, AuthorizationError, BannedError, RateLimitError, ValidationError } = require('../utils/errors');
+const { unlockWithToken } = require('../utils/loginThrottle');
+const { registerUser, loginUser, completeLogin } = require('../utils/authentication');
+const { requestMagicLink, consumeMagicLink } = require('../utils/magicLinks');
+const { getPasswordPolicy } = require('../utils/passwordPolicy');
+const { createBannedError } = require('../utils/bans');
+const oidc = require('../utils/oidc');
+const impersonation = require('../utils/impersonation');
+const config = require('../config/config');
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
+// Describe a session for its owner
+const formatSession = (session, currentSession) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSession && session.id === currentSession.id
+});
+
+// Send an error from the authentication service in this controller's response format
+const sendAuthError = (res, error) => {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+  }
+
+  if (error instanceof BannedError) {
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+      ban: error.ban
+    });
+  }
+
+  if (error instanceof AuthenticationError) {
+    return res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error instanceof AuthorizationError) {
+    return res.status(403).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error instanceof RateLimitError) {
+    return res.status(429).set('Retry-After', String(error.retryAfter)).json({
+      success: false,
+      message: error.message,
+      retryAfter: error.retryAfter
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
   });
 };
 
 // @desc    Register a new user
-// @route   POST /api/auth/register
+// @route   POST /api/auth/register (alias: POST /api/users/register)
 // @access  Public
+// Accounts that need to verify their email address get no session until they have
+// When enabled, the body has to carry a solved anti-bot challenge (see GET /api/challenge/register)
 exports.register = async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const result = await registerUser(req.body, req);
 
-    // Check if user already exists
-    const userExists = await User.findOne({
-      where: {
-        email
-      }
+    res.status(201).json({
+      success: true,
+      ...result
     });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
 
-    if (userExists) {
-      return res.status(400).json({
-        success: false,
-        message: 'User with that email already exists'
+// @desc    Get the rules new passwords have to follow
+// @route   GET /api/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    policy: getPasswordPolicy()
+  });
+};
+
+// @desc    Login user with username or email
+// @route   POST /api/auth/login (alias: POST /api/users/login)
+// @access  Public
+exports.login = async (req, res) => {
+  try {
+    const { login, username, email, password } = req.body;
+
+    const result = await loginUser({ login: login || username || email, password }, req);
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// @desc    Email a one-time login link
+// @route   POST /api/auth/magic-link
+// @access  Public
+// The response contains a browserKey the client must keep and send when the link is used
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const browserKey = await requestMagicLink(req.body.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'If your email is registered, you will receive a login link',
+      browserKey
+    });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// @desc    Log in with a login link
+// @route   POST /api/auth/magic-link/login
+// @access  Public
+exports.magicLinkLogin = async (req, res) => {
+  try {
+    const { token, browserKey } = req.body;
+
+    const user = await consumeMagicLink(token, browserKey);
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user)
       });
     }
 
-    // Check if username is taken
-    const usernameExists = await User.findOne({
-      where: {
-        username
-      }
+    // Owning the email address is enough to lift a lockout from failed password attempts
+    const result = await completeLogin(user, req);
+
+    res.status(200).json({
+      success: true,
+      ...result
     });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
 
-    if (usernameExists) {
-      return res.status(400).json({
+// Cookie binding a single sign-on login to the browser that started it
+const oidcCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: config.app.env === 'production',
+  path: '/api/auth/oidc'
+};
+
+// @desc    Start single sign-on by redirecting to the identity provider
+// @route   GET /api/auth/oidc/login
+// @access  Public
+exports.oidcLogin = async (req, res) => {
+  try {
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({
         success: false,
-        message: 'Username is already taken'
+        message: 'Single sign-on is not enabled'
       });
     }
 
-    // Create user
-    const user = await User.create({
-      username,
-      email,
-      password
+    // Only return to paths on the frontend
+    const { returnTo } = req.query;
+    const safeReturnTo = typeof returnTo === 'string' && /^\/(?![\/\\])/.test(returnTo) ? returnTo : '/';
+
+    const { url, browserId } = await oidc.createAuthorizationRequest(safeReturnTo);
+
+    res.cookie(oidc.STATE_COOKIE, browserId, { ...oidcCookieOptions, maxAge: oidc.STATE_LIFETIME });
+    res.redirect(url);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
     });
+  }
+};
 
-    // Generate token
-    const token = generateToken(user.id);
+// @desc    Finish single sign-on when the identity provider redirects back
+// @route   GET /api/auth/oidc/callback
+// @access  Public
+// Redirects to the frontend's /login/sso page with the result in the URL fragment, which is
+// never sent to a server: token and refreshToken, a two-factor challengeToken, or an error
+exports.oidcCallback = async (req, res) => {
+  const finish = (params) => {
+    res.clearCookie(oidc.STATE_COOKIE, oidcCookieOptions);
+    res.redirect(`${config.app.frontendUrl}/login/sso#${new URLSearchParams(params).toString()}`);
+  };
 
-    res.status(201).json({
+  try {
+    if (!oidc.isEnabled()) {
+      throw new AuthenticationError('Single sign-on is not enabled');
+    }
+
+    if (req.query.error) {
+      throw new AuthenticationError(req.query.error_description || 'Login was cancelled');
+    }
+
+    const { claims, returnTo } = await oidc.handleCallback({
+      code: req.query.code,
+      state: req.query.state,
+      browserId: oidc.getStateCookie(req)
+    });
+
+    const { user } = await oidc.findOrCreateUser(claims, req);
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Your account is not active');
+    }
+
+    if (user.isBanActive()) {
+      throw createBannedError(user);
+    }
+
+    if (!user.isApproved) {
+      throw new AuthenticationError('Your account is waiting for approval by an administrator.');
+    }
+
+    await oidc.syncGroups(user, claims);
+
+    // Accounts with two-factor authentication still need their second factor
+    if (user.twoFactorEnabled) {
+      return finish({
+        twoFactorRequired: 'true',
+        challengeToken: createChallengeToken(user),
+        returnTo
+      });
+    }
+
+    const { token, refreshToken } = await completeLogin(user, req);
+
+    finish({ token, refreshToken, returnTo });
+  } catch (error) {
+    finish({
+      error: error instanceof AuthenticationError || error instanceof AuthorizationError ? error.message : 'Single sign-on failed'
+    });
+  }
+};
+
+// @desc    Get current logged in user
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, {
+      attributes: ['id', 'username', 'email', 'groupId', 'avatar', 'signature', 'title', 'postCount', 'twoFactorEnabled', 'createdAt'],
+      include: [{
+        model: UserGroup,
+        as: 'group',
+        attributes: ['id', 'name', 'displayName', 'color']
+      }]
+    });
+
+    // Expose effective permissions so the client can show or hide features
+    await attachPermissions(user);
+    const userData = user.toJSON();
+    userData.groups = user.groups.map(group => ({
+      id: group.id,
+      name: group.name,
+      displayName: group.displayName
+    }));
+    userData.permissions = getGrantedPermissions(user.can);
+    userData.twoFactorRequired = isTwoFactorRequired(user);
+    // Lets the client show who is acting as the user
+    userData.impersonator = req.impersonator
+      ? { id: req.impersonator.id, username: req.impersonator.username }
+      : null;
+
+    res.status(200).json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar
-      }
+      user: userData
     });
   } catch (error) {
     res.status(500).json({
@@ -73,54 +305,93 @@ exports.register = async (req, res) => {
   }
 };
 
-// @desc    Login user
-// @route   POST /api/auth/login
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
 // @access  Public
-exports.login = async (req, res) => {
+exports.refresh = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { token, refreshToken } = await refreshSession(req.body.refreshToken, req);
 
-    // Check if user exists
-    const user = await User.findOne({
-      where: {
-        email
-      }
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
     });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout (alias: POST /api/users/logout)
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    // Requests made with an API token have no session to end
+    if (req.impersonator) {
+      await impersonation.stopImpersonation(req);
+    } else if (req.authSession) {
+      await revokeSession(req.authSession);
     }
 
-    // Check if password matches
-    const isMatch = await user.comparePassword(password);
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
 
-    if (!isMatch) {
-      return res.status(401).json({
+// @desc    Stop acting as another user
+// @route   DELETE /api/auth/impersonation
+// @access  Private
+// The client goes back to the admin's own session, which was never touched
+exports.stopImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'You are not impersonating a user'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    await impersonation.stopImpersonation(req);
 
-    // Generate token
-    const token = generateToken(user.id);
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastSeenAt', 'DESC']]
+    });
 
     res.status(200).json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar
-      }
+      sessions: sessions.map(session => formatSession(session, req.authSession))
     });
   } catch (error) {
     res.status(500).json({
@@ -131,18 +402,60 @@ exports.login = async (req, res) => {
   }
 };
 
-// @desc    Get current logged in user
-// @route   GET /api/auth/me
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
 // @access  Private
-exports.getMe = async (req, res) => {
+exports.deleteSession = async (req, res) => {
   try {
-    const user = await User.findByPk(req.user.id, {
-      attributes: ['id', 'username', 'email', 'role', 'avatar', 'signature', 'title', 'postCount', 'createdAt']
+    const session = await Session.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
     });
+  }
+};
+
+// @desc    Revoke all of the current user's sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const [count] = await Session.update(
+      { revokedAt: new Date() },
+      {
+        where: {
+          userId: req.user.id,
+          revokedAt: null,
+          id: { [Op.ne]: req.authSession.id }
+        }
+      }
+    );
 
     res.status(200).json({
       success: true,
-      user
+      message: 'All other sessions revoked',
+      revoked: count
     });
   } catch (error) {
     res.status(500).json({
@@ -151,4 +464,30 @@ exports.getMe = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Unlock an account locked after failed logins
+// @route   GET /api/auth/unlock/:token
+// @access  Public
+exports.unlockAccount = async (req, res) => {
+  try {
+    const user = await unlockWithToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been unlocked. You can log in again.'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
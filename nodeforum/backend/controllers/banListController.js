@@ -0,0 +1,45 @@
+/**
+ * Ban List Controller
+ * Handles the IP address, email and username ban lists
+ */
+const { getEntries, addEntry, removeEntry } = require('../utils/banLists');
+
+/**
+ * Get the ban list entries, optionally of one list
+ */
+exports.getEntries = async (req, res, next) => {
+  try {
+    res.json(await getEntries({ type: req.query.type }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an entry to a ban list
+ */
+exports.addEntry = async (req, res, next) => {
+  try {
+    const entry = await addEntry(req.body, req.user, req);
+    
+    res.status(201).json({
+      message: 'Ban list entry added',
+      entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an entry from a ban list
+ */
+exports.removeEntry = async (req, res, next) => {
+  try {
+    await removeEntry(req.params.id, req.user, req);
+    
+    res.json({ message: 'Ban list entry removed' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Challenge Controller
+ * Issues anti-bot challenges for public forms and manages their settings
+ */
+const { ValidationError } = require('../utils/errors');
+const {
+  CHALLENGE_ACTIONS,
+  getAntiBotSettings,
+  updateAntiBotSettings,
+  isChallengeEnabled,
+  createChallenge
+} = require('../utils/antiBot');
+
+/**
+ * Get a challenge for a form
+ * Forms without a challenge get { enabled: false } and can be sent as they are.
+ */
+exports.getChallenge = async (req, res, next) => {
+  try {
+    const { action } = req.params;
+
+    if (!CHALLENGE_ACTIONS.includes(action)) {
+      throw new ValidationError(`Action must be one of: ${CHALLENGE_ACTIONS.join(', ')}`);
+    }
+
+    if (!await isChallengeEnabled(action)) {
+      return res.json({ enabled: false });
+    }
+
+    res.json({
+      enabled: true,
+      ...await createChallenge(action)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the anti-bot settings
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    res.json(await getAntiBotSettings());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change which forms require a challenge, the difficulty or the minimum fill time
+ */
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const settings = await updateAntiBotSettings(req.body, req.user);
+
+    res.json({
+      message: 'Anti-bot settings updated',
+      settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,9 +2,47 @@
  * Forum Controller
  * Handles all forum-related operations including categories, forums, and subforums
  */
-const { Forum, Category, Thread, Post, User, sequelize } = require('../models');
+const { Forum, Category, Thread, Post, User, UserGroup, ForumPermission, ForumModerator, sequelize } = require('../models');
 const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
-const { validateForumData } = require('../utils/validators');
+const { validateForumData, validateForumPermissionData } = require('../utils/validators');
+const { resolvePermissionKey, loadForumAccess, getForumChain } = require('../utils/permissions');
+const { logAction, snapshot } = require('../utils/auditLog');
+
+// Fields recorded in the audit log when forums and categories change
+const FORUM_FIELDS = ['name', 'description', 'categoryId', 'parentId', 'displayOrder'];
+const CATEGORY_FIELDS = ['name', 'description', 'displayOrder'];
+
+/**
+ * Get moderators per forum, including moderators inherited from parent forums
+ * @returns {Promise<Function>} Returns the moderator list for a forum ID
+ */
+const getModeratorLookup = async () => {
+  const [access, moderators] = await Promise.all([
+    loadForumAccess(),
+    ForumModerator.findAll({
+      include: [{
+        model: User,
+        attributes: ['id', 'username', 'avatar']
+      }, {
+        model: UserGroup,
+        attributes: ['id', 'name', 'displayName', 'color']
+      }],
+      order: [['createdAt', 'ASC']]
+    })
+  ]);
+  
+  return (forumId) => getForumChain(access, forumId).flatMap(currentId =>
+    moderators
+      .filter(moderator => moderator.forumId === currentId)
+      .map(moderator => ({
+        id: moderator.id,
+        type: moderator.userId ? 'user' : 'group',
+        user: moderator.User,
+        group: moderator.UserGroup,
+        inheritedFrom: currentId !== forumId ? currentId : null
+      }))
+  );
+};
 
 /**
  * Get all categories with forums and subforums
@@ -47,6 +85,22 @@ exports.getAllCategories = async (req, res, next) => {
       ]
     });
 
+    const getModerators = await getModeratorLookup();
+
+    // Hide forums the current user is not allowed to see and list each forum's moderators
+    for (const category of categories) {
+      category.dataValues.forums = (category.forums || []).filter(forum => req.can('viewForums', forum));
+
+      for (const forum of category.dataValues.forums) {
+        forum.dataValues.moderators = getModerators(forum.id);
+        forum.dataValues.subforums = (forum.subforums || []).filter(subforum => req.can('viewForums', subforum));
+
+        for (const subforum of forum.dataValues.subforums) {
+          subforum.dataValues.moderators = getModerators(subforum.id);
+        }
+      }
+    }
+
     res.json(categories);
   } catch (error) {
     next(error);
@@ -75,6 +129,14 @@ exports.getForumById = async (req, res, next) => {
       throw new NotFoundError('Forum not found');
     }
     
+    // Check if user has permission to view this forum
+    if (!req.can('viewForums', forum)) {
+      throw new AuthorizationError('You do not have permission to view this forum');
+    }
+    
+    forum.dataValues.subforums = (forum.subforums || []).filter(subforum => req.can('viewForums', subforum));
+    forum.dataValues.moderators = (await getModeratorLookup())(forum.id);
+    
     // Get threads for this forum with pagination
     const { count, rows: threads } = await Thread.findAndCountAll({
       where: { forumId: id },
@@ -132,6 +194,15 @@ exports.createCategory = async (req, res, next) => {
       displayOrder: displayOrder || 0
     });
     
+    await logAction({
+      actor: req.user,
+      action: 'category.create',
+      targetType: 'category',
+      targetId: category.id,
+      after: snapshot(category, CATEGORY_FIELDS),
+      reason: req.body.reason
+    }, req);
+    
     res.status(201).json(category);
   } catch (error) {
     next(error);
@@ -180,6 +251,15 @@ exports.createForum = async (req, res, next) => {
       displayOrder: displayOrder || 0
     });
     
+    await logAction({
+      actor: req.user,
+      action: 'forum.create',
+      targetType: 'forum',
+      targetId: forum.id,
+      after: snapshot(forum, FORUM_FIELDS),
+      reason: req.body.reason
+    }, req);
+    
     res.status(201).json(forum);
   } catch (error) {
     next(error);
@@ -211,6 +291,8 @@ exports.updateForum = async (req, res, next) => {
       throw new ValidationError('Validation failed', validationErrors);
     }
     
+    const before = snapshot(forum, FORUM_FIELDS);
+    
     // Update forum
     await forum.update({
       name: name || forum.name,
@@ -220,6 +302,16 @@ exports.updateForum = async (req, res, next) => {
       displayOrder: displayOrder || forum.displayOrder
     });
     
+    await logAction({
+      actor: req.user,
+      action: 'forum.update',
+      targetType: 'forum',
+      targetId: forum.id,
+      before,
+      after: snapshot(forum, FORUM_FIELDS),
+      reason: req.body.reason
+    }, req);
+    
     res.json(forum);
   } catch (error) {
     next(error);
@@ -273,6 +365,16 @@ exports.deleteForum = async (req, res, next) => {
     // Delete the forum
     await forum.destroy({ transaction });
     
+    await logAction({
+      actor: req.user,
+      action: 'forum.delete',
+      targetType: 'forum',
+      targetId: forum.id,
+      before: snapshot(forum, FORUM_FIELDS),
+      reason: req.body.reason,
+      details: { threads: threads.length }
+    }, req, { transaction });
+    
     await transaction.commit();
     
     res.status(200).json({ message: 'Forum deleted successfully' });
@@ -301,6 +403,8 @@ exports.updateCategory = async (req, res, next) => {
     
     const { name, description, displayOrder } = req.body;
     
+    const before = snapshot(category, CATEGORY_FIELDS);
+    
     // Update category
     await category.update({
       name: name || category.name,
@@ -308,6 +412,16 @@ exports.updateCategory = async (req, res, next) => {
       displayOrder: displayOrder || category.displayOrder
     });
     
+    await logAction({
+      actor: req.user,
+      action: 'category.update',
+      targetType: 'category',
+      targetId: category.id,
+      before,
+      after: snapshot(category, CATEGORY_FIELDS),
+      reason: req.body.reason
+    }, req);
+    
     res.json(category);
   } catch (error) {
     next(error);
@@ -347,6 +461,15 @@ exports.deleteCategory = async (req, res, next) => {
     // Delete the category
     await category.destroy({ transaction });
     
+    await logAction({
+      actor: req.user,
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: category.id,
+      before: snapshot(category, CATEGORY_FIELDS),
+      reason: req.body.reason
+    }, req, { transaction });
+    
     await transaction.commit();
     
     res.status(200).json({ message: 'Category deleted successfully' });
@@ -354,4 +477,215 @@ exports.deleteCategory = async (req, res, next) => {
     await transaction.rollback();
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get permission overrides for a forum
+ */
+exports.getForumPermissions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const forum = await Forum.findByPk(id);
+    if (!forum) {
+      throw new NotFoundError('Forum not found');
+    }
+    
+    const permissions = await ForumPermission.findAll({
+      where: { forumId: id },
+      include: [{
+        model: UserGroup,
+        attributes: ['id', 'name', 'displayName']
+      }],
+      order: [['groupId', 'ASC'], ['permission', 'ASC']]
+    });
+    
+    res.json({
+      forum: {
+        id: forum.id,
+        name: forum.name,
+        parentId: forum.parentId
+      },
+      permissions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a permission override for a group in a forum
+ * A value of 'inherit' removes the override so the parent forum or group permissions apply again.
+ */
+exports.setForumPermission = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { groupId, value } = req.body;
+    
+    // Validate permission data
+    const validationErrors = validateForumPermissionData(req.body);
+    if (validationErrors.length > 0) {
+      throw new ValidationError('Validation failed', validationErrors);
+    }
+    
+    const forum = await Forum.findByPk(id);
+    if (!forum) {
+      throw new NotFoundError('Forum not found');
+    }
+    
+    const group = await UserGroup.findByPk(groupId);
+    if (!group) {
+      throw new NotFoundError('User group not found');
+    }
+    
+    const permission = resolvePermissionKey(req.body.permission);
+    const where = { forumId: id, groupId, permission };
+    
+    const existing = await ForumPermission.findOne({ where });
+    const previousValue = existing ? existing.value : 'inherit';
+    
+    const logChange = async () => {
+      if (previousValue === value) {
+        return;
+      }
+      
+      await logAction({
+        actor: req.user,
+        action: 'forum.setPermission',
+        targetType: 'forum',
+        targetId: forum.id,
+        before: { groupId: group.id, permission, value: previousValue },
+        after: { groupId: group.id, permission, value },
+        reason: req.body.reason
+      }, req);
+    };
+    
+    if (value === 'inherit') {
+      await ForumPermission.destroy({ where });
+      await logChange();
+      return res.json({ message: 'Forum permission override removed' });
+    }
+    
+    const [entry, created] = await ForumPermission.findOrCreate({
+      where,
+      defaults: { ...where, value }
+    });
+    
+    if (!created && entry.value !== value) {
+      entry.value = value;
+      await entry.save();
+    }
+    
+    await logChange();
+    
+    res.status(created ? 201 : 200).json(entry);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get moderators of a forum, including those inherited from parent forums
+ */
+exports.getForumModerators = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const forum = await Forum.findByPk(id);
+    if (!forum) {
+      throw new NotFoundError('Forum not found');
+    }
+    
+    if (!req.can('viewForums', forum)) {
+      throw new AuthorizationError('You do not have permission to view this forum');
+    }
+    
+    const getModerators = await getModeratorLookup();
+    
+    res.json(getModerators(forum.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a user or a user group as moderator of a forum and its subforums
+ */
+exports.addForumModerator = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { userId, groupId } = req.body;
+    
+    if (!userId === !groupId) {
+      throw new ValidationError('Either userId or groupId is required');
+    }
+    
+    const forum = await Forum.findByPk(id);
+    if (!forum) {
+      throw new NotFoundError('Forum not found');
+    }
+    
+    if (userId && !(await User.findByPk(userId))) {
+      throw new NotFoundError('User not found');
+    }
+    
+    if (groupId && !(await UserGroup.findByPk(groupId))) {
+      throw new NotFoundError('User group not found');
+    }
+    
+    const where = userId ? { forumId: id, userId } : { forumId: id, groupId };
+    const [moderator, created] = await ForumModerator.findOrCreate({
+      where,
+      defaults: where
+    });
+    
+    if (!created) {
+      throw new ValidationError('Already a moderator of this forum');
+    }
+    
+    await logAction({
+      actor: req.user,
+      action: 'forum.addModerator',
+      targetType: 'forum',
+      targetId: forum.id,
+      after: snapshot(moderator, ['userId', 'groupId']),
+      reason: req.body.reason
+    }, req);
+    
+    res.status(201).json(moderator);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a moderator assignment from a forum
+ */
+exports.removeForumModerator = async (req, res, next) => {
+  try {
+    const { id, moderatorId } = req.params;
+    
+    const moderator = await ForumModerator.findOne({
+      where: { id: moderatorId, forumId: id }
+    });
+    
+    if (!moderator) {
+      throw new NotFoundError('Forum moderator not found');
+    }
+    
+    await moderator.destroy();
+    
+    await logAction({
+      actor: req.user,
+      action: 'forum.removeModerator',
+      targetType: 'forum',
+      targetId: id,
+      before: snapshot(moderator, ['userId', 'groupId']),
+      reason: req.body.reason
+    }, req);
+    
+    res.status(200).json({ message: 'Forum moderator removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,13 +2,37 @@
  * Post Controller
  * Handles all post-related operations
  */
+const { Op } = require('sequelize');
 const { Post, Thread, User, Forum, sequelize } = require('../models');
 const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
 const { sanitizeHtml } = require('../utils/helpers');
 const { validatePostData } = require('../utils/validators');
+const { createReport, getModerationScope } = require('../utils/reports');
+const { checkPosting, normalizeIp } = require('../utils/banLists');
+const { logAction, snapshot } = require('../utils/auditLog');
+
+/**
+ * Record a post as the latest in its thread and forum
+ * @param {Object} thread - Thread instance
+ * @param {Object} forum - Forum instance of the thread
+ * @param {Object} post - Post instance
+ */
+const updateLastPost = async (thread, forum, post) => {
+  // Update thread's last post info and increment reply count
+  thread.lastPostId = post.id;
+  thread.lastPostAt = new Date();
+  thread.replyCount += 1;
+  await thread.save();
+  
+  // Update forum's last post info
+  forum.lastPostAt = new Date();
+  forum.lastThreadId = thread.id;
+  await forum.save();
+};
 
 /**
  * Create a new post in a thread
+ * Posts of users whose posts are moderated after warnings are held until a moderator approves them
  */
 exports.createPost = async (req, res, next) => {
   try {
@@ -23,7 +47,7 @@ exports.createPost = async (req, res, next) => {
     
     // Check if thread exists
     const thread = await Thread.findByPk(threadId, {
-      include: [{ model: Forum, as: 'forum' }]
+      include: [Forum]
     });
     
     if (!thread) {
@@ -31,41 +55,41 @@ exports.createPost = async (req, res, next) => {
     }
     
     // Check if thread is locked
-    if (thread.isLocked && !req.user.can('postInLockedThreads')) {
+    if (thread.isLocked && !req.user.can('postInLockedThreads', thread.forumId)) {
       throw new AuthorizationError('This thread is locked');
     }
     
     // Check if user has permission to post in this forum
-    if (!req.user.can('createPost', thread.forum)) {
+    if (!req.user.can('createPost', thread.forumId)) {
       throw new AuthorizationError('You do not have permission to post in this forum');
     }
     
+    await checkPosting(req.user, req);
+    
     // Sanitize HTML content if needed
     const sanitizedContent = sanitizeHtml(content);
     
+    // Posts of users under moderation wait for approval (see approvePost)
+    const isApproved = !(req.user.moderatePostsUntil && req.user.moderatePostsUntil > new Date());
+    
     // Create the post
     const post = await Post.create({
       threadId,
-      authorId: req.user.id,
-      content: sanitizedContent
+      userId: req.user.id,
+      content: sanitizedContent,
+      ipAddress: normalizeIp(req.ip) || null,
+      isApproved
     });
     
-    // Update thread's last post info and increment reply count
-    thread.lastPostId = post.id;
-    thread.lastPostAt = new Date();
-    thread.replyCount += 1;
-    await thread.save();
-    
-    // Update forum's last post info
-    thread.forum.lastPostAt = new Date();
-    thread.forum.lastThreadId = thread.id;
-    await thread.forum.save();
+    if (isApproved) {
+      await updateLastPost(thread, thread.Forum, post);
+    }
     
     // Get the post with author information
     const createdPost = await Post.findByPk(post.id, {
       include: [{
         model: User,
-        as: 'author',
+        as: 'User',
         attributes: ['id', 'username', 'avatar', 'signature', 'createdAt', 'postCount']
       }]
     });
@@ -113,7 +137,7 @@ exports.updatePost = async (req, res, next) => {
     // Check if user has permission to edit this post
     const canEdit = 
       post.authorId === req.user.id || 
-      req.user.can('editAnyPost');
+      req.user.can('editAnyPost', post.thread.forumId);
     
     if (!canEdit) {
       throw new AuthorizationError('You do not have permission to edit this post');
@@ -124,13 +148,15 @@ exports.updatePost = async (req, res, next) => {
     const isWithinTimeLimit = 
       (Date.now() - new Date(post.createdAt).getTime()) < editTimeLimit;
     
-    if (post.authorId === req.user.id && !isWithinTimeLimit && !req.user.can('editAnyPost')) {
+    if (post.authorId === req.user.id && !isWithinTimeLimit && !req.user.can('editAnyPost', post.thread.forumId)) {
       throw new AuthorizationError('Edit time limit exceeded');
     }
     
     // Sanitize HTML content if needed
     const sanitizedContent = sanitizeHtml(content);
     
+    const before = snapshot(post, ['content']);
+    
     // Update the post
     post.content = sanitizedContent;
     post.isEdited = true;
@@ -139,6 +165,19 @@ exports.updatePost = async (req, res, next) => {
     
     await post.save();
     
+    // Edits of other users' posts are moderation
+    if (post.userId !== req.user.id) {
+      await logAction({
+        actor: req.user,
+        action: 'post.edit',
+        targetType: 'post',
+        targetId: post.id,
+        before,
+        after: snapshot(post, ['content']),
+        reason: req.body.reason
+      }, req);
+    }
+    
     res.json(post);
   } catch (error) {
     next(error);
@@ -170,7 +209,7 @@ exports.deletePost = async (req, res, next) => {
     // Check if user has permission to delete this post
     const canDelete = 
       post.authorId === req.user.id || 
-      req.user.can('deleteAnyPost');
+      req.user.can('deleteAnyPost', post.thread.forumId);
     
     if (!canDelete) {
       throw new AuthorizationError('You do not have permission to delete this post');
@@ -184,7 +223,7 @@ exports.deletePost = async (req, res, next) => {
     
     // If it's the first post, delete the entire thread
     if (isFirstPost) {
-      if (!req.user.can('deleteThread')) {
+      if (post.authorId !== req.user.id && !req.user.can('deleteAnyThread', post.thread.forumId)) {
         throw new AuthorizationError('You do not have permission to delete threads');
       }
       
@@ -240,6 +279,20 @@ exports.deletePost = async (req, res, next) => {
       }
     }
     
+    // Deleting other users' posts is moderation
+    if (post.userId !== req.user.id) {
+      await logAction({
+        actor: req.user,
+        action: isFirstPost ? 'thread.delete' : 'post.delete',
+        targetType: isFirstPost ? 'thread' : 'post',
+        targetId: isFirstPost ? post.threadId : post.id,
+        before: isFirstPost
+          ? snapshot(post.thread, ['title', 'forumId', 'userId', 'isLocked', 'isPinned', 'createdAt'])
+          : snapshot(post, ['threadId', 'userId', 'content', 'createdAt']),
+        reason: req.body.reason
+      }, req, { transaction });
+    }
+    
     await transaction.commit();
     
     res.status(200).json({ 
@@ -253,28 +306,17 @@ exports.deletePost = async (req, res, next) => {
 };
 
 /**
- * Report a post
+ * Report a post (shortcut for POST /api/reports with targetType 'post')
  */
 exports.reportPost = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body;
+    const { category, reason } = req.body;
     
-    if (!reason) {
-      throw new ValidationError('Reason is required');
-    }
-    
-    const post = await Post.findByPk(id);
-    
-    if (!post) {
-      throw new NotFoundError('Post not found');
-    }
-    
-    // Create report in database
-    await post.createReport({
-      reporterId: req.user.id,
-      reason,
-      status: 'pending'
+    await createReport(req.user, {
+      targetType: 'post',
+      targetId: req.params.id,
+      category,
+      reason
     });
     
     res.status(201).json({ message: 'Post reported successfully' });
@@ -347,9 +389,20 @@ exports.getPostsByThread = async (req, res, next) => {
       throw new NotFoundError('Thread not found');
     }
     
+    // Check if user has permission to view threads in this forum
+    if (!req.can('viewThreads', thread.forumId)) {
+      throw new AuthorizationError('You do not have permission to view this thread');
+    }
+    
+    // Posts waiting for approval are only shown to their author and the forum's moderators
+    const where = { threadId };
+    if (!req.user || !req.user.can('moderateThreads', thread.forumId)) {
+      where[Op.or] = [{ isApproved: true }, ...(req.user ? [{ userId: req.user.id }] : [])];
+    }
+    
     // Get posts with pagination
     const { count, rows: posts } = await Post.findAndCountAll({
-      where: { threadId },
+      where,
       include: [{
         model: User,
         as: 'author',
@@ -383,4 +436,71 @@ exports.getPostsByThread = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get posts waiting for approval in the forums the moderator moderates
+ */
+exports.getUnapprovedPosts = async (req, res, next) => {
+  try {
+    const scope = await getModerationScope(req.user);
+    
+    const threadWhere = scope.global ? {} : { forumId: scope.forumIds };
+    
+    const posts = await Post.findAll({
+      where: { isApproved: false },
+      include: [
+        { model: Thread, where: threadWhere, attributes: ['id', 'title', 'forumId'] },
+        { model: User, as: 'User', attributes: ['id', 'username', 'moderatePostsUntil'] }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+    
+    res.json(posts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a held post so everyone can see it
+ * Held posts are rejected by deleting them.
+ */
+exports.approvePost = async (req, res, next) => {
+  try {
+    const post = await Post.findByPk(req.params.id, {
+      include: [{ model: Thread, include: [Forum] }]
+    });
+    
+    if (!post) {
+      throw new NotFoundError('Post not found');
+    }
+    
+    if (!req.user.can('moderateThreads', post.Thread.forumId)) {
+      throw new AuthorizationError('You do not have permission to approve this post');
+    }
+    
+    if (post.isApproved) {
+      throw new ValidationError('This post is already approved');
+    }
+    
+    post.isApproved = true;
+    await post.save();
+    
+    await updateLastPost(post.Thread, post.Thread.Forum, post);
+    
+    await logAction({
+      actor: req.user,
+      action: 'post.approve',
+      targetType: 'post',
+      targetId: post.id,
+      before: { isApproved: false },
+      after: { isApproved: true },
+      reason: req.body.reason
+    }, req);
+    
+    res.json({ message: 'Post approved', post });
+  } catch (error) {
+    next(error);
+  }
+};
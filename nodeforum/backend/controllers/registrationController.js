@@ -0,0 +1,231 @@
+/**
+ * Registration Controller
+ * Handles the registration mode, invite codes and the approval queue
+ */
+const { Op } = require('sequelize');
+const { User, UserGroup, InviteCode } = require('../models');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+const { REGISTRATION_MODES, getRegistrationMode, setRegistrationMode, generateInviteCode } = require('../utils/registration');
+const { sendUserMail } = require('../mailer');
+const config = require('../config/config');
+
+/**
+ * Get the registration mode, so the sign-up form can ask for an invite code
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    res.json({
+      mode: await getRegistrationMode(),
+      modes: REGISTRATION_MODES,
+      requireEmailVerification: config.forum.requireEmailVerification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the registration mode
+ */
+exports.updateSettings = async (req, res, next) => {
+  try {
+    await setRegistrationMode(req.body.mode, req.user);
+
+    res.json({
+      message: 'Registration settings updated',
+      mode: req.body.mode
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get invite codes
+ * Used up, expired and revoked codes are included with ?all=true
+ */
+exports.getInvites = async (req, res, next) => {
+  try {
+    const where = {};
+
+    if (req.query.all !== 'true') {
+      where.revokedAt = null;
+      where[Op.and] = [
+        { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+        { [Op.or]: [{ maxUses: null }, { uses: { [Op.lt]: InviteCode.sequelize.col('maxUses') } }] }
+      ];
+    }
+
+    const invites = await InviteCode.findAll({
+      where,
+      include: [
+        { model: UserGroup, attributes: ['id', 'name', 'displayName'] },
+        { model: User, as: 'Creator', attributes: ['id', 'username'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(invites);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an invite code
+ * Codes that add accounts to a group need the manageUserGroups permission, since they hand out
+ * the group's permissions.
+ */
+exports.createInvite = async (req, res, next) => {
+  try {
+    const { code, maxUses, expiresInDays, groupId, note } = req.body;
+    const errors = [];
+
+    if (code !== undefined && (typeof code !== 'string' || !/^[A-Za-z0-9-]{4,64}$/.test(code))) {
+      errors.push({ field: 'code', message: 'Code must be 4-64 letters, digits or dashes' });
+    }
+
+    if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      errors.push({ field: 'maxUses', message: 'Maximum uses must be a positive number' });
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+      errors.push({ field: 'expiresInDays', message: 'Expiry must be a positive number of days' });
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 255)) {
+      errors.push({ field: 'note', message: 'Note cannot exceed 255 characters' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', errors);
+    }
+
+    if (groupId) {
+      if (!req.can('manageUserGroups')) {
+        throw new AuthorizationError('You do not have permission to invite users into a group');
+      }
+
+      if (!await UserGroup.findByPk(groupId)) {
+        throw new NotFoundError('User group not found');
+      }
+    }
+
+    const inviteCode = (code || generateInviteCode()).toUpperCase();
+
+    if (await InviteCode.findOne({ where: { code: inviteCode } })) {
+      throw new ValidationError('Invite code already exists');
+    }
+
+    const invite = await InviteCode.create({
+      code: inviteCode,
+      maxUses: maxUses || null,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      groupId: groupId || null,
+      note: note || null,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(invite);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an invite code
+ * Accounts already registered with it are not affected.
+ */
+exports.revokeInvite = async (req, res, next) => {
+  try {
+    const invite = await InviteCode.findByPk(req.params.id);
+
+    if (!invite) {
+      throw new NotFoundError('Invite code not found');
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+
+    res.json({ message: 'Invite code revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get accounts waiting for approval
+ */
+exports.getPendingUsers = async (req, res, next) => {
+  try {
+    const users = await User.findAll({
+      where: { isApproved: false },
+      attributes: ['id', 'username', 'email', 'isActive', 'createdAt'],
+      include: [{ model: InviteCode, attributes: ['id', 'code', 'note'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json(users);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve an account
+ * The owner is told by email that they can log in.
+ */
+exports.approveUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      where: { id: req.params.id, isApproved: false }
+    });
+
+    if (!user) {
+      throw new NotFoundError('No pending account found');
+    }
+
+    user.isApproved = true;
+    await user.save();
+
+    await sendUserMail(user, 'accountApproved', {
+      link: `${config.app.frontendUrl}/login`
+    });
+
+    res.json({
+      message: 'Account approved',
+      user: {
+        id: user.id,
+        username: user.username,
+        isApproved: user.isApproved
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject an account, deleting it
+ * Pending accounts cannot have logged in, so there is no content to keep.
+ */
+exports.rejectUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      where: { id: req.params.id, isApproved: false }
+    });
+
+    if (!user) {
+      throw new NotFoundError('No pending account found');
+    }
+
+    await user.destroy();
+
+    res.json({ message: 'Account rejected' });
+  } catch (error) {
+    next(error);
+  }
+};
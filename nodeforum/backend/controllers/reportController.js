@@ -0,0 +1,93 @@
+/**
+ * Report Controller
+ * Handles reporting content and the moderation queue
+ */
+const { createReport, getReportQueue, handleReport, getOwnReports } = require('../utils/reports');
+
+/**
+ * Report a post, thread, user or private message
+ */
+exports.createReport = async (req, res, next) => {
+  try {
+    const { targetType, targetId, category, reason } = req.body;
+    
+    const report = await createReport(req.user, { targetType, targetId, category, reason });
+    
+    res.status(201).json({
+      message: 'Thank you for your report. A moderator will look into it.',
+      report: {
+        id: report.id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        category: report.category,
+        status: report.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the reports filed by the current user and their outcome
+ */
+exports.getOwnReports = async (req, res, next) => {
+  try {
+    res.json(await getOwnReports(req.user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the moderation queue, grouped by reported target
+ * Filtered with ?status= (default pending), ?targetType= and ?forumId=; moderators only see
+ * reports from the forums they moderate.
+ */
+exports.getQueue = async (req, res, next) => {
+  try {
+    res.json(await getReportQueue(req.user, req.query));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dismiss a report and the other open reports of its target
+ */
+exports.dismissReport = async (req, res, next) => {
+  try {
+    const result = await handleReport(req.user, req.params.id, 'dismiss', req.body, req);
+    
+    res.json({ message: 'Report dismissed', ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a report and the other open reports of its target
+ * Needs the action taken; the optional feedback is sent to the reporters.
+ */
+exports.resolveReport = async (req, res, next) => {
+  try {
+    const result = await handleReport(req.user, req.params.id, 'resolve', req.body, req);
+    
+    res.json({ message: 'Report resolved', ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hand a report and the other open reports of its target to the administrators
+ */
+exports.escalateReport = async (req, res, next) => {
+  try {
+    const result = await handleReport(req.user, req.params.id, 'escalate', req.body, req);
+    
+    res.json({ message: 'Report escalated', ...result });
+  } catch (error) {
+    next(error);
+  }
+};
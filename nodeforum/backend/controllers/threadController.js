@@ -2,10 +2,14 @@
  * Thread Controller
  * Handles all thread-related operations
  */
+const { Op } = require('sequelize');
 const { Thread, Post, User, Forum, Tag, sequelize } = require('../models');
 const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
 const { sanitizeHtml } = require('../utils/helpers');
+const { getPermittedForumIds } = require('../utils/permissions');
 const { validateThreadData } = require('../utils/validators');
+const { checkPosting, normalizeIp } = require('../utils/banLists');
+const { logAction, snapshot } = require('../utils/auditLog');
 
 /**
  * Create a new thread
@@ -35,6 +39,13 @@ exports.createThread = async (req, res, next) => {
       throw new AuthorizationError('You do not have permission to create threads in this forum');
     }
     
+    // Users whose posts are moderated after warnings can only reply, where posts can be held
+    if (req.user.moderatePostsUntil && req.user.moderatePostsUntil > new Date()) {
+      throw new AuthorizationError('While your posts are being moderated you cannot start new threads');
+    }
+    
+    await checkPosting(req.user, req);
+    
     // Sanitize HTML content if needed
     const sanitizedContent = sanitizeHtml(content);
     
@@ -42,7 +53,7 @@ exports.createThread = async (req, res, next) => {
     const thread = await Thread.create({
       title,
       forumId,
-      authorId: req.user.id,
+      userId: req.user.id,
       isLocked: false,
       isPinned: false,
       viewCount: 0,
@@ -52,8 +63,9 @@ exports.createThread = async (req, res, next) => {
     // Create the first post
     const post = await Post.create({
       threadId: thread.id,
-      authorId: req.user.id,
-      content: sanitizedContent
+      userId: req.user.id,
+      content: sanitizedContent,
+      ipAddress: normalizeIp(req.ip) || null
     }, { transaction });
     
     // Update thread with first post info
@@ -94,33 +106,17 @@ exports.createThread = async (req, res, next) => {
       include: [
         {
           model: User,
-          as: 'author',
+          as: 'User',
           attributes: ['id', 'username', 'avatar']
         },
         {
           model: Forum,
-          as: 'forum',
           attributes: ['id', 'name', 'description']
-        },
-        {
-          model: Post,
-          as: 'firstPost',
-          include: [{
-            model: User,
-            as: 'author',
-            attributes: ['id', 'username', 'avatar', 'signature']
-          }]
-        },
-        {
-          model: Tag,
-          as: 'tags',
-          attributes: ['id', 'name'],
-          through: { attributes: [] }
         }
       ]
     });
     
-    res.status(201).json(createdThread);
+    res.status(201).json({ ...createdThread.toJSON(), firstPost: post });
   } catch (error) {
     await transaction.rollback();
     next(error);
@@ -168,6 +164,11 @@ exports.getThread = async (req, res, next) => {
       throw new NotFoundError('Thread not found');
     }
     
+    // Check if user has permission to view threads in this forum
+    if (!req.can('viewThreads', thread.forumId)) {
+      throw new AuthorizationError('You do not have permission to view this thread');
+    }
+    
     // Increment view count
     thread.viewCount += 1;
     await thread.save();
@@ -209,12 +210,14 @@ exports.updateThread = async (req, res, next) => {
     // Check if user has permission to update this thread
     const canUpdate = 
       thread.authorId === req.user.id || 
-      req.user.can('updateAnyThread');
+      req.user.can('editAnyThread', thread.forumId);
     
     if (!canUpdate) {
       throw new AuthorizationError('You do not have permission to update this thread');
     }
     
+    const before = snapshot(thread, ['title']);
+    
     // Update thread
     if (title) {
       thread.title = title;
@@ -238,6 +241,19 @@ exports.updateThread = async (req, res, next) => {
       await thread.setTags(newTags, { transaction });
     }
     
+    // Edits of other users' threads are moderation
+    if (thread.userId !== req.user.id) {
+      await logAction({
+        actor: req.user,
+        action: 'thread.edit',
+        targetType: 'thread',
+        targetId: thread.id,
+        before,
+        after: snapshot(thread, ['title']),
+        reason: req.body.reason
+      }, req, { transaction });
+    }
+    
     await transaction.commit();
     
     // Get the updated thread with related data
@@ -281,20 +297,32 @@ exports.toggleThreadLock = async (req, res, next) => {
       throw new ValidationError('isLocked field is required');
     }
     
-    // Check if user has permission to lock/unlock threads
-    if (!req.user.can('moderateThreads')) {
-      throw new AuthorizationError('You do not have permission to lock or unlock threads');
-    }
-    
     const thread = await Thread.findByPk(id);
     
     if (!thread) {
       throw new NotFoundError('Thread not found');
     }
     
+    // Check if user has permission to lock/unlock threads in this forum
+    if (!req.user.can('moderateThreads', thread.forumId)) {
+      throw new AuthorizationError('You do not have permission to lock or unlock threads');
+    }
+    
+    const before = snapshot(thread, ['isLocked']);
+    
     thread.isLocked = isLocked;
     await thread.save();
     
+    await logAction({
+      actor: req.user,
+      action: isLocked ? 'thread.lock' : 'thread.unlock',
+      targetType: 'thread',
+      targetId: thread.id,
+      before,
+      after: snapshot(thread, ['isLocked']),
+      reason: req.body.reason
+    }, req);
+    
     res.json(thread);
   } catch (error) {
     next(error);
@@ -313,20 +341,32 @@ exports.toggleThreadPin = async (req, res, next) => {
       throw new ValidationError('isPinned field is required');
     }
     
-    // Check if user has permission to pin/unpin threads
-    if (!req.user.can('pinThreads')) {
-      throw new AuthorizationError('You do not have permission to pin or unpin threads');
-    }
-    
     const thread = await Thread.findByPk(id);
     
     if (!thread) {
       throw new NotFoundError('Thread not found');
     }
     
+    // Check if user has permission to pin/unpin threads in this forum
+    if (!req.user.can('pinThreads', thread.forumId)) {
+      throw new AuthorizationError('You do not have permission to pin or unpin threads');
+    }
+    
+    const before = snapshot(thread, ['isPinned']);
+    
     thread.isPinned = isPinned;
     await thread.save();
     
+    await logAction({
+      actor: req.user,
+      action: isPinned ? 'thread.pin' : 'thread.unpin',
+      targetType: 'thread',
+      targetId: thread.id,
+      before,
+      after: snapshot(thread, ['isPinned']),
+      reason: req.body.reason
+    }, req);
+    
     res.json(thread);
   } catch (error) {
     next(error);
@@ -345,11 +385,6 @@ exports.moveThread = async (req, res, next) => {
       throw new ValidationError('Target forum ID is required');
     }
     
-    // Check if user has permission to move threads
-    if (!req.user.can('moveThreads')) {
-      throw new AuthorizationError('You do not have permission to move threads');
-    }
-    
     // Check if thread exists
     const thread = await Thread.findByPk(id, {
       include: [{ model: Forum, as: 'forum' }]
@@ -366,6 +401,11 @@ exports.moveThread = async (req, res, next) => {
       throw new NotFoundError('Target forum not found');
     }
     
+    // Check if user has permission to move threads out of the source and into the target forum
+    if (!req.user.can('moveThreads', thread.forumId) || !req.user.can('moveThreads', targetForum)) {
+      throw new AuthorizationError('You do not have permission to move threads');
+    }
+    
     // Update thread's forum
     const oldForumId = thread.forumId;
     thread.forumId = targetForumId;
@@ -416,6 +456,16 @@ exports.moveThread = async (req, res, next) => {
       );
     }
     
+    await logAction({
+      actor: req.user,
+      action: 'thread.move',
+      targetType: 'thread',
+      targetId: thread.id,
+      before: { forumId: oldForumId },
+      after: { forumId: thread.forumId },
+      reason: req.body.reason
+    }, req);
+    
     res.json({
       ...thread.toJSON(),
       forum: targetForum
@@ -446,7 +496,7 @@ exports.deleteThread = async (req, res, next) => {
     // Check if user has permission to delete this thread
     const canDelete = 
       thread.authorId === req.user.id || 
-      req.user.can('deleteAnyThread');
+      req.user.can('deleteAnyThread', thread.forumId);
     
     if (!canDelete) {
       throw new AuthorizationError('You do not have permission to delete this thread');
@@ -485,6 +535,18 @@ exports.deleteThread = async (req, res, next) => {
       await thread.forum.save({ transaction });
     }
     
+    // Deleting other users' threads is moderation
+    if (thread.userId !== req.user.id) {
+      await logAction({
+        actor: req.user,
+        action: 'thread.delete',
+        targetType: 'thread',
+        targetId: thread.id,
+        before: snapshot(thread, ['title', 'forumId', 'userId', 'isLocked', 'isPinned', 'createdAt']),
+        reason: req.body.reason
+      }, req, { transaction });
+    }
+    
     await transaction.commit();
     
     res.status(200).json({ message: 'Thread deleted successfully' });
@@ -528,8 +590,16 @@ exports.searchThreads = async (req, res, next) => {
       ];
     }
     
+    // Only search forums the user is allowed to read
+    const permittedForumIds = await getPermittedForumIds(req.can, 'viewThreads');
+    
     if (forumId) {
+      if (!permittedForumIds.includes(forumId)) {
+        throw new AuthorizationError('You do not have permission to view threads in this forum');
+      }
       where.forumId = forumId;
+    } else {
+      where.forumId = { [Op.in]: permittedForumIds };
     }
     
     if (authorId) {
@@ -584,7 +654,12 @@ exports.getRecentThreads = async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
     
+    const permittedForumIds = await getPermittedForumIds(req.can, 'viewThreads');
+    
     const threads = await Thread.findAll({
+      where: {
+        forumId: { [Op.in]: permittedForumIds }
+      },
       include: [
         {
           model: User,
@@ -642,9 +717,12 @@ exports.getPopularThreads = async (req, res, next) => {
         dateFilter.setDate(dateFilter.getDate() - 7);
     }
     
+    const permittedForumIds = await getPermittedForumIds(req.can, 'viewThreads');
+    
     const threads = await Thread.findAll({
       where: {
-        createdAt: { [sequelize.Op.gte]: dateFilter }
+        forumId: { [Op.in]: permittedForumIds },
+        createdAt: { [Op.gte]: dateFilter }
       },
       include: [
         {
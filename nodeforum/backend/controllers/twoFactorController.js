@@ -0,0 +1,184 @@
+/**
+ * Two-Factor Controller
+ * Handles TOTP enrollment, recovery codes and the second login step
+ */
+const { User } = require('../models');
+const { ValidationError, AuthenticationError, AuthorizationError } = require('../utils/errors');
+const { generateSecret, getOtpauthUri } = require('../utils/totp');
+const {
+  verifyChallengeToken,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifyTotp,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const { completeLogin } = require('../utils/authentication');
+const { checkLoginAllowed, recordLoginFailure } = require('../utils/loginThrottle');
+const config = require('../config/config');
+
+/**
+ * Complete a login with the code from the authenticator app or a recovery code
+ */
+exports.verifyLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      throw new ValidationError('A two-factor code or recovery code is required');
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    const user = await User.findByPk(userId);
+
+    if (!user || !user.isActive || user.isBanActive() || !user.twoFactorEnabled) {
+      throw new AuthenticationError('Login challenge has expired. Please log in again.');
+    }
+
+    // Wrong codes count as failed logins
+    await checkLoginAllowed(req.ip, user);
+
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      await recordLoginFailure(req.ip, user);
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    const result = await completeLogin(user, req);
+
+    res.json({
+      success: true,
+      ...result,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the two-factor status of the current user
+ */
+exports.getStatus = (req, res) => {
+  res.json({
+    enabled: req.user.twoFactorEnabled,
+    required: isTwoFactorRequired(req.user),
+    recoveryCodesRemaining: req.user.twoFactorEnabled ? req.user.twoFactorRecoveryCodes.length : 0
+  });
+};
+
+/**
+ * Start enrollment by generating a new secret
+ * The returned otpauth URI is meant to be shown as a QR code; the secret can be typed in instead.
+ */
+exports.setup = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    user.twoFactorSecret = generateSecret();
+    await user.save();
+
+    res.json({
+      secret: user.twoFactorSecret,
+      otpauthUri: getOtpauthUri(user.twoFactorSecret, user.username, config.twoFactor.issuer)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish enrollment by confirming a code from the authenticator app
+ * Returns the recovery codes, which are only shown this once.
+ */
+exports.enable = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new ValidationError('Start two-factor setup first');
+    }
+
+    if (!verifyTotp(user, req.body.code)) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * Requires the password and a second factor, and is not possible while a group requires it.
+ */
+exports.disable = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (isTwoFactorRequired(user)) {
+      throw new AuthorizationError('Two-factor authentication is required for your account');
+    }
+
+    if (!password || !await user.comparePassword(password)) {
+      throw new ValidationError('Password is incorrect');
+    }
+
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastStep = null;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes with a new set
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (!user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (!verifyTotp(user, req.body.code)) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,179 +1,30 @@
 /**
  * User Controller
- * Handles user-related operations including authentication, profile management, and admin functions
+ * Handles profile management, account recovery and admin functions
+ * Registration, login and logout live in authController; the /api/users routes for them are aliases
  */
+const { Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const path = require('path');
-const { User, UserGroup, Post, Thread, sequelize } = require('../models');
-const { ValidationError, NotFoundError, AuthorizationError, AuthenticationError } = require('../utils/errors');
-const { validateUserData, validatePasswordChange } = require('../utils/validators');
+const { User, UserGroup, UserGroupMembership, Post, Thread, sequelize } = require('../models');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+const { validatePasswordChange } = require('../utils/validators');
+const { checkPassword } = require('../utils/passwordPolicy');
 const { sanitizeHtml, generateVerificationToken } = require('../utils/helpers');
+const { attachPermissions, getUserGroups, createPermissionChecker } = require('../utils/permissions');
+const { createSession, invalidateUserSessions, generateAccessToken } = require('../utils/sessions');
+const { formatAuthUser } = require('../utils/authentication');
+const { getLockedAccounts, unlockAccount } = require('../utils/loginThrottle');
+const { startImpersonation } = require('../utils/impersonation');
+const { getUserWarnings } = require('../utils/warnings');
+const bans = require('../utils/bans');
+const { checkEmail } = require('../utils/banLists');
+const { lookupIp, getUserIpAddresses } = require('../utils/ipLookup');
+const { logAction } = require('../utils/auditLog');
+const { sendMail, sendUserMail, isSupportedLocale } = require('../mailer');
 const config = require('../config/config');
 
-/**
- * Register a new user
- */
-exports.register = async (req, res, next) => {
-  try {
-    const { username, email, password, confirmPassword } = req.body;
-    
-    // Validate user data
-    const validationErrors = validateUserData(req.body);
-    if (validationErrors.length > 0) {
-      throw new ValidationError('Validation failed', validationErrors);
-    }
-    
-    // Check if password and confirm password match
-    if (password !== confirmPassword) {
-      throw new ValidationError('Passwords do not match');
-    }
-    
-    // Check if username already exists
-    const existingUsername = await User.findOne({ where: { username } });
-    if (existingUsername) {
-      throw new ValidationError('Username is already taken');
-    }
-    
-    // Check if email already exists
-    const existingEmail = await User.findOne({ where: { email } });
-    if (existingEmail) {
-      throw new ValidationError('Email is already registered');
-    }
-    
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-    
-    // Get default user group
-    const defaultGroup = await UserGroup.findOne({
-      where: { name: config.forum.defaultUserGroup }
-    });
-    
-    if (!defaultGroup) {
-      throw new Error('Default user group not found');
-    }
-    
-    // Create verification token if email verification is required
-    let verificationToken = null;
-    if (config.forum.requireEmailVerification) {
-      verificationToken = generateVerificationToken();
-    }
-    
-    // Create the user
-    const user = await User.create({
-      username,
-      email,
-      password: hashedPassword,
-      groupId: defaultGroup.id,
-      isActive: !config.forum.requireEmailVerification,
-      verificationToken,
-      postCount: 0,
-      signature: '',
-      avatar: null
-    });
-    
-    // Remove password from response
-    const userData = user.toJSON();
-    delete userData.password;
-    delete userData.verificationToken;
-    
-    // If email verification is required, send verification email
-    if (config.forum.requireEmailVerification) {
-      // TODO: Implement email sending functionality
-      // This would typically use a library like nodemailer
-      console.log(`Verification link: ${config.app.frontendUrl}/verify-email/${verificationToken}`);
-    }
-    
-    // Generate JWT token if user doesn't need email verification
-    let token = null;
-    if (!config.forum.requireEmailVerification) {
-      token = jwt.sign(
-        { id: user.id, username: user.username, groupId: user.groupId },
-        config.jwt.secret,
-        { expiresIn: config.jwt.expiresIn }
-      );
-    }
-    
-    res.status(201).json({
-      user: userData,
-      token,
-      requiresVerification: config.forum.requireEmailVerification
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
-/**
- * User login
- */
-exports.login = async (req, res, next) => {
-  try {
-    const { username, password } = req.body;
-    
-    // Check if username and password are provided
-    if (!username || !password) {
-      throw new ValidationError('Username and password are required');
-    }
-    
-    // Find user by username
-    const user = await User.findOne({ 
-      where: { username },
-      include: [{ model: UserGroup, as: 'group' }]
-    });
-    
-    if (!user) {
-      throw new AuthenticationError('Invalid credentials');
-    }
-    
-    // Check if account is active
-    if (!user.isActive) {
-      throw new AuthenticationError('Account is not active. Please verify your email.');
-    }
-    
-    // Check if account is banned
-    if (user.isBanned) {
-      throw new AuthenticationError('This account has been banned. Reason: ' + (user.banReason || 'No reason provided'));
-    }
-    
-    // Compare passwords
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      throw new AuthenticationError('Invalid credentials');
-    }
-    
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username, 
-        groupId: user.groupId,
-        permissions: user.group.permissions
-      },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn }
-    );
-    
-    // Update last login time
-    user.lastLoginAt = new Date();
-    await user.save();
-    
-    // Remove sensitive information from response
-    const userData = user.toJSON();
-    delete userData.password;
-    delete userData.verificationToken;
-    
-    res.json({
-      user: userData,
-      token
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
 /**
  * Verify email address
  */
@@ -199,16 +50,23 @@ exports.verifyEmail = async (req, res, next) => {
     user.verificationToken = null;
     await user.save();
     
-    // Generate JWT token
-    const authToken = jwt.sign(
-      { id: user.id, username: user.username, groupId: user.groupId },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn }
-    );
+    // Accounts in the approval queue can log in once approved
+    if (!user.isApproved) {
+      return res.json({
+        message: 'Email verified successfully. Your account is waiting for approval by an administrator.',
+        user: formatAuthUser(user),
+        requiresApproval: true
+      });
+    }
+    
+    // Start a session
+    const { token: authToken, refreshToken } = await createSession(user, req);
     
     res.json({
       message: 'Email verified successfully',
-      token: authToken
+      user: formatAuthUser(user),
+      token: authToken,
+      refreshToken
     });
   } catch (error) {
     next(error);
@@ -217,19 +75,26 @@ exports.verifyEmail = async (req, res, next) => {
 
 /**
  * Get current user's profile
+ * Includes the user's active warnings, which only they and moderators can see
  */
 exports.getCurrentUser = async (req, res, next) => {
   try {
     const user = await User.findByPk(req.user.id, {
       include: [{ model: UserGroup, as: 'group' }],
-      attributes: { exclude: ['password', 'verificationToken'] }
+      attributes: { exclude: ['password', 'verificationToken', 'resetToken', 'resetTokenExpiresAt'] }
     });
     
     if (!user) {
       throw new NotFoundError('User not found');
     }
     
-    res.json(user);
+    const { warnings, activePoints } = await getUserWarnings(user.id, { activeOnly: true });
+    
+    res.json({
+      ...user.toJSON(),
+      warnings,
+      warningPoints: activePoints
+    });
   } catch (error) {
     next(error);
   }
@@ -248,13 +113,13 @@ exports.getUserProfile = async (req, res, next) => {
     if (/^\d+$/.test(identifier)) {
       user = await User.findByPk(identifier, {
         include: [{ model: UserGroup, as: 'group' }],
-        attributes: { exclude: ['password', 'email', 'verificationToken'] }
+        attributes: { exclude: ['password', 'email', 'pendingEmail', 'previousEmail', 'verificationToken', 'resetToken', 'resetTokenExpiresAt'] }
       });
     } else {
       user = await User.findOne({
         where: { username: identifier },
         include: [{ model: UserGroup, as: 'group' }],
-        attributes: { exclude: ['password', 'email', 'verificationToken'] }
+        attributes: { exclude: ['password', 'email', 'pendingEmail', 'previousEmail', 'verificationToken', 'resetToken', 'resetTokenExpiresAt'] }
       });
     }
     
@@ -301,7 +166,7 @@ exports.getUserProfile = async (req, res, next) => {
  */
 exports.updateProfile = async (req, res, next) => {
   try {
-    const { signature, about } = req.body;
+    const { signature, about, locale } = req.body;
     
     const user = await User.findByPk(req.user.id);
     
@@ -327,6 +192,15 @@ exports.updateProfile = async (req, res, next) => {
       user.about = sanitizeHtml(about);
     }
     
+    // Update email language if provided
+    if (locale !== undefined) {
+      if (locale && !isSupportedLocale(locale)) {
+        throw new ValidationError('Unsupported language');
+      }
+      
+      user.locale = locale || null;
+    }
+    
     await user.save();
     
     res.json({
@@ -335,7 +209,8 @@ exports.updateProfile = async (req, res, next) => {
         id: user.id,
         username: user.username,
         signature: user.signature,
-        about: user.about
+        about: user.about,
+        locale: user.locale
       }
     });
   } catch (error) {
@@ -402,8 +277,13 @@ exports.changePassword = async (req, res, next) => {
   try {
     const { currentPassword, newPassword, confirmPassword } = req.body;
     
+    // Credentials are only managed from a logged-in session
+    if (req.apiToken) {
+      throw new AuthorizationError('Passwords cannot be changed with an API token');
+    }
+    
     // Validate password change data
-    const validationErrors = validatePasswordChange(req.body);
+    const validationErrors = validatePasswordChange(req.body, req.user);
     if (validationErrors.length > 0) {
       throw new ValidationError('Validation failed', validationErrors);
     }
@@ -425,34 +305,240 @@ exports.changePassword = async (req, res, next) => {
       throw new ValidationError('Current password is incorrect');
     }
     
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    // Update password (hashed by the model)
+    user.password = newPassword;
+    await user.save();
+    
+    // Log out all other sessions; the current one continues with a new token
+    await invalidateUserSessions(user, req.authSession);
     
-    // Update password
-    user.password = hashedPassword;
+    res.json({
+      message: 'Password changed successfully',
+      token: generateAccessToken(user, req.authSession)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// While the old address can still undo a change, the address cannot be changed again: a second
+// change would replace the undo link sent to the owner with one sent to the intermediate address
+const isRevertWindowOpen = (user) => !!user.emailRevertToken && user.emailRevertExpiresAt > new Date();
+
+/**
+ * Request an email address change
+ * The new address gets a confirmation link; the account keeps using the current address
+ * (for login and emails) until the link is used.
+ * Refused while an earlier change can still be undone from the old address.
+ */
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const { newEmail, password } = req.body;
+    
+    // Credentials are only managed from a logged-in session
+    if (req.apiToken) {
+      throw new AuthorizationError('Email addresses cannot be changed with an API token');
+    }
+    
+    if (!newEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+      throw new ValidationError('Validation failed', [
+        { field: 'newEmail', message: 'Please include a valid email' }
+      ]);
+    }
+    
+    const user = await User.findByPk(req.user.id);
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    if (!password || !await user.comparePassword(password)) {
+      throw new ValidationError('Password is incorrect');
+    }
+    
+    if (isRevertWindowOpen(user)) {
+      throw new ValidationError(`Your email address was changed recently. It can be changed again after ${user.emailRevertExpiresAt.toISOString().substring(0, 10)}.`);
+    }
+    
+    if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+      throw new ValidationError('This is already your email address');
+    }
+    
+    await checkEmail(newEmail);
+    
+    if (await User.findOne({ where: { email: newEmail } })) {
+      throw new ValidationError('Email is already registered');
+    }
+    
+    const token = generateVerificationToken();
+    const { confirmExpiresInHours } = config.security.emailChange;
+    
+    user.pendingEmail = newEmail;
+    user.emailChangeToken = token;
+    user.emailChangeExpiresAt = new Date(Date.now() + confirmExpiresInHours * 60 * 60 * 1000);
+    await user.save();
+    
+    await sendMail('emailChangeConfirm', {
+      to: newEmail,
+      locale: user.locale,
+      data: {
+        username: user.username,
+        newEmail,
+        link: `${config.app.frontendUrl}/confirm-email/${token}`,
+        expiresInHours: confirmExpiresInHours
+      }
+    });
+    
+    res.json({
+      message: 'Check your new email address for a confirmation link',
+      pendingEmail: newEmail
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a pending email address change
+ */
+exports.cancelEmailChange = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    user.pendingEmail = null;
+    user.emailChangeToken = null;
+    user.emailChangeExpiresAt = null;
     await user.save();
     
-    res.json({ message: 'Password changed successfully' });
+    res.json({ message: 'Email change cancelled' });
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * User logout (client-side only)
+ * Confirm an email address change with the link sent to the new address
+ * The old address gets a notice with a link to undo the change.
  */
-exports.logout = (req, res) => {
-  res.json({ message: 'Logout successful' });
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    const user = typeof token === 'string' ? await User.findOne({
+      where: {
+        emailChangeToken: token,
+        emailChangeExpiresAt: { [Op.gt]: new Date() }
+      }
+    }) : null;
+    
+    if (!user) {
+      throw new ValidationError('Invalid or expired confirmation link');
+    }
+    
+    if (isRevertWindowOpen(user)) {
+      throw new ValidationError('Your email address was changed recently and cannot be changed again yet');
+    }
+    
+    // Someone may have registered the address in the meantime
+    if (await User.findOne({ where: { email: user.pendingEmail } })) {
+      throw new ValidationError('Email is already registered');
+    }
+    
+    const oldEmail = user.email;
+    const revertToken = generateVerificationToken();
+    const { revertExpiresInDays } = config.security.emailChange;
+    
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+    user.emailChangeToken = null;
+    user.emailChangeExpiresAt = null;
+    user.previousEmail = oldEmail;
+    user.emailRevertToken = revertToken;
+    user.emailRevertExpiresAt = new Date(Date.now() + revertExpiresInDays * 24 * 60 * 60 * 1000);
+    await user.save();
+    
+    await sendMail('emailChanged', {
+      to: oldEmail,
+      locale: user.locale,
+      data: {
+        username: user.username,
+        newEmail: user.email,
+        link: `${config.app.frontendUrl}/revert-email/${revertToken}`,
+        expiresInDays: revertExpiresInDays
+      }
+    });
+    
+    res.json({
+      message: 'Email address changed successfully',
+      email: user.email
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Undo an email address change with the link sent to the old address
+ * Whoever changed the address may have taken over the account, so all sessions end.
+ */
+exports.revertEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    const user = typeof token === 'string' ? await User.findOne({
+      where: {
+        emailRevertToken: token,
+        emailRevertExpiresAt: { [Op.gt]: new Date() }
+      }
+    }) : null;
+    
+    if (!user) {
+      throw new ValidationError('Invalid or expired link');
+    }
+    
+    const takenBy = await User.findOne({ where: { email: user.previousEmail } });
+    if (takenBy && takenBy.id !== user.id) {
+      throw new ValidationError('The previous email address is now used by another account');
+    }
+    
+    user.email = user.previousEmail;
+    user.previousEmail = null;
+    user.emailRevertToken = null;
+    user.emailRevertExpiresAt = null;
+    user.pendingEmail = null;
+    user.emailChangeToken = null;
+    user.emailChangeExpiresAt = null;
+    user.magicLinkToken = null;
+    user.magicLinkExpiresAt = null;
+    user.magicLinkBrowserHash = null;
+    // A reset link requested by whoever changed the address would still let them set a password
+    user.resetToken = null;
+    user.resetTokenExpiresAt = null;
+    await user.save();
+    
+    await invalidateUserSessions(user);
+    
+    res.json({
+      message: 'Your email address has been restored and all devices have been logged out. Please reset your password.',
+      email: user.email
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
  * Ban a user (admin only)
+ * Takes a private reason for the staff, a public reason shown to the user, and a duration in
+ * days or an end date; without either the ban is permanent.
  */
 exports.banUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { reason, duration } = req.body;
     
     // Check if user has permission to ban users
     if (!req.user.can('banUsers')) {
@@ -465,25 +551,7 @@ exports.banUser = async (req, res, next) => {
       throw new NotFoundError('User not found');
     }
     
-    // Cannot ban administrators
-    const adminGroup = await UserGroup.findOne({ where: { name: 'administrator' } });
-    if (user.groupId === adminGroup.id) {
-      throw new AuthorizationError('Cannot ban an administrator');
-    }
-    
-    // Set ban details
-    user.isBanned = true;
-    user.banReason = reason || 'No reason provided';
-    
-    if (duration) {
-      const banEnd = new Date();
-      banEnd.setDate(banEnd.getDate() + parseInt(duration));
-      user.banExpiresAt = banEnd;
-    } else {
-      user.banExpiresAt = null; // Permanent ban
-    }
-    
-    await user.save();
+    const ban = await bans.banUser(req.user, user, req.body, req);
     
     res.json({
       message: 'User banned successfully',
@@ -493,7 +561,8 @@ exports.banUser = async (req, res, next) => {
         isBanned: user.isBanned,
         banReason: user.banReason,
         banExpiresAt: user.banExpiresAt
-      }
+      },
+      ban
     });
   } catch (error) {
     next(error);
@@ -518,12 +587,7 @@ exports.unbanUser = async (req, res, next) => {
       throw new NotFoundError('User not found');
     }
     
-    // Remove ban
-    user.isBanned = false;
-    user.banReason = null;
-    user.banExpiresAt = null;
-    
-    await user.save();
+    await bans.liftBan(req.user, user, req.body, req);
     
     res.json({
       message: 'User unbanned successfully',
@@ -539,7 +603,132 @@ exports.unbanUser = async (req, res, next) => {
 };
 
 /**
- * Change user group (admin only)
+ * Get the ban history of a user (admin only)
+ */
+exports.getUserBans = async (req, res, next) => {
+  try {
+    const history = await bans.getBanHistory(req.params.id);
+    
+    res.json({ bans: history });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all accounts and posts sharing an IP address (moderators only)
+ */
+exports.getUsersByIp = async (req, res, next) => {
+  try {
+    res.json(await lookupIp(req.user, req.params.ip, req.query, req));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the IP addresses of a user and the other accounts seen at them (moderators only)
+ */
+exports.getUserIpAddresses = async (req, res, next) => {
+  try {
+    res.json(await getUserIpAddresses(req.user, req.params.id, req));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get accounts locked after too many failed logins (admin only)
+ */
+exports.getLockedAccounts = async (req, res, next) => {
+  try {
+    const records = await getLockedAccounts();
+    
+    const users = await User.findAll({
+      where: { id: records.map(record => record.userId) },
+      attributes: ['id', 'username', 'email']
+    });
+    
+    res.json(records.map(record => ({
+      user: users.find(user => user.id === record.userId) || { id: record.userId },
+      failures: record.failures,
+      lastFailureAt: record.lastFailureAt,
+      lockedUntil: record.lockedUntil
+    })));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlock an account locked after too many failed logins (admin only)
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    await unlockAccount(user.id);
+    
+    await logAction({
+      actor: req.user,
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user.id,
+      reason: req.body.reason
+    }, req);
+    
+    res.json({ message: 'User account unlocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start acting as a user to reproduce a problem (admin only)
+ * Returns an access token for the user that cannot be refreshed; the client keeps the admin's
+ * own tokens and returns to them after DELETE /api/auth/impersonation.
+ */
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    // API tokens are meant for scripts, not for acting as someone else
+    if (!req.authSession) {
+      throw new AuthorizationError('Impersonation is not available with an API token');
+    }
+    
+    const result = await startImpersonation(req.user, req.params.id, req);
+    
+    res.json({
+      message: `You are now acting as ${result.user.username}`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check that an administrator keeps the ability to manage groups after changing their own groups
+ * @param {Object} user - User instance, with a pending primary group change applied
+ * @param {number} [removedGroupId] - Secondary group the user is about to leave
+ */
+const ensureCanStillManageGroups = async (user, removedGroupId = null) => {
+  const groups = (await getUserGroups(user)).filter(group =>
+    group.id !== removedGroupId || group.id === user.groupId
+  );
+  
+  if (!createPermissionChecker(groups)('manageUserGroups')) {
+    throw new AuthorizationError('You cannot remove your own permission to manage user groups');
+  }
+};
+
+/**
+ * Change user's primary group (admin only)
+ * The primary group determines the displayed colour and title; its permissions are merged
+ * with those of the secondary groups.
  */
 exports.changeUserGroup = async (req, res, next) => {
   try {
@@ -568,15 +757,28 @@ exports.changeUserGroup = async (req, res, next) => {
       throw new NotFoundError('User group not found');
     }
     
+    const previousGroupId = user.groupId;
+    
+    // Update user's primary group
+    user.groupId = group.id;
+    
     // Cannot demote oneself
-    if (user.id === req.user.id && group.name !== 'administrator') {
-      throw new AuthorizationError('You cannot demote yourself from administrator');
+    if (user.id === req.user.id) {
+      await ensureCanStillManageGroups(user);
     }
     
-    // Update user's group
-    user.groupId = groupId;
     await user.save();
     
+    await logAction({
+      actor: req.user,
+      action: 'user.changeGroup',
+      targetType: 'user',
+      targetId: user.id,
+      before: { groupId: previousGroupId },
+      after: { groupId: user.groupId },
+      reason: req.body.reason
+    }, req);
+    
     res.json({
       message: 'User group changed successfully',
       user: {
@@ -590,6 +792,163 @@ exports.changeUserGroup = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a user's primary and secondary groups (admin only)
+ */
+exports.getUserGroupMemberships = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.id, {
+      attributes: ['id', 'username', 'groupId'],
+      include: [{ model: UserGroup, as: 'group' }]
+    });
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    const secondaryGroups = await user.getUserGroups({
+      joinTableAttributes: ['expiresAt', 'addedBy', 'createdAt'],
+      order: [['priority', 'DESC'], ['displayOrder', 'ASC']]
+    });
+    
+    res.json({
+      user: {
+        id: user.id,
+        username: user.username
+      },
+      primaryGroup: user.group,
+      secondaryGroups: secondaryGroups.filter(group => group.id !== user.groupId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a user to a secondary group (admin only)
+ * The membership can be limited in time with either `expiresAt` (date) or `duration` (days).
+ * Adding an existing member updates the expiry of their membership.
+ */
+exports.addUserToGroup = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { groupId, expiresAt, duration } = req.body;
+    
+    if (!groupId) {
+      throw new ValidationError('Group ID is required');
+    }
+    
+    const user = await User.findByPk(id);
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    const group = await UserGroup.findByPk(groupId);
+    
+    if (!group) {
+      throw new NotFoundError('User group not found');
+    }
+    
+    if (group.name === 'guest') {
+      throw new ValidationError('Registered users cannot be added to the guest group');
+    }
+    
+    // Determine when the membership ends, if ever
+    let membershipExpiresAt = null;
+    
+    if (duration) {
+      membershipExpiresAt = new Date();
+      membershipExpiresAt.setDate(membershipExpiresAt.getDate() + parseInt(duration));
+    } else if (expiresAt) {
+      membershipExpiresAt = new Date(expiresAt);
+    }
+    
+    if (membershipExpiresAt && !(membershipExpiresAt > new Date())) {
+      throw new ValidationError('Membership expiry must be a date in the future');
+    }
+    
+    const existing = await UserGroupMembership.findOne({ where: { userId: user.id, groupId: group.id } });
+    
+    const [membership, created] = await UserGroupMembership.findOrCreate({
+      where: { userId: user.id, groupId: group.id },
+      defaults: {
+        expiresAt: membershipExpiresAt,
+        addedBy: req.user.id
+      }
+    });
+    
+    if (!created) {
+      membership.expiresAt = membershipExpiresAt;
+      membership.addedBy = req.user.id;
+      await membership.save();
+    }
+    
+    await logAction({
+      actor: req.user,
+      action: 'user.addToGroup',
+      targetType: 'user',
+      targetId: user.id,
+      before: existing ? { groupId: group.id, expiresAt: existing.expiresAt } : null,
+      after: { groupId: group.id, expiresAt: membership.expiresAt },
+      reason: req.body.reason
+    }, req);
+    
+    res.status(created ? 201 : 200).json({
+      message: created ? 'User added to group successfully' : 'Group membership updated successfully',
+      user: {
+        id: user.id,
+        username: user.username
+      },
+      group,
+      expiresAt: membership.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a user from a secondary group (admin only)
+ */
+exports.removeUserFromGroup = async (req, res, next) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const user = await User.findByPk(id);
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    const group = await UserGroup.findByPk(groupId);
+    
+    if (!group || !(await user.hasUserGroup(group))) {
+      throw new NotFoundError('User is not a member of this group');
+    }
+    
+    // Cannot demote oneself
+    if (user.id === req.user.id) {
+      await ensureCanStillManageGroups(user, group.id);
+    }
+    
+    await user.removeUserGroup(group);
+    
+    await logAction({
+      actor: req.user,
+      action: 'user.removeFromGroup',
+      targetType: 'user',
+      targetId: user.id,
+      before: { groupId: group.id },
+      reason: req.body.reason
+    }, req);
+    
+    res.json({ message: 'User removed from group successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all users (admin/moderator only)
  */
@@ -618,7 +977,7 @@ exports.getAllUsers = async (req, res, next) => {
     const { count, rows: users } = await User.findAndCountAll({
       where,
       include: [{ model: UserGroup, as: 'group' }],
-      attributes: { exclude: ['password', 'verificationToken'] },
+      attributes: { exclude: ['password', 'verificationToken', 'resetToken', 'resetTokenExpiresAt'] },
       order: [['createdAt', 'DESC']],
       limit: parseInt(limit),
       offset: parseInt(offset)
@@ -664,9 +1023,10 @@ exports.requestPasswordReset = async (req, res, next) => {
     user.resetTokenExpiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
     await user.save();
     
-    // TODO: Send email with reset link
-    // This would typically use a library like nodemailer
-    console.log(`Password reset link: ${config.app.frontendUrl}/reset-password/${resetToken}`);
+    await sendUserMail(user, 'passwordReset', {
+      link: `${config.app.frontendUrl}/reset-password/${resetToken}`,
+      expiresInHours: 24
+    });
     
     res.json({ message: 'If your email is registered, you will receive a password reset link' });
   } catch (error) {
@@ -694,15 +1054,11 @@ exports.resetPassword = async (req, res, next) => {
       throw new ValidationError('Passwords do not match');
     }
     
-    if (password.length < 8) {
-      throw new ValidationError('Password must be at least 8 characters long');
-    }
-    
     // Find user with this reset token
     const user = await User.findOne({
       where: { 
         resetToken: token,
-        resetTokenExpiresAt: { [sequelize.Op.gt]: new Date() }
+        resetTokenExpiresAt: { [Op.gt]: new Date() }
       }
     });
     
@@ -710,16 +1066,20 @@ exports.resetPassword = async (req, res, next) => {
       throw new ValidationError('Invalid or expired reset token');
     }
     
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const passwordErrors = checkPassword(password, user);
+    if (passwordErrors.length > 0) {
+      throw new ValidationError('Password does not meet the requirements', passwordErrors);
+    }
     
-    // Update password and clear reset token
-    user.password = hashedPassword;
+    // Update password (hashed by the model) and clear reset token
+    user.password = password;
     user.resetToken = null;
     user.resetTokenExpiresAt = null;
     await user.save();
     
+    // Log out everywhere, whoever knew the old password
+    await invalidateUserSessions(user);
+    
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     next(error);
@@ -0,0 +1,416 @@
+/**
+ * User Group Controller
+ * Handles administration of user groups, their permissions and memberships
+ */
+const { Op, QueryTypes } = require('sequelize');
+const { User, UserGroup, UserGroupMembership, sequelize } = require('../models');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { validateUserGroupData } = require('../utils/validators');
+const { PERMISSIONS, FORUM_PERMISSIONS, isStaffGroup } = require('../utils/permissions');
+
+// Groups the application relies on and which therefore cannot be deleted
+const PROTECTED_GROUPS = ['guest', 'administrator'];
+
+// Members of a group: users with it as their primary group or through a secondary membership
+const memberWhere = (group) => ({
+  [Op.or]: [
+    { groupId: group.id },
+    {
+      id: {
+        [Op.in]: sequelize.literal(`(SELECT "userId" FROM "UserGroupMemberships" WHERE "groupId" = ${sequelize.escape(group.id)})`)
+      }
+    }
+  ]
+});
+
+// Member counts of all groups in one query; users in a group both ways are counted once
+const countMembersByGroup = async () => {
+  const rows = await sequelize.query(
+    `SELECT "groupId", COUNT(*) AS "count" FROM (
+      SELECT "groupId", "id" AS "userId" FROM "Users" WHERE "groupId" IS NOT NULL
+      UNION
+      SELECT "groupId", "userId" FROM "UserGroupMemberships"
+    ) AS "members" GROUP BY "groupId"`,
+    { type: QueryTypes.SELECT }
+  );
+  
+  return new Map(rows.map(row => [row.groupId, parseInt(row.count, 10)]));
+};
+
+// Two-factor authentication can only be required of staff groups
+const checkTwoFactorRequirement = (group) => {
+  if (group.requireTwoFactor && !isStaffGroup(group)) {
+    throw new ValidationError('Two-factor authentication can only be required for groups with admin panel access or moderation permissions');
+  }
+};
+
+/**
+ * Get all user groups with member counts
+ */
+exports.getAllGroups = async (req, res, next) => {
+  try {
+    const groups = await UserGroup.findAll({
+      order: [['displayOrder', 'ASC'], ['id', 'ASC']]
+    });
+    
+    const memberCounts = await countMembersByGroup();
+    
+    for (const group of groups) {
+      group.dataValues.memberCount = memberCounts.get(group.id) || 0;
+    }
+    
+    res.json(groups);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the registry of known permission keys
+ */
+exports.getPermissionRegistry = (req, res) => {
+  res.json({
+    permissions: PERMISSIONS,
+    forumPermissions: FORUM_PERMISSIONS
+  });
+};
+
+/**
+ * Get a single user group
+ */
+exports.getGroup = async (req, res, next) => {
+  try {
+    const group = await UserGroup.findByPk(req.params.id);
+    
+    if (!group) {
+      throw new NotFoundError('User group not found');
+    }
+    
+    group.dataValues.memberCount = await User.count({ where: memberWhere(group) });
+    
+    res.json(group);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new user group
+ */
+exports.createGroup = async (req, res, next) => {
+  try {
+    const { name, displayName, description, color, priority = 0, requireTwoFactor = false, permissions = {} } = req.body;
+    
+    // Validate group data
+    const validationErrors = validateUserGroupData(req.body);
+    if (validationErrors.length > 0) {
+      throw new ValidationError('Validation failed', validationErrors);
+    }
+    
+    // Check if group name is taken
+    const existingGroup = await UserGroup.findOne({ where: { name } });
+    if (existingGroup) {
+      throw new ValidationError('A group with this name already exists');
+    }
+    
+    // New groups are listed last
+    const lastOrder = await UserGroup.max('displayOrder');
+    
+    const group = UserGroup.build({
+      name,
+      displayName,
+      description: description || null,
+      color: color || null,
+      priority,
+      requireTwoFactor,
+      permissions,
+      displayOrder: (lastOrder || 0) + 1
+    });
+    
+    checkTwoFactorRequirement(group);
+    await group.save();
+    
+    res.status(201).json(group);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a user group
+ */
+exports.updateGroup = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, displayName, description, color, priority, requireTwoFactor, permissions } = req.body;
+    
+    // Validate group data
+    const validationErrors = validateUserGroupData(req.body, true);
+    if (validationErrors.length > 0) {
+      throw new ValidationError('Validation failed', validationErrors);
+    }
+    
+    const group = await UserGroup.findByPk(id);
+    
+    if (!group) {
+      throw new NotFoundError('User group not found');
+    }
+    
+    // Built-in groups are referenced by name
+    if (name && name !== group.name) {
+      if (PROTECTED_GROUPS.includes(group.name)) {
+        throw new ValidationError(`The ${group.name} group cannot be renamed`);
+      }
+      
+      const existingGroup = await UserGroup.findOne({ where: { name } });
+      if (existingGroup) {
+        throw new ValidationError('A group with this name already exists');
+      }
+      
+      group.name = name;
+    }
+    
+    if (displayName !== undefined) {
+      group.displayName = displayName;
+    }
+    
+    if (description !== undefined) {
+      group.description = description;
+    }
+    
+    if (color !== undefined) {
+      group.color = color || null;
+    }
+    
+    // Higher priority groups win when a user's groups set conflicting permissions
+    if (priority !== undefined) {
+      group.priority = priority;
+    }
+    
+    if (requireTwoFactor !== undefined) {
+      group.requireTwoFactor = requireTwoFactor;
+    }
+    
+    if (permissions !== undefined) {
+      group.permissions = permissions;
+    }
+    
+    // Also rejects dropping staff permissions from a group that requires two-factor authentication
+    checkTwoFactorRequirement(group);
+    
+    await group.save();
+    
+    res.json(group);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder user groups
+ */
+exports.reorderGroups = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    if (!Array.isArray(req.body.groupIds) || req.body.groupIds.length === 0) {
+      throw new ValidationError('groupIds must be a non-empty array');
+    }
+    
+    const groupIds = req.body.groupIds.map(Number);
+    
+    const groups = await UserGroup.findAll({ where: { id: groupIds } });
+    
+    if (groups.length !== new Set(groupIds).size) {
+      throw new NotFoundError('One or more user groups not found');
+    }
+    
+    // Groups are ordered as listed
+    for (const group of groups) {
+      group.displayOrder = groupIds.indexOf(group.id);
+      await group.save({ transaction });
+    }
+    
+    await transaction.commit();
+    
+    const orderedGroups = await UserGroup.findAll({
+      order: [['displayOrder', 'ASC'], ['id', 'ASC']]
+    });
+    
+    res.json(orderedGroups);
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * Set the group new users are added to
+ */
+exports.setDefaultGroup = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const group = await UserGroup.findByPk(req.params.id);
+    
+    if (!group) {
+      throw new NotFoundError('User group not found');
+    }
+    
+    if (group.name === 'guest') {
+      throw new ValidationError('The guest group cannot be the default group');
+    }
+    
+    // Only one group can be the default
+    await UserGroup.update(
+      { isDefault: false },
+      { where: { isDefault: true }, transaction }
+    );
+    
+    group.isDefault = true;
+    await group.save({ transaction });
+    
+    await transaction.commit();
+    
+    res.json(group);
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * Get members of a user group with pagination
+ */
+exports.getGroupMembers = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    const group = await UserGroup.findByPk(id);
+    
+    if (!group) {
+      throw new NotFoundError('User group not found');
+    }
+    
+    const [count, members] = await Promise.all([
+      User.count({ where: memberWhere(group) }),
+      User.findAll({
+        where: memberWhere(group),
+        attributes: ['id', 'username', 'avatar', 'title', 'postCount', 'groupId', 'createdAt'],
+        order: [['username', 'ASC']],
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      })
+    ]);
+    
+    // Secondary memberships carry their expiry and who added the member
+    const memberships = await UserGroupMembership.findAll({
+      attributes: ['userId', 'expiresAt', 'addedBy', 'createdAt'],
+      where: { groupId: group.id, userId: members.map(member => member.id) }
+    });
+    
+    for (const member of members) {
+      const membership = memberships.find(entry => entry.userId === member.id);
+      member.dataValues.isPrimary = member.groupId === group.id;
+      member.dataValues.UserGroupMembership = membership
+        ? { expiresAt: membership.expiresAt, addedBy: membership.addedBy, createdAt: membership.createdAt }
+        : null;
+    }
+    
+    res.json({
+      group,
+      members,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a user group, moving its members to a fallback group
+ */
+exports.deleteGroup = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id } = req.params;
+    const { fallbackGroupId } = req.body;
+    
+    if (!fallbackGroupId) {
+      throw new ValidationError('A fallback group for the members is required');
+    }
+    
+    const group = await UserGroup.findByPk(id);
+    
+    if (!group) {
+      throw new NotFoundError('User group not found');
+    }
+    
+    if (PROTECTED_GROUPS.includes(group.name)) {
+      throw new ValidationError(`The ${group.name} group cannot be deleted`);
+    }
+    
+    if (group.isDefault) {
+      throw new ValidationError('The default group cannot be deleted. Set another default group first.');
+    }
+    
+    const fallbackGroup = await UserGroup.findByPk(fallbackGroupId);
+    
+    if (!fallbackGroup) {
+      throw new NotFoundError('Fallback group not found');
+    }
+    
+    if (fallbackGroup.id === group.id || fallbackGroup.name === 'guest') {
+      throw new ValidationError('Invalid fallback group');
+    }
+    
+    // Move members to the fallback group, keeping the expiry of time-limited memberships;
+    // existing memberships of the fallback group are kept as they are
+    const memberships = await UserGroupMembership.findAll({
+      where: { groupId: group.id },
+      transaction
+    });
+    
+    const existingMemberIds = (await UserGroupMembership.findAll({
+      attributes: ['userId'],
+      where: { groupId: fallbackGroup.id },
+      transaction
+    })).map(membership => membership.userId);
+    
+    const movedMemberships = memberships.filter(membership => !existingMemberIds.includes(membership.userId));
+    
+    await UserGroupMembership.bulkCreate(movedMemberships.map(membership => ({
+      userId: membership.userId,
+      groupId: fallbackGroup.id,
+      expiresAt: membership.expiresAt,
+      addedBy: membership.addedBy
+    })), { transaction });
+    
+    // Users with the group as their primary group get the fallback group instead
+    const [movedPrimaryMembers] = await User.update(
+      { groupId: fallbackGroup.id },
+      { where: { groupId: group.id }, transaction }
+    );
+    
+    // Delete the group along with its memberships
+    await UserGroupMembership.destroy({ where: { groupId: group.id }, transaction });
+    await group.destroy({ transaction });
+    
+    await transaction.commit();
+    
+    res.status(200).json({
+      message: 'User group deleted successfully',
+      movedMembers: memberships.length + movedPrimaryMembers
+    });
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
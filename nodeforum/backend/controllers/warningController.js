@@ -0,0 +1,93 @@
+/**
+ * Warning Controller
+ * Handles warnings, their point thresholds and the warning settings
+ */
+const {
+  getWarningSettings,
+  updateWarningSettings,
+  issueWarning,
+  revokeWarning,
+  getUserWarnings
+} = require('../utils/warnings');
+
+/**
+ * Get the warning types and point thresholds
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    res.json(await getWarningSettings());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the warning types or point thresholds
+ */
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const settings = await updateWarningSettings(req.body, req.user);
+    
+    res.json({
+      message: 'Warning settings updated',
+      settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's active warnings
+ */
+exports.getOwnWarnings = async (req, res, next) => {
+  try {
+    res.json(await getUserWarnings(req.user.id, { activeOnly: true }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all warnings of a user, including expired and revoked ones
+ */
+exports.getUserWarnings = async (req, res, next) => {
+  try {
+    res.json(await getUserWarnings(req.params.userId, { forModerators: true }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Warn a user
+ * The user gets a private message; consequences of reached thresholds are applied right away.
+ */
+exports.issueWarning = async (req, res, next) => {
+  try {
+    const result = await issueWarning(req.user, req.params.userId, req.body, req);
+    
+    res.status(201).json({
+      message: 'Warning issued',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a warning
+ */
+exports.revokeWarning = async (req, res, next) => {
+  try {
+    const warning = await revokeWarning(req.user, req.params.id, req, req.body.reason);
+    
+    res.json({
+      message: 'Warning revoked',
+      warning
+    });
+  } catch (error) {
+    next(error);
+  }
+};
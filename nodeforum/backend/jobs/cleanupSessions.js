@@ -0,0 +1,21 @@
+/**
+ * Cleanup Sessions Job
+ * Deletes sessions that can no longer be used
+ */
+const { Op } = require('sequelize');
+const { Session } = require('../models');
+
+/**
+ * Delete expired and revoked sessions
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+module.exports = async () => {
+  return Session.destroy({
+    where: {
+      [Op.or]: [
+        { expiresAt: { [Op.lte]: new Date() } },
+        { revokedAt: { [Op.ne]: null } }
+      ]
+    }
+  });
+};
@@ -0,0 +1,42 @@
+/**
+ * Expire Group Memberships Job
+ * Removes time-limited secondary group memberships once they have expired, recording each
+ * removal in the audit log
+ */
+const { Op } = require('sequelize');
+const { User, UserGroup, UserGroupMembership } = require('../models');
+const { logAction } = require('../utils/auditLog');
+
+/**
+ * Remove all expired group memberships
+ * @returns {Promise<number>} Number of memberships removed
+ */
+module.exports = async () => {
+  const memberships = await UserGroupMembership.findAll({
+    where: {
+      expiresAt: { [Op.lte]: new Date() }
+    },
+    include: [
+      { model: User, attributes: ['id', 'username'] },
+      { model: UserGroup, attributes: ['id', 'name'] }
+    ]
+  });
+
+  for (const membership of memberships) {
+    await membership.destroy();
+
+    await logAction({
+      actor: null,
+      action: 'user.groupMembershipExpired',
+      targetType: 'user',
+      targetId: membership.userId,
+      before: { groupId: membership.groupId, expiresAt: membership.expiresAt },
+      details: {
+        username: membership.User ? membership.User.username : null,
+        group: membership.UserGroup ? membership.UserGroup.name : null
+      }
+    });
+  }
+
+  return memberships.length;
+};
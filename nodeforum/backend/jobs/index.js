@@ -0,0 +1,47 @@
+/**
+ * Background Jobs
+ * Runs periodic maintenance tasks while the server is up
+ */
+const config = require('../config/config');
+const expireGroupMemberships = require('./expireGroupMemberships');
+const cleanupSessions = require('./cleanupSessions');
+const pruneLoginAttempts = require('./pruneLoginAttempts');
+const processOutbox = require('./processOutbox');
+const liftExpiredBans = require('./liftExpiredBans');
+
+// Jobs and how often they run, in milliseconds
+const JOBS = [
+  { name: 'expireGroupMemberships', run: expireGroupMemberships, interval: config.jobs.interval },
+  { name: 'cleanupSessions', run: cleanupSessions, interval: 60 * 60 * 1000 },
+  { name: 'pruneLoginAttempts', run: pruneLoginAttempts, interval: 60 * 60 * 1000 },
+  { name: 'processOutbox', run: processOutbox, interval: config.jobs.interval },
+  { name: 'liftExpiredBans', run: liftExpiredBans, interval: config.jobs.interval }
+];
+
+/**
+ * Run a job, logging failures instead of crashing the server
+ * @param {Object} job - Job definition
+ */
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  }
+};
+
+/**
+ * Start all background jobs
+ * Each job runs once at startup and then on its interval.
+ * @returns {Array} Interval timers, for stopping the jobs
+ */
+exports.startJobs = () => {
+  if (!config.jobs.enabled) {
+    return [];
+  }
+
+  return JOBS.map(job => {
+    runJob(job);
+    return setInterval(() => runJob(job), job.interval);
+  });
+};
@@ -0,0 +1,11 @@
+/**
+ * Lift Expired Bans Job
+ * Clears the ban of users whose ban has run out
+ */
+const { liftExpiredBans } = require('../utils/bans');
+
+/**
+ * Lift bans past their end
+ * @returns {Promise<number>} Number of users whose ban was lifted
+ */
+module.exports = () => liftExpiredBans();
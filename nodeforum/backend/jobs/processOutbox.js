@@ -0,0 +1,7 @@
+/**
+ * Process Outbox Job
+ * Retries emails whose delivery failed
+ */
+const { processOutbox } = require('../mailer');
+
+module.exports = () => processOutbox();
@@ -0,0 +1,14 @@
+/**
+ * Prune Login Attempts Job
+ * Forgets failed login attempts and login link requests that no longer count towards a limit,
+ * and used anti-bot challenges that have expired
+ */
+const { pruneAttempts } = require('../utils/loginThrottle');
+const { pruneMagicLinkRequests } = require('../utils/magicLinks');
+const { pruneUsedChallenges } = require('../utils/antiBot');
+
+module.exports = async () => {
+  await pruneAttempts();
+  await pruneMagicLinkRequests();
+  await pruneUsedChallenges();
+};
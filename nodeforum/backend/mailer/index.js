@@ -0,0 +1,152 @@
+/**
+ * Mailer
+ * Renders templated emails, stores them in the outbox and delivers them through the
+ * configured transport. Failed deliveries stay in the outbox and are retried by the
+ * processOutbox job.
+ */
+const { Op } = require('sequelize');
+const { OutboxEmail } = require('../models');
+const { renderTemplate, isSupportedLocale } = require('./render');
+const config = require('../config/config');
+
+const TRANSPORTS = {
+  smtp: require('./transports/smtp'),
+  file: require('./transports/file')
+};
+
+let transport = null;
+
+/**
+ * Get the configured transport
+ * @returns {Object} Transport with send(message)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const createTransport = TRANSPORTS[config.email.transport];
+
+    if (!createTransport) {
+      throw new Error(`Unknown email transport: ${config.email.transport}`);
+    }
+
+    transport = createTransport(config.email);
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the transport, e.g. with a stub in tests
+ * @param {Object|null} customTransport - Transport with send(message), or null for the configured one
+ */
+exports.setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Try to deliver an outbox email, scheduling a retry if it fails
+ * @param {Object} email - OutboxEmail instance
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const deliver = async (email) => {
+  email.attempts += 1;
+
+  try {
+    await getTransport().send({
+      from: config.email.from,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text
+    });
+
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.nextAttemptAt = null;
+    email.lastError = null;
+  } catch (error) {
+    email.lastError = error.message;
+
+    if (email.attempts >= config.email.maxAttempts) {
+      email.status = 'failed';
+      email.nextAttemptAt = null;
+      console.error(`Email ${email.id} to ${email.to} failed permanently:`, error.message);
+    } else {
+      // Wait longer after every failed attempt
+      const delay = config.email.retryDelayMinutes * (2 ** (email.attempts - 1));
+      email.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+    }
+  }
+
+  await email.save();
+
+  return email.status === 'sent';
+};
+
+/**
+ * Send a templated email
+ * The email is stored in the outbox first; delivery failures do not throw.
+ * @param {string} template - Template name, e.g. 'verification'
+ * @param {Object} options - { to, locale, data }
+ * @returns {Promise<Object>} OutboxEmail instance
+ */
+exports.sendMail = async (template, { to, locale, data = {} }) => {
+  const resolvedLocale = isSupportedLocale(locale) ? locale : config.email.defaultLocale;
+  const { subject, html, text } = renderTemplate(template, resolvedLocale, data);
+
+  const email = await OutboxEmail.create({
+    to,
+    template,
+    locale: resolvedLocale,
+    subject,
+    html,
+    text,
+    // Keeps the job from picking the email up while it is being sent below
+    nextAttemptAt: new Date(Date.now() + config.email.retryDelayMinutes * 60 * 1000)
+  });
+
+  await deliver(email);
+
+  return email;
+};
+
+/**
+ * Send a templated email to a user in their language
+ * @param {Object} user - User instance
+ * @param {string} template - Template name
+ * @param {Object} [data] - Template data; the username is added
+ * @returns {Promise<Object>} OutboxEmail instance
+ */
+exports.sendUserMail = (user, template, data = {}) => {
+  return exports.sendMail(template, {
+    to: user.email,
+    locale: user.locale,
+    data: { username: user.username, ...data }
+  });
+};
+
+/**
+ * Retry pending emails that are due
+ * @param {number} [limit] - Maximum number of emails to process
+ * @returns {Promise<number>} Number of emails sent
+ */
+exports.processOutbox = async (limit = 50) => {
+  const emails = await OutboxEmail.findAll({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    order: [['nextAttemptAt', 'ASC']],
+    limit
+  });
+
+  let sent = 0;
+  for (const email of emails) {
+    if (await deliver(email)) {
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+exports.isSupportedLocale = isSupportedLocale;
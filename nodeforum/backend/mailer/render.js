@@ -0,0 +1,115 @@
+/**
+ * Email Template Rendering
+ * Templates live in templates/<locale>.js and are plain functions of their data. HTML templates
+ * use the `html` tag, which escapes every interpolated value unless it is marked with `raw`.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+// Marks already rendered HTML so it is not escaped again
+class RawHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Mark a string as safe HTML
+ * @param {string} value - HTML
+ * @returns {RawHtml}
+ */
+const raw = (value) => new RawHtml(value);
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Render a single interpolated value; arrays are joined so templates can map over lists
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+
+  return value instanceof RawHtml ? value.value : escapeHtml(value);
+};
+
+/**
+ * Tag for HTML templates
+ * @example html`<p>Hello ${username}</p>`
+ * @returns {RawHtml} Rendered HTML
+ */
+const html = (strings, ...values) => {
+  return raw(strings.reduce((result, string, i) => result + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+};
+
+exports.html = html;
+exports.raw = raw;
+
+// Locales are the template files present
+const supportedLocales = fs.readdirSync(TEMPLATES_DIR)
+  .filter(file => file.endsWith('.js'))
+  .map(file => path.basename(file, '.js'));
+
+exports.supportedLocales = supportedLocales;
+
+/**
+ * Check whether emails can be sent in a locale
+ * @param {string} locale - Locale code, e.g. 'en'
+ * @returns {boolean}
+ */
+exports.isSupportedLocale = (locale) => supportedLocales.includes(locale);
+
+const loadTemplates = (locale) => require(path.join(TEMPLATES_DIR, `${locale}.js`));
+
+/**
+ * Render an email
+ * Falls back to the default locale when the locale or the template is not available in it.
+ * @param {string} name - Template name, e.g. 'verification'
+ * @param {string} [locale] - Preferred locale
+ * @param {Object} [data] - Template data
+ * @returns {Object} { subject, html, text }
+ */
+exports.renderTemplate = (name, locale, data = {}) => {
+  const defaultLocale = config.email.defaultLocale;
+  let templates = supportedLocales.includes(locale) ? loadTemplates(locale) : null;
+
+  if (!templates || !templates[name]) {
+    templates = loadTemplates(defaultLocale);
+  }
+
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const context = {
+    siteName: config.app.name,
+    siteUrl: config.app.frontendUrl,
+    ...data
+  };
+
+  const subject = template.subject(context);
+
+  return {
+    subject,
+    html: templates.layout.html({ ...context, subject, content: template.html(context) }).toString(),
+    text: templates.layout.text({ ...context, subject, content: template.text(context) })
+  };
+};
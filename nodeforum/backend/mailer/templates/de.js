@@ -0,0 +1,197 @@
+/**
+ * German email templates
+ */
+const { html } = require('../render');
+
+const button = (link, label) => html`
+  <p style="margin: 24px 0;">
+    <a href="${link}" style="background: #1976d2; color: #ffffff; padding: 10px 20px; border-radius: 4px; text-decoration: none;">${label}</a>
+  </p>
+  <p style="font-size: 12px; color: #666666;">Falls der Button nicht funktioniert, kopiere diesen Link in deinen Browser:<br>${link}</p>`;
+
+module.exports = {
+  layout: {
+    html: ({ subject, content, siteName, siteUrl }) => html`<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="utf-8">
+  <title>${subject}</title>
+</head>
+<body style="font-family: Arial, sans-serif; font-size: 14px; color: #222222; background: #f5f5f5; margin: 0; padding: 24px;">
+  <div style="max-width: 600px; margin: 0 auto; background: #ffffff; padding: 24px; border-radius: 4px;">
+    ${content}
+  </div>
+  <p style="max-width: 600px; margin: 12px auto; font-size: 12px; color: #888888; text-align: center;">
+    Diese E-Mail wurde von <a href="${siteUrl}" style="color: #888888;">${siteName}</a> gesendet.
+  </p>
+</body>
+</html>`,
+    text: ({ content, siteName, siteUrl }) => `${content}
+
+--
+${siteName}
+${siteUrl}
+`
+  },
+
+  verification: {
+    subject: ({ siteName }) => `Bestätige deine E-Mail-Adresse für ${siteName}`,
+    html: ({ username, link, siteName }) => html`
+      <p>Hallo ${username},</p>
+      <p>danke für deine Registrierung bei ${siteName}. Bitte bestätige deine E-Mail-Adresse, um dein Konto zu aktivieren.</p>
+      ${button(link, 'E-Mail-Adresse bestätigen')}
+      <p>Falls du kein Konto erstellt hast, kannst du diese E-Mail ignorieren.</p>`,
+    text: ({ username, link, siteName }) => `Hallo ${username},
+
+danke für deine Registrierung bei ${siteName}. Bitte bestätige deine E-Mail-Adresse, um dein Konto zu aktivieren:
+
+${link}
+
+Falls du kein Konto erstellt hast, kannst du diese E-Mail ignorieren.`
+  },
+
+  passwordReset: {
+    subject: ({ siteName }) => `Setze dein Passwort für ${siteName} zurück`,
+    html: ({ username, link, expiresInHours }) => html`
+      <p>Hallo ${username},</p>
+      <p>wir haben eine Anfrage zum Zurücksetzen deines Passworts erhalten. Der folgende Link ist ${expiresInHours} Stunden gültig.</p>
+      ${button(link, 'Passwort zurücksetzen')}
+      <p>Falls du das nicht angefordert hast, kannst du diese E-Mail ignorieren. Dein Passwort bleibt unverändert.</p>`,
+    text: ({ username, link, expiresInHours }) => `Hallo ${username},
+
+wir haben eine Anfrage zum Zurücksetzen deines Passworts erhalten. Der folgende Link ist ${expiresInHours} Stunden gültig:
+
+${link}
+
+Falls du das nicht angefordert hast, kannst du diese E-Mail ignorieren. Dein Passwort bleibt unverändert.`
+  },
+
+  magicLink: {
+    subject: ({ siteName }) => `Dein Anmeldelink für ${siteName}`,
+    html: ({ username, link, expiresInMinutes }) => html`
+      <p>Hallo ${username},</p>
+      <p>mit dem folgenden Button kannst du dich anmelden. Der Link ist ${expiresInMinutes} Minuten gültig, kann nur einmal verwendet werden und funktioniert nur in dem Browser, in dem du ihn angefordert hast.</p>
+      ${button(link, 'Anmelden')}
+      <p>Falls du keinen Anmeldelink angefordert hast, kannst du diese E-Mail ignorieren.</p>`,
+    text: ({ username, link, expiresInMinutes }) => `Hallo ${username},
+
+mit dem folgenden Link kannst du dich anmelden. Er ist ${expiresInMinutes} Minuten gültig, kann nur einmal verwendet werden und funktioniert nur in dem Browser, in dem du ihn angefordert hast:
+
+${link}
+
+Falls du keinen Anmeldelink angefordert hast, kannst du diese E-Mail ignorieren.`
+  },
+
+  emailChangeConfirm: {
+    subject: ({ siteName }) => `Bestätige deine neue E-Mail-Adresse für ${siteName}`,
+    html: ({ username, newEmail, link, expiresInHours }) => html`
+      <p>Hallo ${username},</p>
+      <p>du möchtest die E-Mail-Adresse deines Kontos in ${newEmail} ändern. Bitte bestätige die neue Adresse. Der Link ist ${expiresInHours} Stunden gültig.</p>
+      ${button(link, 'E-Mail-Adresse bestätigen')}
+      <p>Bis zur Bestätigung verwendet dein Konto weiterhin deine bisherige Adresse. Falls du diese Änderung nicht angefordert hast, kannst du diese E-Mail ignorieren.</p>`,
+    text: ({ username, newEmail, link, expiresInHours }) => `Hallo ${username},
+
+du möchtest die E-Mail-Adresse deines Kontos in ${newEmail} ändern. Bitte bestätige die neue Adresse. Der Link ist ${expiresInHours} Stunden gültig:
+
+${link}
+
+Bis zur Bestätigung verwendet dein Konto weiterhin deine bisherige Adresse. Falls du diese Änderung nicht angefordert hast, kannst du diese E-Mail ignorieren.`
+  },
+
+  emailChanged: {
+    subject: ({ siteName }) => `Die E-Mail-Adresse deines Kontos bei ${siteName} wurde geändert`,
+    html: ({ username, newEmail, link, expiresInDays }) => html`
+      <p>Hallo ${username},</p>
+      <p>die E-Mail-Adresse deines Kontos wurde in ${newEmail} geändert. An diese Adresse werden keine E-Mails mehr gesendet.</p>
+      <p>Falls du das nicht warst, kannst du die Änderung innerhalb von ${expiresInDays} Tagen rückgängig machen. Dabei werden alle Geräte abgemeldet, die dein Konto verwenden:</p>
+      ${button(link, 'Änderung rückgängig machen')}
+      <p>Setze danach dein Passwort zurück, damit sich niemand sonst anmelden kann.</p>`,
+    text: ({ username, newEmail, link, expiresInDays }) => `Hallo ${username},
+
+die E-Mail-Adresse deines Kontos wurde in ${newEmail} geändert. An diese Adresse werden keine E-Mails mehr gesendet.
+
+Falls du das nicht warst, kannst du die Änderung innerhalb von ${expiresInDays} Tagen rückgängig machen. Dabei werden alle Geräte abgemeldet, die dein Konto verwenden:
+
+${link}
+
+Setze danach dein Passwort zurück, damit sich niemand sonst anmelden kann.`
+  },
+
+  accountApproved: {
+    subject: ({ siteName }) => `Dein Konto bei ${siteName} wurde freigeschaltet`,
+    html: ({ username, link, siteName }) => html`
+      <p>Hallo ${username},</p>
+      <p>dein Konto bei ${siteName} wurde freigeschaltet. Du kannst dich jetzt anmelden.</p>
+      ${button(link, 'Anmelden')}`,
+    text: ({ username, link, siteName }) => `Hallo ${username},
+
+dein Konto bei ${siteName} wurde freigeschaltet. Du kannst dich jetzt anmelden:
+
+${link}`
+  },
+
+  reportResolved: {
+    subject: ({ siteName }) => `Deine Meldung bei ${siteName} wurde bearbeitet`,
+    html: ({ username, feedback, link }) => html`
+      <p>Hallo ${username},</p>
+      <p>danke für deine Meldung. Ein Moderator hat sie geprüft und Maßnahmen ergriffen.</p>
+      ${feedback ? html`<p>Nachricht der Moderatoren:</p><blockquote>${feedback}</blockquote>` : ''}
+      ${button(link, 'Meine Meldungen ansehen')}`,
+    text: ({ username, feedback, link }) => `Hallo ${username},
+
+danke für deine Meldung. Ein Moderator hat sie geprüft und Maßnahmen ergriffen.
+${feedback ? `\nNachricht der Moderatoren:\n\n${feedback}\n` : ''}
+${link}`
+  },
+
+  accountUnlock: {
+    subject: ({ siteName }) => `Dein Konto bei ${siteName} wurde gesperrt`,
+    html: ({ username, link }) => html`
+      <p>Hallo ${username},</p>
+      <p>dein Konto wurde nach zu vielen fehlgeschlagenen Anmeldeversuchen vorübergehend gesperrt.</p>
+      <p>Falls diese Versuche von dir stammen, kannst du dein Konto sofort entsperren:</p>
+      ${button(link, 'Konto entsperren')}
+      <p>Falls nicht, versucht möglicherweise jemand, dein Passwort zu erraten. Dein Konto wird nach einiger Zeit automatisch entsperrt; ändere nach der nächsten Anmeldung am besten dein Passwort.</p>`,
+    text: ({ username, link }) => `Hallo ${username},
+
+dein Konto wurde nach zu vielen fehlgeschlagenen Anmeldeversuchen vorübergehend gesperrt.
+
+Falls diese Versuche von dir stammen, kannst du dein Konto sofort entsperren:
+
+${link}
+
+Falls nicht, versucht möglicherweise jemand, dein Passwort zu erraten. Dein Konto wird nach einiger Zeit automatisch entsperrt; ändere nach der nächsten Anmeldung am besten dein Passwort.`
+  },
+
+  notification: {
+    subject: ({ title }) => title,
+    html: ({ username, message, link }) => html`
+      <p>Hallo ${username},</p>
+      <p>${message}</p>
+      ${link ? button(link, 'Ansehen') : ''}`,
+    text: ({ username, message, link }) => `Hallo ${username},
+
+${message}
+${link ? `\n${link}\n` : ''}`
+  },
+
+  digest: {
+    subject: ({ siteName, period }) => `Deine ${period === 'weekly' ? 'wöchentliche' : 'tägliche'} Zusammenfassung von ${siteName}`,
+    html: ({ username, threads, period }) => html`
+      <p>Hallo ${username},</p>
+      <p>Das ist ${period === 'weekly' ? 'diese Woche' : 'heute'} passiert:</p>
+      <ul style="padding-left: 20px;">
+        ${threads.map(thread => html`
+        <li style="margin-bottom: 8px;">
+          <a href="${thread.url}">${thread.title}</a><br>
+          <span style="font-size: 12px; color: #666666;">${thread.forumName} &middot; ${thread.replyCount} ${thread.replyCount === 1 ? 'neue Antwort' : 'neue Antworten'}</span>
+        </li>`)}
+      </ul>`,
+    text: ({ username, threads, period }) => `Hallo ${username},
+
+Das ist ${period === 'weekly' ? 'diese Woche' : 'heute'} passiert:
+
+${threads.map(thread => `* ${thread.title} (${thread.forumName}, ${thread.replyCount} ${thread.replyCount === 1 ? 'neue Antwort' : 'neue Antworten'})
+  ${thread.url}`).join('\n')}`
+  }
+};
@@ -0,0 +1,197 @@
+/**
+ * English email templates
+ */
+const { html } = require('../render');
+
+const button = (link, label) => html`
+  <p style="margin: 24px 0;">
+    <a href="${link}" style="background: #1976d2; color: #ffffff; padding: 10px 20px; border-radius: 4px; text-decoration: none;">${label}</a>
+  </p>
+  <p style="font-size: 12px; color: #666666;">If the button does not work, copy this link into your browser:<br>${link}</p>`;
+
+module.exports = {
+  layout: {
+    html: ({ subject, content, siteName, siteUrl }) => html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${subject}</title>
+</head>
+<body style="font-family: Arial, sans-serif; font-size: 14px; color: #222222; background: #f5f5f5; margin: 0; padding: 24px;">
+  <div style="max-width: 600px; margin: 0 auto; background: #ffffff; padding: 24px; border-radius: 4px;">
+    ${content}
+  </div>
+  <p style="max-width: 600px; margin: 12px auto; font-size: 12px; color: #888888; text-align: center;">
+    This email was sent by <a href="${siteUrl}" style="color: #888888;">${siteName}</a>.
+  </p>
+</body>
+</html>`,
+    text: ({ content, siteName, siteUrl }) => `${content}
+
+--
+${siteName}
+${siteUrl}
+`
+  },
+
+  verification: {
+    subject: ({ siteName }) => `Verify your email address for ${siteName}`,
+    html: ({ username, link, siteName }) => html`
+      <p>Hello ${username},</p>
+      <p>Thanks for registering at ${siteName}. Please confirm your email address to activate your account.</p>
+      ${button(link, 'Verify email address')}
+      <p>If you did not create an account, you can ignore this email.</p>`,
+    text: ({ username, link, siteName }) => `Hello ${username},
+
+Thanks for registering at ${siteName}. Please confirm your email address to activate your account:
+
+${link}
+
+If you did not create an account, you can ignore this email.`
+  },
+
+  passwordReset: {
+    subject: ({ siteName }) => `Reset your ${siteName} password`,
+    html: ({ username, link, expiresInHours }) => html`
+      <p>Hello ${username},</p>
+      <p>We received a request to reset your password. The link below is valid for ${expiresInHours} hours.</p>
+      ${button(link, 'Reset password')}
+      <p>If you did not request a password reset, you can ignore this email. Your password will not change.</p>`,
+    text: ({ username, link, expiresInHours }) => `Hello ${username},
+
+We received a request to reset your password. The link below is valid for ${expiresInHours} hours:
+
+${link}
+
+If you did not request a password reset, you can ignore this email. Your password will not change.`
+  },
+
+  magicLink: {
+    subject: ({ siteName }) => `Your ${siteName} login link`,
+    html: ({ username, link, expiresInMinutes }) => html`
+      <p>Hello ${username},</p>
+      <p>Use the button below to log in. The link is valid for ${expiresInMinutes} minutes, can be used once and only works in the browser where you requested it.</p>
+      ${button(link, 'Log in')}
+      <p>If you did not request a login link, you can ignore this email.</p>`,
+    text: ({ username, link, expiresInMinutes }) => `Hello ${username},
+
+Use the link below to log in. It is valid for ${expiresInMinutes} minutes, can be used once and only works in the browser where you requested it:
+
+${link}
+
+If you did not request a login link, you can ignore this email.`
+  },
+
+  emailChangeConfirm: {
+    subject: ({ siteName }) => `Confirm your new email address for ${siteName}`,
+    html: ({ username, newEmail, link, expiresInHours }) => html`
+      <p>Hello ${username},</p>
+      <p>You asked to change the email address of your account to ${newEmail}. Please confirm the new address. The link is valid for ${expiresInHours} hours.</p>
+      ${button(link, 'Confirm email address')}
+      <p>Until you confirm, your account keeps using your current address. If you did not ask for this change, you can ignore this email.</p>`,
+    text: ({ username, newEmail, link, expiresInHours }) => `Hello ${username},
+
+You asked to change the email address of your account to ${newEmail}. Please confirm the new address. The link is valid for ${expiresInHours} hours:
+
+${link}
+
+Until you confirm, your account keeps using your current address. If you did not ask for this change, you can ignore this email.`
+  },
+
+  emailChanged: {
+    subject: ({ siteName }) => `The email address of your ${siteName} account was changed`,
+    html: ({ username, newEmail, link, expiresInDays }) => html`
+      <p>Hello ${username},</p>
+      <p>The email address of your account was changed to ${newEmail}. Emails will no longer be sent to this address.</p>
+      <p>If you did not make this change, undo it within ${expiresInDays} days. This also logs out every device using your account:</p>
+      ${button(link, 'Undo the change')}
+      <p>Afterwards, reset your password to make sure nobody else can log in.</p>`,
+    text: ({ username, newEmail, link, expiresInDays }) => `Hello ${username},
+
+The email address of your account was changed to ${newEmail}. Emails will no longer be sent to this address.
+
+If you did not make this change, undo it within ${expiresInDays} days. This also logs out every device using your account:
+
+${link}
+
+Afterwards, reset your password to make sure nobody else can log in.`
+  },
+
+  accountApproved: {
+    subject: ({ siteName }) => `Your ${siteName} account has been approved`,
+    html: ({ username, link, siteName }) => html`
+      <p>Hello ${username},</p>
+      <p>Your account at ${siteName} has been approved. You can log in now.</p>
+      ${button(link, 'Log in')}`,
+    text: ({ username, link, siteName }) => `Hello ${username},
+
+Your account at ${siteName} has been approved. You can log in now:
+
+${link}`
+  },
+
+  reportResolved: {
+    subject: ({ siteName }) => `Your report on ${siteName} has been resolved`,
+    html: ({ username, feedback, link }) => html`
+      <p>Hello ${username},</p>
+      <p>Thank you for your report. A moderator has looked into it and taken action.</p>
+      ${feedback ? html`<p>Message from the moderators:</p><blockquote>${feedback}</blockquote>` : ''}
+      ${button(link, 'View your reports')}`,
+    text: ({ username, feedback, link }) => `Hello ${username},
+
+Thank you for your report. A moderator has looked into it and taken action.
+${feedback ? `\nMessage from the moderators:\n\n${feedback}\n` : ''}
+${link}`
+  },
+
+  accountUnlock: {
+    subject: ({ siteName }) => `Your ${siteName} account has been locked`,
+    html: ({ username, link }) => html`
+      <p>Hello ${username},</p>
+      <p>Your account has been temporarily locked after too many failed login attempts.</p>
+      <p>If these attempts were yours, you can unlock your account right away:</p>
+      ${button(link, 'Unlock account')}
+      <p>If they were not, someone may be trying to guess your password. Your account unlocks by itself after a while; consider changing your password once you are logged in.</p>`,
+    text: ({ username, link }) => `Hello ${username},
+
+Your account has been temporarily locked after too many failed login attempts.
+
+If these attempts were yours, you can unlock your account right away:
+
+${link}
+
+If they were not, someone may be trying to guess your password. Your account unlocks by itself after a while; consider changing your password once you are logged in.`
+  },
+
+  notification: {
+    subject: ({ title }) => title,
+    html: ({ username, message, link }) => html`
+      <p>Hello ${username},</p>
+      <p>${message}</p>
+      ${link ? button(link, 'View') : ''}`,
+    text: ({ username, message, link }) => `Hello ${username},
+
+${message}
+${link ? `\n${link}\n` : ''}`
+  },
+
+  digest: {
+    subject: ({ siteName, period }) => `Your ${period === 'weekly' ? 'weekly' : 'daily'} ${siteName} digest`,
+    html: ({ username, threads, period }) => html`
+      <p>Hello ${username},</p>
+      <p>Here is what happened ${period === 'weekly' ? 'this week' : 'today'}:</p>
+      <ul style="padding-left: 20px;">
+        ${threads.map(thread => html`
+        <li style="margin-bottom: 8px;">
+          <a href="${thread.url}">${thread.title}</a><br>
+          <span style="font-size: 12px; color: #666666;">${thread.forumName} &middot; ${thread.replyCount} new ${thread.replyCount === 1 ? 'reply' : 'replies'}</span>
+        </li>`)}
+      </ul>`,
+    text: ({ username, threads, period }) => `Hello ${username},
+
+Here is what happened ${period === 'weekly' ? 'this week' : 'today'}:
+
+${threads.map(thread => `* ${thread.title} (${thread.forumName}, ${thread.replyCount} new ${thread.replyCount === 1 ? 'reply' : 'replies'})
+  ${thread.url}`).join('\n')}`
+  }
+};
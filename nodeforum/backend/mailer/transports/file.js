@@ -0,0 +1,35 @@
+/**
+ * File Transport
+ * Writes each email as an .eml file into a directory instead of sending it, for development
+ * and tests
+ */
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Create the transport
+ * @param {Object} options - config.email
+ * @returns {Object} Transport with send(message)
+ */
+module.exports = (options) => {
+  const directory = path.resolve(options.outboxDir);
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix'
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^a-z0-9.@-]/gi, '')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+
+      return { ...info, file };
+    }
+  };
+};
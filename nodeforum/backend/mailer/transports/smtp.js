@@ -0,0 +1,23 @@
+/**
+ * SMTP Transport
+ * Delivers emails through the SMTP server configured in config.email
+ */
+const nodemailer = require('nodemailer');
+
+/**
+ * Create the transport
+ * @param {Object} options - config.email
+ * @returns {Object} Transport with send(message)
+ */
+module.exports = (options) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.auth.user ? options.auth : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
@@ -0,0 +1,18 @@
+/**
+ * Anti-Bot Middleware
+ * Guards public forms with the offline challenge from utils/antiBot.js
+ */
+const { checkChallenge } = require('../utils/antiBot');
+
+/**
+ * Require a solved challenge when it is enabled for the form
+ * @param {string} action - Form, one of CHALLENGE_ACTIONS ('register', 'passwordReset')
+ */
+exports.requireChallenge = (action) => async (req, res, next) => {
+  try {
+    await checkChallenge(action, req.body);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
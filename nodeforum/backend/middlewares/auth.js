@@ -1,19 +1,142 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session } = require('../models');
+const { attachPermissions } = require('../utils/permissions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { isApiToken, findApiToken, getRequiredScope } = require('../utils/apiTokens');
+const { createBannedError } = require('../utils/bans');
+const config = require('../config/config');
 
-// Protect routes middleware
-exports.protect = async (req, res, next) => {
-  let token;
+// How often a session's or API token's last-used time is written, in milliseconds
+const LAST_SEEN_INTERVAL = 5 * 60 * 1000;
 
-  // Check if auth header exists and starts with Bearer
+// Extract bearer token from the Authorization header
+const getBearerToken = (req) => {
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith('Bearer')
   ) {
-    // Extract token from header
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
+  }
+
+  return null;
+};
+
+// Verify an access token and load the user and session it belongs to
+// Returns { user, session, impersonator } on success or { message } explaining why the token was rejected
+const authenticateSession = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  // Access tokens are only valid as long as their session is
+  const session = decoded.sid ? await Session.findByPk(decoded.sid) : null;
+
+  if (!session || session.userId !== decoded.id || !session.isValid()) {
+    return { message: 'Session has expired. Please log in again.' };
+  }
+
+  // Find user by id
+  const user = await User.findByPk(decoded.id);
+
+  if (!user) {
+    return { message: 'User not found' };
+  }
+
+  // Tokens issued before a password change, password reset or ban are no longer valid
+  if (decoded.ver !== user.tokenVersion) {
+    return { message: 'Session has expired. Please log in again.' };
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    return { message: 'Your account has been deactivated' };
+  }
+
+  // Check if user is banned
+  if (user.isBanActive()) {
+    return { message: createBannedError(user).message };
+  }
+
+  // Resolve group permissions
+  await attachPermissions(user);
+
+  // Impersonation sessions end as soon as their admin may no longer impersonate
+  let impersonator = null;
+  if (session.impersonatorId) {
+    impersonator = decoded.imp === session.impersonatorId ? await User.findByPk(session.impersonatorId) : null;
+
+    if (!impersonator || !impersonator.isActive || impersonator.isBanActive()) {
+      return { message: 'Impersonation has ended' };
+    }
+
+    await attachPermissions(impersonator);
+
+    if (!impersonator.can('admin.impersonateUsers')) {
+      return { message: 'Impersonation has ended' };
+    }
+  }
+
+  // Track session activity
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+    session.lastSeenAt = new Date();
+    await session.save();
+  }
+
+  return { user, session, impersonator };
+};
+
+// Look up an API token and load the user it belongs to
+// Returns { user, apiToken } on success or { message } explaining why the token was rejected
+const authenticateApiToken = async (token, req) => {
+  const apiToken = await findApiToken(token);
+
+  if (!apiToken) {
+    return { message: 'Invalid, expired or revoked API token' };
+  }
+
+  const user = apiToken.User;
+
+  if (!user.isActive) {
+    return { message: 'Your account has been deactivated' };
+  }
+
+  if (user.isBanActive()) {
+    return { message: createBannedError(user).message };
+  }
+
+  // Resolve group permissions
+  await attachPermissions(user);
+
+  // Track token usage
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > LAST_SEEN_INTERVAL || apiToken.lastUsedIp !== req.ip) {
+    apiToken.lastUsedAt = new Date();
+    apiToken.lastUsedIp = req.ip;
+    await apiToken.save();
   }
 
+  return { user, apiToken };
+};
+
+// Authenticate a bearer token, which is either a JWT access token or an API token
+const authenticate = (token, req) => {
+  return isApiToken(token) ? authenticateApiToken(token, req) : authenticateSession(token);
+};
+
+// Whether an API token may be used for the route; always true for sessions
+const hasRequiredScope = (apiToken, req) => {
+  return !apiToken || apiToken.scopes.includes(getRequiredScope(req));
+};
+
+// Whether the user still has to set up two-factor authentication required by one of their groups
+const needsTwoFactorSetup = (user) => {
+  return !user.twoFactorEnabled && isTwoFactorRequired(user);
+};
+
+// Build a middleware that requires a valid access token
+// Unless allowTwoFactorSetup is set, users who still have to set up required two-factor
+// authentication are turned away
+const createProtect = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
+  const token = getBearerToken(req);
+
   // Check if token exists
   if (!token) {
     return res.status(401).json({
@@ -23,29 +146,36 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Find user by id
-    const user = await User.findByPk(decoded.id);
+    const { user, session, apiToken, impersonator, message } = await authenticate(token, req);
 
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
+    if (!hasRequiredScope(apiToken, req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This API token is not allowed to access this route'
+      });
+    }
+
+    if (!allowTwoFactorSetup && needsTwoFactorSetup(user)) {
+      return res.status(403).json({
         success: false,
-        message: 'Your account has been deactivated'
+        message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+        twoFactorSetupRequired: true
       });
     }
 
-    // Set user on req object
+    // Set user and session or API token on req object
     req.user = user;
+    req.authSession = session;
+    req.apiToken = apiToken;
+    req.impersonator = impersonator;
+    req.can = user.can;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -56,9 +186,44 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Protect routes middleware
+exports.protect = createProtect();
+
+// Protect routes a user needs before two-factor setup is complete (setup itself, profile, logout)
+exports.protectAllowingTwoFactorSetup = createProtect({ allowTwoFactorSetup: true });
+
+// Optional authentication for public routes
+// Identifies the user when a valid token is sent, otherwise continues as a guest
+exports.optional = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user, session, apiToken, impersonator } = await authenticate(token, req);
+
+    // Users who still have to set up two-factor authentication, and API tokens without the
+    // scope for the route, browse as guests
+    if (user && !needsTwoFactorSetup(user) && hasRequiredScope(apiToken, req)) {
+      req.user = user;
+      req.authSession = session;
+      req.apiToken = apiToken;
+      req.impersonator = impersonator;
+      req.can = user.can;
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+
+  next();
+};
+
 // Admin only middleware
+// Admins are users whose groups grant access to the admin panel
 exports.admin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+  if (!req.user.can('admin.accessAdminPanel')) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to access this route'
@@ -68,12 +233,26 @@ exports.admin = (req, res, next) => {
 };
 
 // Moderator or admin middleware
+// Moderators are users whose groups grant thread moderation
 exports.moderator = (req, res, next) => {
-  if (req.user.role !== 'moderator' && req.user.role !== 'admin') {
+  if (!req.user.can('admin.accessAdminPanel') && !req.user.can('forum.moderateThreads')) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to access this route'
     });
   }
   next();
-};
\ No newline at end of file
+};
+
+// Turn away admins impersonating a user from actions only the account owner may take,
+// such as changing the password, email address or two-factor authentication
+exports.preventImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user',
+      impersonating: true
+    });
+  }
+  next();
+};
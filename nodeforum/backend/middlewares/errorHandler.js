@@ -6,7 +6,9 @@ const {
   ValidationError, 
   NotFoundError, 
   AuthorizationError, 
-  AuthenticationError 
+  AuthenticationError,
+  BannedError,
+  RateLimitError
 } = require('../utils/errors');
 
 /**
@@ -25,6 +27,14 @@ module.exports = (err, req, res, next) => {
     });
   }
   
+  if (err instanceof BannedError) {
+    return res.status(401).json({
+      error: 'Authentication Error',
+      message: err.message,
+      ban: err.ban
+    });
+  }
+  
   if (err instanceof AuthenticationError) {
     return res.status(401).json({
       error: 'Authentication Error',
@@ -46,6 +56,17 @@ module.exports = (err, req, res, next) => {
     });
   }
   
+  if (err instanceof RateLimitError) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: err.message,
+      retryAfter: err.retryAfter
+    });
+  }
+  
   // Handle Sequelize validation errors
   if (err.name === 'SequelizeValidationError') {
     return res.status(400).json({
@@ -0,0 +1,51 @@
+/**
+ * Permission Middleware
+ * Resolves effective permissions from user group memberships and guards routes
+ */
+const { AuthorizationError } = require('../utils/errors');
+const { getGuestPermissionChecker } = require('../utils/permissions');
+
+/**
+ * Ensure req.can is available for the current request
+ * Authenticated users get the permissions of their groups, anonymous visitors those of the guest group.
+ */
+const resolvePermissions = async (req) => {
+  if (req.user && req.user.can) {
+    req.can = req.user.can;
+  } else if (!req.can) {
+    req.can = await getGuestPermissionChecker();
+  }
+
+  return req.can;
+};
+
+/**
+ * Attach guest permissions to anonymous requests
+ * Mounted globally; `protect` replaces them with the user's permissions.
+ */
+exports.loadPermissions = async (req, res, next) => {
+  try {
+    await resolvePermissions(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a permission for the route
+ * @param {string} permission - Short name ('banUsers') or dotted key ('user.banUsers')
+ */
+exports.checkPermission = (permission) => async (req, res, next) => {
+  try {
+    const can = await resolvePermissions(req);
+
+    if (!can(permission)) {
+      throw new AuthorizationError('You do not have permission to perform this action');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Upload Middleware
+ * Stores uploaded files in the configured upload directory
+ */
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+
+const storage = multer.diskStorage({
+  // multer creates the directory if it does not exist
+  destination: config.app.uploadDir,
+  filename: (req, file, cb) => {
+    cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+module.exports = multer({
+  storage,
+  limits: {
+    fileSize: Math.max(config.forum.avatarMaxSize, config.forum.maxAttachmentSize)
+  }
+});
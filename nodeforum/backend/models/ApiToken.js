@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Personal access token for scripts and bots
+ * Only a hash of the token is stored; the token itself is shown once when it is created.
+ */
+const ApiToken = sequelize.define('ApiToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // Start of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  // e.g. ['threads:write', 'messages:read']
+  scopes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+});
+
+/**
+ * Whether the token can still be used
+ * @returns {boolean}
+ */
+ApiToken.prototype.isValid = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * Describe the token for its owner, without the hash
+ * @returns {Object}
+ */
+ApiToken.prototype.toJSON = function() {
+  const values = this.get({ plain: true });
+  delete values.tokenHash;
+  return values;
+};
+
+// Define associations in index.js
+
+module.exports = ApiToken;
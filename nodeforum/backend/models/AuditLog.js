@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Record of an administrative or moderation action (see utils/auditLog.js)
+ * Entries are never changed or deleted by the application.
+ */
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // User who performed the action; null for actions by the system
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Admin who acted while impersonating the actor; null for actions taken as oneself
+  impersonatorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Dotted action name, e.g. 'impersonation.start'
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Kind and id of the record acted on, e.g. 'user' and a user id
+  targetType: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  targetId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Fields of the target the action changed, as they were before and after it
+  before: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Reason the moderator gave
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Further information about the action
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['actorId'] },
+    { fields: ['impersonatorId'] },
+    { fields: ['action'] },
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+// Define associations in index.js
+
+module.exports = AuditLog;
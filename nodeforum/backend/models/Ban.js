@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Ban of a user account (see utils/bans.js)
+ * Bans are kept after they end or are lifted, so they make up the user's ban history.
+ * The user's isBanned, banReason and banExpiresAt fields mirror the current ban.
+ */
+const Ban = sequelize.define('Ban', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Null for bans issued automatically by the system
+  issuedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Reason for the staff, never shown to the user
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Reason shown to the user when they try to log in
+  publicReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Null for permanent bans
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  liftedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Null when the ban ran out
+  liftedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  liftReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['endsAt'] }
+  ]
+});
+
+/**
+ * Whether the ban is in force
+ * @returns {boolean}
+ */
+Ban.prototype.isActive = function() {
+  return !this.liftedAt && (!this.endsAt || this.endsAt > new Date());
+};
+
+// Define associations in index.js
+
+module.exports = Ban;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Entry of a ban list (see utils/banLists.js)
+ * Blocks an IP address or CIDR range, an email domain or pattern, or a username pattern.
+ */
+const BanListEntry = sequelize.define('BanListEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM('ip', 'email', 'username'),
+    allowNull: false
+  },
+  // IP address or CIDR range, email domain or pattern, or username pattern, stored lower case
+  value: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Note for the staff, never shown to the blocked user
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Null for entries that never expire
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['type', 'value'] }
+  ]
+});
+
+// Define associations in index.js
+
+module.exports = BanListEntry;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Moderator assignment for a forum
+ * Either a single user or a whole user group moderates the forum and all of its subforums.
+ */
+const ForumModerator = sequelize.define('ForumModerator', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  forumId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Forums',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  groupId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'user_groups',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'forum_moderators',
+  validate: {
+    userOrGroup() {
+      if (!this.userId === !this.groupId) {
+        throw new Error('A forum moderator must be either a user or a group');
+      }
+    }
+  }
+});
+
+// Define associations in index.js
+
+module.exports = ForumModerator;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Per-forum permission override for a user group
+ * Applies to the forum and, unless overridden again, to all of its subforums.
+ */
+const ForumPermission = sequelize.define('ForumPermission', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  forumId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Forums',
+      key: 'id'
+    }
+  },
+  groupId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'user_groups',
+      key: 'id'
+    }
+  },
+  permission: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.ENUM('allow', 'deny'),
+    allowNull: false
+  }
+}, {
+  tableName: 'forum_permissions',
+  indexes: [
+    {
+      unique: true,
+      fields: ['forumId', 'groupId', 'permission']
+    }
+  ]
+});
+
+// Define associations in index.js
+
+module.exports = ForumPermission;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Invite code for registration mode 'invite'
+ * Codes can be limited in uses and time, and can add new accounts to a group.
+ */
+const InviteCode = sequelize.define('InviteCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // Secondary group new accounts are added to
+  groupId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'user_groups',
+      key: 'id'
+    }
+  },
+  // Unlimited when empty
+  maxUses: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  uses: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+});
+
+/**
+ * Check whether the code can still be used
+ * @returns {boolean}
+ */
+InviteCode.prototype.isUsable = function() {
+  return !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    (this.maxUses === null || this.uses < this.maxUses);
+};
+
+// Define associations in index.js
+
+module.exports = InviteCode;
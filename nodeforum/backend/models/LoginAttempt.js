@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Failed login attempts for an account or IP address
+ * Used by the database store of the login throttle, which shares lockouts between server nodes.
+ */
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  // 'account:<user id>' or 'ip:<address>'
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+});
+
+// Define associations in index.js
+
+module.exports = LoginAttempt;
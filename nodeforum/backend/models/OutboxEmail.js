@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Email waiting to be delivered
+ * Every email is stored before it is sent, so failed sends are retried by the processOutbox job
+ * instead of being lost.
+ */
+const OutboxEmail = sequelize.define('OutboxEmail', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  to: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  template: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  html: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+});
+
+module.exports = OutboxEmail;
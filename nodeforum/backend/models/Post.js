@@ -47,12 +47,25 @@ const Post = sequelize.define('Post', {
       key: 'id'
     }
   },
+  // Address the post was written from, only shown to staff (see utils/ipLookup.js)
   ipAddress: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  // Posts of users under moderation are only shown to them and moderators until approved
+  isApproved: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
   }
 });
 
+// Never expose the IP address in API responses
+Post.prototype.toJSON = function() {
+  const values = this.get({ plain: true });
+  delete values.ipAddress;
+  return values;
+};
+
 // Define associations in index.js
 
 module.exports = Post;
\ No newline at end of file
@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Report of a post, thread, user or private message to the moderators (see utils/reports.js)
+ * Every reporter files a report of their own; open reports of the same target are handled
+ * together in the moderation queue.
+ */
+const Report = sequelize.define('Report', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reporterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  targetType: {
+    type: DataTypes.ENUM('post', 'thread', 'user', 'message'),
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Forum of a reported post or thread, so forum moderators see its reports
+  forumId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Forums',
+      key: 'id'
+    }
+  },
+  // Author of the reported content, or the reported user
+  targetUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  category: {
+    type: DataTypes.ENUM('spam', 'abuse', 'offTopic', 'illegal', 'other'),
+    allowNull: false,
+    defaultValue: 'other'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // pending and escalated reports are open; escalated ones wait for an administrator
+  status: {
+    type: DataTypes.ENUM('pending', 'escalated', 'resolved', 'dismissed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  // Moderator who handled the report last and what they did
+  handledBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  handledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  actionTaken: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  // Note for other moderators, e.g. why the report was escalated
+  moderatorNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Message shown and emailed to the reporter once the report is resolved
+  reporterFeedback: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['status'] },
+    { fields: ['forumId'] },
+    { fields: ['reporterId'] }
+  ]
+});
+
+/**
+ * Whether the report still waits for a moderator
+ * @returns {boolean}
+ */
+Report.prototype.isOpen = function() {
+  return this.status === 'pending' || this.status === 'escalated';
+};
+
+// Define associations in index.js
+
+module.exports = Report;
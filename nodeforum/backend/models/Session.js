@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Server-side login session
+ * Each login creates a session holding a hash of its current refresh token. The token is
+ * rotated on every refresh; revoked or expired sessions can no longer be refreshed.
+ */
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Hash of the refresh token the last refresh replaced, and when (see config.jwt.refreshGraceSeconds)
+  previousRefreshTokenHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  rotatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Admin acting as the user (see utils/impersonation.js); such sessions cannot be refreshed
+  impersonatorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+});
+
+/**
+ * Whether the session can still be used
+ * @returns {boolean}
+ */
+Session.prototype.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Define associations in index.js
+
+module.exports = Session;
@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Forum setting changed by admins at runtime (see utils/settings.js)
+ * Settings without a row use their default from config.js.
+ */
+const Setting = sequelize.define('Setting', {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true
+  },
+  value: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+});
+
+// Define associations in index.js
+
+module.exports = Setting;
@@ -32,9 +32,13 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     defaultValue: 'default-avatar.png'
   },
-  role: {
-    type: DataTypes.ENUM('user', 'moderator', 'admin'),
-    defaultValue: 'user'
+  groupId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'user_groups',
+      key: 'id'
+    }
   },
   signature: {
     type: DataTypes.TEXT,
@@ -48,6 +52,130 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // False while the account waits in the approval queue (registration mode 'approval')
+  isApproved: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  // Invite code the account registered with
+  inviteCodeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'InviteCodes',
+      key: 'id'
+    }
+  },
+  // Current ban, kept in sync with the Ban records by utils/bans.js
+  isBanned: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Public reason of the current ban
+  banReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  banExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // IP address the account was registered from, for finding accounts sharing an address
+  registrationIp: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // New posts wait for approval by a moderator until then (see utils/warnings.js)
+  moderatePostsUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  verificationToken: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  resetToken: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  resetTokenExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Requested new email address, used once it is confirmed with emailChangeToken
+  pendingEmail: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  emailChangeToken: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  emailChangeExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Previous email address, restored with emailRevertToken from the notice sent to it
+  previousEmail: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  emailRevertToken: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  emailRevertExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // One-time login link (see utils/magicLinks.js), usable only from the browser that requested it
+  magicLinkToken: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  magicLinkExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  magicLinkBrowserHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Embedded in access tokens; incrementing it invalidates all tokens issued before
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Base32 TOTP secret; set during enrollment and active once twoFactorEnabled is true
+  twoFactorSecret: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Time step of the last accepted code, so codes cannot be replayed
+  twoFactorLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Preferred language for emails; the default locale is used when empty
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
   lastLogin: {
     type: DataTypes.DATE,
     allowNull: true
@@ -73,6 +201,30 @@ const User = sequelize.define('User', {
   }
 });
 
+// Never expose passwords, two-factor secrets, link tokens or IP addresses in API responses
+User.prototype.toJSON = function() {
+  const values = this.get({ plain: true });
+  delete values.password;
+  delete values.verificationToken;
+  delete values.resetToken;
+  delete values.resetTokenExpiresAt;
+  delete values.magicLinkToken;
+  delete values.magicLinkBrowserHash;
+  delete values.emailChangeToken;
+  delete values.emailRevertToken;
+  delete values.twoFactorSecret;
+  delete values.twoFactorRecoveryCodes;
+  delete values.twoFactorLastStep;
+  delete values.registrationIp;
+  return values;
+};
+
+// Whether the account is banned right now; bans past their end are lifted by a job, but may
+// not have been yet
+User.prototype.isBanActive = function() {
+  return !!this.isBanned && (!this.banExpiresAt || this.banExpiresAt > new Date());
+};
+
 // Compare password method
 User.prototype.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
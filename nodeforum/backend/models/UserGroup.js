@@ -42,6 +42,22 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: false
     },
+    displayOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Members must set up two-factor authentication before using their account
+    requireTwoFactor: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     permissions: {
       type: DataTypes.JSONB,
       allowNull: false,
@@ -80,6 +96,24 @@ module.exports = (sequelize) => {
     return true;
   };
   
+  /**
+   * Get the value this group explicitly sets for a permission
+   * @param {string} permission - Dotted permission key
+   * @returns {boolean|undefined} true or false if the group sets the permission, undefined otherwise
+   */
+  UserGroup.prototype.getPermissionValue = function(permission) {
+    let value = this.permissions;
+    
+    for (const category of permission.split('.')) {
+      if (!value || typeof value !== 'object' || !(category in value)) {
+        return undefined;
+      }
+      value = value[category];
+    }
+    
+    return typeof value === 'boolean' ? value : undefined;
+  };
+  
   /**
    * Get all permissions as a flat array
    */
@@ -105,6 +139,21 @@ module.exports = (sequelize) => {
   
   // Class methods
   
+  /**
+   * Get the group new users are added to
+   * @param {string} [fallbackName] - Group name to use if no group is marked as default
+   * @returns {Promise<Object|null>} The default group
+   */
+  UserGroup.getDefaultGroup = async function(fallbackName) {
+    const defaultGroup = await UserGroup.findOne({ where: { isDefault: true } });
+    
+    if (defaultGroup || !fallbackName) {
+      return defaultGroup;
+    }
+    
+    return UserGroup.findOne({ where: { name: fallbackName } });
+  };
+  
   /**
    * Create default user groups when initializing the application
    */
@@ -115,6 +164,7 @@ module.exports = (sequelize) => {
         displayName: 'Guest',
         description: 'Unregistered users',
         isDefault: false,
+        priority: 0,
         permissions: {
           forum: {
             viewForums: true,
@@ -128,6 +178,7 @@ module.exports = (sequelize) => {
         description: 'Regular registered users',
         color: '#3498db',
         isDefault: true,
+        priority: 10,
         permissions: {
           forum: {
             viewForums: true,
@@ -147,6 +198,7 @@ module.exports = (sequelize) => {
         description: 'Users who can moderate forums',
         color: '#2ecc71',
         isDefault: false,
+        priority: 50,
         permissions: {
           forum: {
             viewForums: true,
@@ -164,7 +216,8 @@ module.exports = (sequelize) => {
             editOwnProfile: true,
             reportContent: true,
             viewUsers: true,
-            warnUsers: true
+            warnUsers: true,
+            viewIpAddresses: true
           }
         }
       },
@@ -174,6 +227,7 @@ module.exports = (sequelize) => {
         description: 'Users with full administrative privileges',
         color: '#e74c3c',
         isDefault: false,
+        priority: 100,
         permissions: {
           forum: {
             viewForums: true,
@@ -202,12 +256,16 @@ module.exports = (sequelize) => {
             viewUsers: true,
             warnUsers: true,
             banUsers: true,
+            viewIpAddresses: true,
+            approveUsers: true,
             manageUserGroups: true
           },
           admin: {
             accessAdminPanel: true,
             manageSettings: true,
             viewLogs: true,
+            impersonateUsers: true,
+            manageBanLists: true,
             managePlugins: true,
             manageThemes: true
           }
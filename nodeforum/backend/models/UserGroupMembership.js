@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Secondary group membership of a user
+ * Memberships with an expiry date are removed by the expireGroupMemberships job.
+ */
+const UserGroupMembership = sequelize.define('UserGroupMembership', {
+  userId: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  groupId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'user_groups',
+      key: 'id'
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  addedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'UserGroupMemberships'
+});
+
+// Define associations in index.js
+
+module.exports = UserGroupMembership;
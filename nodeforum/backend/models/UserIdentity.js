@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Account at an external identity provider linked to a user
+ * Identified by the issuer and subject of the provider's ID tokens, which unlike the email
+ * address never change.
+ */
+const UserIdentity = sequelize.define('UserIdentity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  issuer: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Email address reported by the provider at the last login
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    {
+      unique: true,
+      fields: ['issuer', 'subject']
+    }
+  ]
+});
+
+// Define associations in index.js
+
+module.exports = UserIdentity;
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Warning issued to a user by a moderator (see utils/warnings.js)
+ * Its points count towards the user's thresholds until it expires or is revoked.
+ */
+const Warning = sequelize.define('Warning', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  issuedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Key of the warning type in the warning settings
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Post the warning is about
+  postId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Posts',
+      key: 'id'
+    }
+  },
+  // Note to the user, sent with the private message about the warning
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Null for warnings that never expire
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Consequences the warning triggered, e.g. [{ action: 'ban', days: 7 }]
+  consequences: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+/**
+ * Whether the warning's points still count
+ * @returns {boolean}
+ */
+Warning.prototype.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Define associations in index.js
+
+module.exports = Warning;
@@ -4,7 +4,22 @@ const Forum = require('./Forum');
 const Thread = require('./Thread');
 const Post = require('./Post');
 const Message = require('./Message');
-const UserGroup = require('./UserGroup');
+const UserGroup = require('./UserGroup')(sequelize);
+const UserGroupMembership = require('./UserGroupMembership');
+const ForumPermission = require('./ForumPermission');
+const ForumModerator = require('./ForumModerator');
+const Session = require('./Session');
+const LoginAttempt = require('./LoginAttempt');
+const OutboxEmail = require('./OutboxEmail');
+const ApiToken = require('./ApiToken');
+const UserIdentity = require('./UserIdentity');
+const Setting = require('./Setting');
+const InviteCode = require('./InviteCode');
+const AuditLog = require('./AuditLog');
+const Report = require('./Report');
+const Warning = require('./Warning');
+const Ban = require('./Ban');
+const BanListEntry = require('./BanListEntry');
 
 // Define associations
 
@@ -13,12 +28,23 @@ User.hasMany(Thread, { foreignKey: 'userId' });
 User.hasMany(Post, { foreignKey: 'userId' });
 User.hasMany(Message, { foreignKey: 'senderId', as: 'SentMessages' });
 User.hasMany(Message, { foreignKey: 'receiverId', as: 'ReceivedMessages' });
-User.belongsToMany(UserGroup, { through: 'UserGroupMemberships', foreignKey: 'userId' });
+User.belongsToMany(UserGroup, { through: UserGroupMembership, foreignKey: 'userId' });
+User.belongsTo(UserGroup, { as: 'group', foreignKey: 'groupId' });
+User.hasMany(ForumModerator, { foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(Session, { foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(LoginAttempt, { foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(ApiToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(UserIdentity, { foreignKey: 'userId', onDelete: 'CASCADE' });
+User.belongsTo(InviteCode, { foreignKey: 'inviteCodeId' });
+User.hasMany(Warning, { foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(Ban, { foreignKey: 'userId', onDelete: 'CASCADE' });
 
 // Forum associations
 Forum.belongsTo(Forum, { as: 'Parent', foreignKey: 'parentId' });
 Forum.hasMany(Forum, { as: 'Subforums', foreignKey: 'parentId' });
 Forum.hasMany(Thread, { foreignKey: 'forumId' });
+Forum.hasMany(ForumPermission, { foreignKey: 'forumId', onDelete: 'CASCADE' });
+Forum.hasMany(ForumModerator, { foreignKey: 'forumId', onDelete: 'CASCADE' });
 
 // Thread associations
 Thread.belongsTo(User, { foreignKey: 'userId' });
@@ -30,13 +56,73 @@ Thread.belongsTo(User, { as: 'LastPoster', foreignKey: 'lastPostUserId' });
 Post.belongsTo(User, { foreignKey: 'userId' });
 Post.belongsTo(Thread, { foreignKey: 'threadId' });
 Post.belongsTo(User, { as: 'Editor', foreignKey: 'editedBy' });
+Post.hasMany(Report, { foreignKey: 'targetId', constraints: false, scope: { targetType: 'post' } });
 
 // Message associations
 Message.belongsTo(User, { as: 'Sender', foreignKey: 'senderId' });
 Message.belongsTo(User, { as: 'Receiver', foreignKey: 'receiverId' });
 
 // UserGroup associations
-UserGroup.belongsToMany(User, { through: 'UserGroupMemberships', foreignKey: 'groupId' });
+UserGroup.belongsToMany(User, { through: UserGroupMembership, foreignKey: 'groupId' });
+UserGroup.hasMany(User, { as: 'primaryMembers', foreignKey: 'groupId' });
+UserGroup.hasMany(ForumPermission, { foreignKey: 'groupId', onDelete: 'CASCADE' });
+UserGroup.hasMany(ForumModerator, { foreignKey: 'groupId', onDelete: 'CASCADE' });
+
+// UserGroupMembership associations
+UserGroupMembership.belongsTo(User, { foreignKey: 'userId' });
+UserGroupMembership.belongsTo(UserGroup, { foreignKey: 'groupId' });
+UserGroupMembership.belongsTo(User, { as: 'AddedBy', foreignKey: 'addedBy' });
+
+// ForumPermission associations
+ForumPermission.belongsTo(Forum, { foreignKey: 'forumId' });
+ForumPermission.belongsTo(UserGroup, { foreignKey: 'groupId' });
+
+// ForumModerator associations
+ForumModerator.belongsTo(Forum, { foreignKey: 'forumId' });
+ForumModerator.belongsTo(User, { foreignKey: 'userId' });
+ForumModerator.belongsTo(UserGroup, { foreignKey: 'groupId' });
+
+// Session associations
+Session.belongsTo(User, { foreignKey: 'userId' });
+Session.belongsTo(User, { as: 'Impersonator', foreignKey: 'impersonatorId' });
+
+// LoginAttempt associations
+LoginAttempt.belongsTo(User, { foreignKey: 'userId' });
+
+// ApiToken associations
+ApiToken.belongsTo(User, { foreignKey: 'userId' });
+
+// UserIdentity associations
+UserIdentity.belongsTo(User, { foreignKey: 'userId' });
+
+// InviteCode associations
+InviteCode.belongsTo(UserGroup, { foreignKey: 'groupId' });
+InviteCode.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
+InviteCode.hasMany(User, { as: 'InvitedUsers', foreignKey: 'inviteCodeId' });
+
+// AuditLog associations
+AuditLog.belongsTo(User, { as: 'Actor', foreignKey: 'actorId' });
+AuditLog.belongsTo(User, { as: 'Impersonator', foreignKey: 'impersonatorId' });
+
+// Report associations
+Report.belongsTo(User, { as: 'Reporter', foreignKey: 'reporterId' });
+Report.belongsTo(User, { as: 'TargetUser', foreignKey: 'targetUserId' });
+Report.belongsTo(User, { as: 'Handler', foreignKey: 'handledBy' });
+Report.belongsTo(Forum, { foreignKey: 'forumId' });
+
+// Warning associations
+Warning.belongsTo(User, { foreignKey: 'userId' });
+Warning.belongsTo(User, { as: 'Issuer', foreignKey: 'issuedBy' });
+Warning.belongsTo(User, { as: 'Revoker', foreignKey: 'revokedBy' });
+Warning.belongsTo(Post, { foreignKey: 'postId' });
+
+// Ban associations
+Ban.belongsTo(User, { foreignKey: 'userId' });
+Ban.belongsTo(User, { as: 'Issuer', foreignKey: 'issuedBy' });
+Ban.belongsTo(User, { as: 'Lifter', foreignKey: 'liftedBy' });
+
+// BanListEntry associations
+BanListEntry.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
 
 module.exports = {
   sequelize,
@@ -45,5 +131,20 @@ module.exports = {
   Thread,
   Post,
   Message,
-  UserGroup
+  UserGroup,
+  UserGroupMembership,
+  ForumPermission,
+  ForumModerator,
+  Session,
+  LoginAttempt,
+  OutboxEmail,
+  ApiToken,
+  UserIdentity,
+  Setting,
+  InviteCode,
+  AuditLog,
+  Report,
+  Warning,
+  Ban,
+  BanListEntry
 };
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Audit Log Routes
+ * Handles routing for the log of administrative and moderation actions
+ */
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../controllers/auditLogController');
+const auth = require('../middlewares/auth');
+const { checkPermission } = require('../middlewares/permissions');
+
+/**
+ * @route   GET /api/audit-log
+ * @desc    Get log entries (?actorId, action, targetType, targetId, from, to, page, limit)
+ * @access  Admin
+ */
+router.get('/', auth.protect, checkPermission('viewLogs'), auditLogController.getEntries);
+
+/**
+ * @route   GET /api/audit-log/:id
+ * @desc    Get a log entry with its before and after snapshots
+ * @access  Admin
+ */
+router.get('/:id', auth.protect, checkPermission('viewLogs'), auditLogController.getEntry);
+
+module.exports = router;
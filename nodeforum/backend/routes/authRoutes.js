@@ -1,34 +1,77 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe } = require('../controllers/authController');
-const { protect } = require('../middlewares/auth');
-const { check } = require('express-validator');
-
-// Registration route with validation
-router.post(
-  '/register',
-  [
-    check('username', 'Username is required and must be between 3 and 30 characters')
-      .not()
-      .isEmpty()
-      .isLength({ min: 3, max: 30 }),
-    check('email', 'Please include a valid email').isEmail(),
-    check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
-  ],
-  register
-);
-
-// Login route with validation
-router.post(
-  '/login',
-  [
-    check('email', 'Please include a valid email').isEmail(),
-    check('password', 'Password is required').exists()
-  ],
-  login
-);
+const {
+  register,
+  getPasswordPolicy,
+  login,
+  getMe,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  revokeOtherSessions,
+  unlockAccount,
+  requestMagicLink,
+  magicLinkLogin,
+  oidcLogin,
+  oidcCallback,
+  stopImpersonation
+} = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const apiTokenController = require('../controllers/apiTokenController');
+const { protect, protectAllowingTwoFactorSetup, preventImpersonation } = require('../middlewares/auth');
+
+// Registration and login; the service validates the input
+// Login accepts a username or email address as `login` (or `username`/`email`)
+router.post('/register', register);
+router.post('/login', login);
+
+// Password rules, so clients can show them before submitting
+router.get('/password-policy', getPasswordPolicy);
+
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa', twoFactorController.verifyLogin);
+
+// Passwordless login with a one-time link sent by email
+router.post('/magic-link', requestMagicLink);
+router.post('/magic-link/login', magicLinkLogin);
+
+// Single sign-on with the OpenID Connect provider
+router.get('/oidc/login', oidcLogin);
+router.get('/oidc/callback', oidcCallback);
+
+// Unlock link sent when an account is locked after failed logins
+router.get('/unlock/:token', unlockAccount);
 
 // Get current user route
-router.get('/me', protect, getMe);
+router.get('/me', protectAllowingTwoFactorSetup, getMe);
+
+// Renew the access token with a refresh token
+router.post('/refresh', refresh);
+
+// End the current session
+router.post('/logout', protectAllowingTwoFactorSetup, logout);
+
+// Return from acting as another user (started with POST /api/users/:id/impersonate)
+router.delete('/impersonation', protect, stopImpersonation);
+
+// Session management routes
+// Sessions, two-factor authentication and tokens are off limits while impersonating
+router.get('/sessions', protect, preventImpersonation, getSessions);
+router.delete('/sessions', protect, preventImpersonation, revokeOtherSessions);
+router.delete('/sessions/:id', protect, preventImpersonation, deleteSession);
+
+// Two-factor authentication routes
+router.get('/2fa', protectAllowingTwoFactorSetup, twoFactorController.getStatus);
+router.post('/2fa/setup', protectAllowingTwoFactorSetup, preventImpersonation, twoFactorController.setup);
+router.post('/2fa/enable', protectAllowingTwoFactorSetup, preventImpersonation, twoFactorController.enable);
+router.post('/2fa/disable', protect, preventImpersonation, twoFactorController.disable);
+router.post('/2fa/recovery-codes', protect, preventImpersonation, twoFactorController.regenerateRecoveryCodes);
+
+// Personal access token routes
+// API tokens cannot be used here, so a token cannot create or revoke tokens
+router.get('/tokens', protect, preventImpersonation, apiTokenController.getTokens);
+router.post('/tokens', protect, preventImpersonation, apiTokenController.createToken);
+router.delete('/tokens/:id', protect, preventImpersonation, apiTokenController.revokeToken);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Ban List Routes
+ * Handles routing for the IP address, email and username ban lists
+ */
+const express = require('express');
+const router = express.Router();
+const banListController = require('../controllers/banListController');
+const auth = require('../middlewares/auth');
+const { checkPermission } = require('../middlewares/permissions');
+
+/**
+ * @route   GET /api/ban-lists
+ * @desc    Get the ban list entries (?type=ip|email|username)
+ * @access  Admin
+ */
+router.get('/', auth.protect, checkPermission('manageBanLists'), banListController.getEntries);
+
+/**
+ * @route   POST /api/ban-lists
+ * @desc    Add an IP address or CIDR range, email domain or pattern, or username pattern
+ * @access  Admin
+ */
+router.post('/', auth.protect, checkPermission('manageBanLists'), banListController.addEntry);
+
+/**
+ * @route   DELETE /api/ban-lists/:id
+ * @desc    Remove a ban list entry
+ * @access  Admin
+ */
+router.delete('/:id', auth.protect, checkPermission('manageBanLists'), banListController.removeEntry);
+
+module.exports = router;
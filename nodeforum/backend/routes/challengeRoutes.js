@@ -0,0 +1,32 @@
+/**
+ * Challenge Routes
+ * Handles routing for anti-bot challenges and their settings
+ */
+const express = require('express');
+const router = express.Router();
+const challengeController = require('../controllers/challengeController');
+const auth = require('../middlewares/auth');
+const { checkPermission } = require('../middlewares/permissions');
+
+/**
+ * @route   GET /api/challenge/settings
+ * @desc    Get the anti-bot settings
+ * @access  Admin
+ */
+router.get('/settings', auth.protect, checkPermission('manageSettings'), challengeController.getSettings);
+
+/**
+ * @route   PUT /api/challenge/settings
+ * @desc    Change which forms require a challenge, the difficulty or the minimum fill time
+ * @access  Admin
+ */
+router.put('/settings', auth.protect, checkPermission('manageSettings'), challengeController.updateSettings);
+
+/**
+ * @route   GET /api/challenge/:action
+ * @desc    Get a challenge for a form ('register' or 'passwordReset')
+ * @access  Public
+ */
+router.get('/:action', challengeController.getChallenge);
+
+module.exports = router;
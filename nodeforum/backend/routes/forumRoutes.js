@@ -13,55 +13,90 @@ const { checkPermission } = require('../middlewares/permissions');
  * @desc    Get all categories with forums and subforums
  * @access  Public
  */
-router.get('/', forumController.getAllCategories);
+router.get('/', auth.optional, forumController.getAllCategories);
 
 /**
  * @route   GET /api/forums/:id
  * @desc    Get a single forum with its threads
  * @access  Public
  */
-router.get('/:id', forumController.getForumById);
+router.get('/:id', auth.optional, forumController.getForumById);
 
 /**
  * @route   POST /api/forums/categories
  * @desc    Create a new category
  * @access  Admin only
  */
-router.post('/categories', auth, checkPermission('createCategory'), forumController.createCategory);
+router.post('/categories', auth.protect, checkPermission('createCategory'), forumController.createCategory);
 
 /**
  * @route   PUT /api/forums/categories/:id
  * @desc    Update a category
  * @access  Admin only
  */
-router.put('/categories/:id', auth, checkPermission('updateCategory'), forumController.updateCategory);
+router.put('/categories/:id', auth.protect, checkPermission('updateCategory'), forumController.updateCategory);
 
 /**
  * @route   DELETE /api/forums/categories/:id
  * @desc    Delete a category
  * @access  Admin only
  */
-router.delete('/categories/:id', auth, checkPermission('deleteCategory'), forumController.deleteCategory);
+router.delete('/categories/:id', auth.protect, checkPermission('deleteCategory'), forumController.deleteCategory);
 
 /**
  * @route   POST /api/forums
  * @desc    Create a new forum
  * @access  Admin only
  */
-router.post('/', auth, checkPermission('createForum'), forumController.createForum);
+router.post('/', auth.protect, checkPermission('createForum'), forumController.createForum);
 
 /**
  * @route   PUT /api/forums/:id
  * @desc    Update a forum
  * @access  Admin only
  */
-router.put('/:id', auth, checkPermission('updateForum'), forumController.updateForum);
+router.put('/:id', auth.protect, checkPermission('updateForum'), forumController.updateForum);
 
 /**
  * @route   DELETE /api/forums/:id
  * @desc    Delete a forum
  * @access  Admin only
  */
-router.delete('/:id', auth, checkPermission('deleteForum'), forumController.deleteForum);
+router.delete('/:id', auth.protect, checkPermission('deleteForum'), forumController.deleteForum);
+
+/**
+ * @route   GET /api/forums/:id/permissions
+ * @desc    Get group permission overrides for a forum
+ * @access  Admin only
+ */
+router.get('/:id/permissions', auth.protect, checkPermission('updateForum'), forumController.getForumPermissions);
+
+/**
+ * @route   PUT /api/forums/:id/permissions
+ * @desc    Allow, deny or inherit a permission for a group in a forum
+ * @access  Admin only
+ */
+router.put('/:id/permissions', auth.protect, checkPermission('updateForum'), forumController.setForumPermission);
+
+/**
+ * @route   GET /api/forums/:id/moderators
+ * @desc    Get moderators of a forum, including inherited ones
+ * @access  Public
+ */
+router.get('/:id/moderators', auth.optional, forumController.getForumModerators);
+
+/**
+ * @route   POST /api/forums/:id/moderators
+ * @desc    Assign a user or group as moderator of a forum and its subforums
+ * @access  Admin only
+ */
+router.post('/:id/moderators', auth.protect, checkPermission('updateForum'), forumController.addForumModerator);
+
+/**
+ * @route   DELETE /api/forums/:id/moderators/:moderatorId
+ * @desc    Remove a moderator assignment from a forum
+ * @access  Admin only
+ */
+router.delete('/:id/moderators/:moderatorId', auth.protect, checkPermission('updateForum'), forumController.removeForumModerator);
 
 module.exports = router;
\ No newline at end of file
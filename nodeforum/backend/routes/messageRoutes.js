@@ -12,55 +12,55 @@ const auth = require('../middlewares/auth');
  * @desc    Get all messages for the current user
  * @access  Private
  */
-router.get('/', auth, messageController.getMessages);
+router.get('/', auth.protect, messageController.getMessages);
 
 /**
  * @route   GET /api/messages/:id
  * @desc    Get a single message
  * @access  Private
  */
-router.get('/:id', auth, messageController.getMessage);
+router.get('/:id', auth.protect, messageController.getMessage);
 
 /**
  * @route   POST /api/messages
  * @desc    Send a new message
  * @access  Private
  */
-router.post('/', auth, messageController.sendMessage);
+router.post('/', auth.protect, messageController.sendMessage);
 
 /**
  * @route   PUT /api/messages/:id/move
  * @desc    Move message to a folder
  * @access  Private
  */
-router.put('/:id/move', auth, messageController.moveMessage);
+router.put('/:id/move', auth.protect, messageController.moveMessage);
 
 /**
  * @route   PUT /api/messages/:id/read
  * @desc    Mark message as read/unread
  * @access  Private
  */
-router.put('/:id/read', auth, messageController.toggleRead);
+router.put('/:id/read', auth.protect, messageController.toggleRead);
 
 /**
  * @route   DELETE /api/messages/:id
  * @desc    Delete a message
  * @access  Private
  */
-router.delete('/:id', auth, messageController.deleteMessage);
+router.delete('/:id', auth.protect, messageController.deleteMessage);
 
 /**
  * @route   POST /api/messages/folders
  * @desc    Create a new message folder
  * @access  Private
  */
-router.post('/folders', auth, messageController.createFolder);
+router.post('/folders', auth.protect, messageController.createFolder);
 
 /**
  * @route   DELETE /api/messages/folders/:id
  * @desc    Delete a message folder
  * @access  Private
  */
-router.delete('/folders/:id', auth, messageController.deleteFolder);
+router.delete('/folders/:id', auth.protect, messageController.deleteFolder);
 
 module.exports = router;
\ No newline at end of file
@@ -13,41 +13,55 @@ const { checkPermission } = require('../middlewares/permissions');
  * @desc    Create a new post in a thread
  * @access  Private
  */
-router.post('/threads/:threadId/posts', auth, postController.createPost);
+router.post('/threads/:threadId/posts', auth.protect, postController.createPost);
 
 /**
  * @route   GET /api/threads/:threadId/posts
  * @desc    Get posts for a thread with pagination
  * @access  Public
  */
-router.get('/threads/:threadId/posts', postController.getPostsByThread);
+router.get('/threads/:threadId/posts', auth.optional, postController.getPostsByThread);
 
 /**
  * @route   PUT /api/posts/:id
  * @desc    Update a post
  * @access  Post author or Admin/Moderator
  */
-router.put('/posts/:id', auth, postController.updatePost);
+router.put('/posts/:id', auth.protect, postController.updatePost);
 
 /**
  * @route   DELETE /api/posts/:id
  * @desc    Delete a post
  * @access  Post author or Admin/Moderator
  */
-router.delete('/posts/:id', auth, postController.deletePost);
+router.delete('/posts/:id', auth.protect, postController.deletePost);
 
 /**
  * @route   POST /api/posts/:id/report
  * @desc    Report a post
  * @access  Private
  */
-router.post('/posts/:id/report', auth, checkPermission('reportContent'), postController.reportPost);
+router.post('/posts/:id/report', auth.protect, checkPermission('reportContent'), postController.reportPost);
+
+/**
+ * @route   GET /api/posts/moderation
+ * @desc    Get posts waiting for approval
+ * @access  Moderator
+ */
+router.get('/posts/moderation', auth.protect, postController.getUnapprovedPosts);
+
+/**
+ * @route   PUT /api/posts/:id/approve
+ * @desc    Approve a post held for moderation
+ * @access  Moderator
+ */
+router.put('/posts/:id/approve', auth.protect, postController.approvePost);
 
 /**
  * @route   POST /api/posts/:id/like
  * @desc    Like/unlike a post
  * @access  Private
  */
-router.post('/posts/:id/like', auth, postController.toggleLike);
+router.post('/posts/:id/like', auth.protect, postController.toggleLike);
 
 module.exports = router;
\ No newline at end of file
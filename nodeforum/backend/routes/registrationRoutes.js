@@ -0,0 +1,67 @@
+/**
+ * Registration Routes
+ * Handles routing for registration modes, invite codes and the approval queue
+ */
+const express = require('express');
+const router = express.Router();
+const registrationController = require('../controllers/registrationController');
+const auth = require('../middlewares/auth');
+const { checkPermission } = require('../middlewares/permissions');
+
+/**
+ * @route   GET /api/registration
+ * @desc    Get the registration mode
+ * @access  Public
+ */
+router.get('/', registrationController.getSettings);
+
+/**
+ * @route   PUT /api/registration
+ * @desc    Change the registration mode
+ * @access  Admin
+ */
+router.put('/', auth.protect, checkPermission('manageSettings'), registrationController.updateSettings);
+
+/**
+ * @route   GET /api/registration/invites
+ * @desc    Get invite codes
+ * @access  Admin
+ */
+router.get('/invites', auth.protect, checkPermission('approveUsers'), registrationController.getInvites);
+
+/**
+ * @route   POST /api/registration/invites
+ * @desc    Create an invite code, optionally limited in uses and time and tied to a group
+ * @access  Admin
+ */
+router.post('/invites', auth.protect, checkPermission('approveUsers'), registrationController.createInvite);
+
+/**
+ * @route   DELETE /api/registration/invites/:id
+ * @desc    Revoke an invite code
+ * @access  Admin
+ */
+router.delete('/invites/:id', auth.protect, checkPermission('approveUsers'), registrationController.revokeInvite);
+
+/**
+ * @route   GET /api/registration/pending
+ * @desc    Get accounts waiting for approval
+ * @access  Admin
+ */
+router.get('/pending', auth.protect, checkPermission('approveUsers'), registrationController.getPendingUsers);
+
+/**
+ * @route   PUT /api/registration/pending/:id/approve
+ * @desc    Approve an account
+ * @access  Admin
+ */
+router.put('/pending/:id/approve', auth.protect, checkPermission('approveUsers'), registrationController.approveUser);
+
+/**
+ * @route   DELETE /api/registration/pending/:id
+ * @desc    Reject an account
+ * @access  Admin
+ */
+router.delete('/pending/:id', auth.protect, checkPermission('approveUsers'), registrationController.rejectUser);
+
+module.exports = router;
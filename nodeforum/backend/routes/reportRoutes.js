@@ -0,0 +1,53 @@
+/**
+ * Report Routes
+ * Handles routing for reports and the moderation queue
+ */
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const auth = require('../middlewares/auth');
+const { checkPermission } = require('../middlewares/permissions');
+
+/**
+ * @route   POST /api/reports
+ * @desc    Report a post, thread, user or private message
+ * @access  Private
+ */
+router.post('/', auth.protect, checkPermission('reportContent'), reportController.createReport);
+
+/**
+ * @route   GET /api/reports/mine
+ * @desc    Get the current user's reports and their outcome
+ * @access  Private
+ */
+router.get('/mine', auth.protect, reportController.getOwnReports);
+
+/**
+ * @route   GET /api/reports
+ * @desc    Get the moderation queue, grouped by reported target
+ * @access  Moderator
+ */
+router.get('/', auth.protect, reportController.getQueue);
+
+/**
+ * @route   PUT /api/reports/:id/dismiss
+ * @desc    Dismiss a report together with the other open reports of its target
+ * @access  Moderator
+ */
+router.put('/:id/dismiss', auth.protect, reportController.dismissReport);
+
+/**
+ * @route   PUT /api/reports/:id/resolve
+ * @desc    Resolve a report together with the other open reports of its target
+ * @access  Moderator
+ */
+router.put('/:id/resolve', auth.protect, reportController.resolveReport);
+
+/**
+ * @route   PUT /api/reports/:id/escalate
+ * @desc    Hand a report to the administrators
+ * @access  Moderator
+ */
+router.put('/:id/escalate', auth.protect, reportController.escalateReport);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * User Group Routes
+ * Handles routing for user group administration
+ */
+const express = require('express');
+const router = express.Router();
+const userGroupController = require('../controllers/userGroupController');
+const auth = require('../middlewares/auth');
+const { checkPermission } = require('../middlewares/permissions');
+
+// All user group routes require the manageUserGroups permission
+router.use(auth.protect, checkPermission('manageUserGroups'));
+
+/**
+ * @route   GET /api/groups
+ * @desc    Get all user groups with member counts
+ * @access  Admin
+ */
+router.get('/', userGroupController.getAllGroups);
+
+/**
+ * @route   GET /api/groups/permissions
+ * @desc    Get the registry of known permission keys
+ * @access  Admin
+ */
+router.get('/permissions', userGroupController.getPermissionRegistry);
+
+/**
+ * @route   PUT /api/groups/order
+ * @desc    Reorder user groups
+ * @access  Admin
+ */
+router.put('/order', userGroupController.reorderGroups);
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a new user group
+ * @access  Admin
+ */
+router.post('/', userGroupController.createGroup);
+
+/**
+ * @route   GET /api/groups/:id
+ * @desc    Get a single user group
+ * @access  Admin
+ */
+router.get('/:id', userGroupController.getGroup);
+
+/**
+ * @route   PUT /api/groups/:id
+ * @desc    Update a user group and its permissions
+ * @access  Admin
+ */
+router.put('/:id', userGroupController.updateGroup);
+
+/**
+ * @route   PUT /api/groups/:id/default
+ * @desc    Make a group the default group for new users
+ * @access  Admin
+ */
+router.put('/:id/default', userGroupController.setDefaultGroup);
+
+/**
+ * @route   GET /api/groups/:id/members
+ * @desc    Get members of a user group with pagination
+ * @access  Admin
+ */
+router.get('/:id/members', userGroupController.getGroupMembers);
+
+/**
+ * @route   DELETE /api/groups/:id
+ * @desc    Delete a user group, moving its members to a fallback group
+ * @access  Admin
+ */
+router.delete('/:id', userGroupController.deleteGroup);
+
+module.exports = router;
@@ -5,37 +5,54 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const authController = require('../controllers/authController');
 const auth = require('../middlewares/auth');
 const { checkPermission } = require('../middlewares/permissions');
 const upload = require('../middlewares/upload');
+const { requireChallenge } = require('../middlewares/antiBot');
 
 /**
  * @route   POST /api/users/register
- * @desc    Register a new user
+ * @desc    Register a new user (alias of POST /api/auth/register)
  * @access  Public
  */
-router.post('/register', userController.register);
+router.post('/register', authController.register);
 
 /**
  * @route   POST /api/users/login
- * @desc    Authenticate user & get token
+ * @desc    Authenticate user by username or email & get token (alias of POST /api/auth/login)
  * @access  Public
  */
-router.post('/login', userController.login);
+router.post('/login', authController.login);
 
 /**
  * @route   POST /api/users/logout
- * @desc    Logout user (client-side only)
+ * @desc    Logout user and revoke the current session (alias of POST /api/auth/logout)
  * @access  Private
  */
-router.post('/logout', auth, userController.logout);
+router.post('/logout', auth.protectAllowingTwoFactorSetup, authController.logout);
 
 /**
  * @route   GET /api/users/me
  * @desc    Get current user's profile
  * @access  Private
  */
-router.get('/me', auth, userController.getCurrentUser);
+router.get('/me', auth.protect, userController.getCurrentUser);
+
+/**
+ * @route   GET /api/users/locked
+ * @desc    Get accounts locked after too many failed logins
+ * @access  Admin/Moderator
+ * Registered before /:identifier so it is not taken for a username
+ */
+router.get('/locked', auth.protect, checkPermission('banUsers'), userController.getLockedAccounts);
+
+/**
+ * @route   GET /api/users/ip/:ip
+ * @desc    Get all accounts and posts sharing an IP address
+ * @access  Admin/Moderator
+ */
+router.get('/ip/:ip', auth.protect, checkPermission('viewIpAddresses'), userController.getUsersByIp);
 
 /**
  * @route   GET /api/users/:identifier
@@ -49,28 +66,56 @@ router.get('/:identifier', userController.getUserProfile);
  * @desc    Update user profile
  * @access  Private
  */
-router.put('/profile', auth, userController.updateProfile);
+router.put('/profile', auth.protect, userController.updateProfile);
 
 /**
  * @route   POST /api/users/avatar
  * @desc    Upload avatar
  * @access  Private
  */
-router.post('/avatar', auth, upload.single('avatar'), userController.uploadAvatar);
+router.post('/avatar', auth.protect, upload.single('avatar'), userController.uploadAvatar);
 
 /**
  * @route   PUT /api/users/password
  * @desc    Change password
  * @access  Private
  */
-router.put('/password', auth, userController.changePassword);
+router.put('/password', auth.protect, auth.preventImpersonation, userController.changePassword);
+
+/**
+ * @route   POST /api/users/email
+ * @desc    Request an email address change, confirmed from the new address
+ * @access  Private
+ */
+router.post('/email', auth.protect, auth.preventImpersonation, userController.requestEmailChange);
+
+/**
+ * @route   DELETE /api/users/email
+ * @desc    Cancel a pending email address change
+ * @access  Private
+ */
+router.delete('/email', auth.protect, auth.preventImpersonation, userController.cancelEmailChange);
+
+/**
+ * @route   POST /api/users/email/confirm
+ * @desc    Confirm an email address change; the token from the link is sent in the body
+ * @access  Public
+ */
+router.post('/email/confirm', userController.confirmEmailChange);
+
+/**
+ * @route   POST /api/users/email/revert
+ * @desc    Undo an email address change from the old address; the token from the link is sent in the body
+ * @access  Public
+ */
+router.post('/email/revert', userController.revertEmailChange);
 
 /**
  * @route   POST /api/users/password-reset
- * @desc    Request password reset
+ * @desc    Request password reset; needs a solved anti-bot challenge when enabled for passwordReset
  * @access  Public
  */
-router.post('/password-reset', userController.requestPasswordReset);
+router.post('/password-reset', requireChallenge('passwordReset'), userController.requestPasswordReset);
 
 /**
  * @route   PUT /api/users/password-reset/:token
@@ -95,27 +140,76 @@ router.get('/verify/:token', userController.verifyEmail);
  * @desc    Get all users
  * @access  Admin/Moderator
  */
-router.get('/', auth, checkPermission('viewUsers'), userController.getAllUsers);
+router.get('/', auth.protect, checkPermission('viewUsers'), userController.getAllUsers);
 
 /**
  * @route   PUT /api/users/:id/ban
  * @desc    Ban a user
  * @access  Admin/Moderator
  */
-router.put('/:id/ban', auth, checkPermission('banUsers'), userController.banUser);
+router.put('/:id/ban', auth.protect, checkPermission('banUsers'), userController.banUser);
 
 /**
  * @route   PUT /api/users/:id/unban
  * @desc    Unban a user
  * @access  Admin/Moderator
  */
-router.put('/:id/unban', auth, checkPermission('banUsers'), userController.unbanUser);
+router.put('/:id/unban', auth.protect, checkPermission('banUsers'), userController.unbanUser);
+
+/**
+ * @route   GET /api/users/:id/bans
+ * @desc    Get the ban history of a user
+ * @access  Admin/Moderator
+ */
+router.get('/:id/bans', auth.protect, checkPermission('banUsers'), userController.getUserBans);
+
+/**
+ * @route   GET /api/users/:id/ips
+ * @desc    Get the IP addresses of a user and the other accounts seen at them
+ * @access  Admin/Moderator
+ */
+router.get('/:id/ips', auth.protect, checkPermission('viewIpAddresses'), userController.getUserIpAddresses);
+
+/**
+ * @route   PUT /api/users/:id/unlock
+ * @desc    Unlock an account locked after too many failed logins
+ * @access  Admin/Moderator
+ */
+router.put('/:id/unlock', auth.protect, checkPermission('banUsers'), userController.unlockUser);
+
+/**
+ * @route   POST /api/users/:id/impersonate
+ * @desc    Get a token to act as a user; stopped with DELETE /api/auth/impersonation
+ * @access  Admin
+ */
+router.post('/:id/impersonate', auth.protect, auth.preventImpersonation, checkPermission('impersonateUsers'), userController.impersonateUser);
 
 /**
  * @route   PUT /api/users/:id/group
- * @desc    Change user group
+ * @desc    Change user's primary group
+ * @access  Admin
+ */
+router.put('/:id/group', auth.protect, checkPermission('manageUserGroups'), userController.changeUserGroup);
+
+/**
+ * @route   GET /api/users/:id/groups
+ * @desc    Get user's primary and secondary groups
+ * @access  Admin
+ */
+router.get('/:id/groups', auth.protect, checkPermission('manageUserGroups'), userController.getUserGroupMemberships);
+
+/**
+ * @route   POST /api/users/:id/groups
+ * @desc    Add user to a secondary group, optionally until a given date
+ * @access  Admin
+ */
+router.post('/:id/groups', auth.protect, checkPermission('manageUserGroups'), userController.addUserToGroup);
+
+/**
+ * @route   DELETE /api/users/:id/groups/:groupId
+ * @desc    Remove user from a secondary group
  * @access  Admin
  */
-router.put('/:id/group', auth, checkPermission('manageUserGroups'), userController.changeUserGroup);
+router.delete('/:id/groups/:groupId', auth.protect, checkPermission('manageUserGroups'), userController.removeUserFromGroup);
 
 module.exports = router;
\ No newline at end of file
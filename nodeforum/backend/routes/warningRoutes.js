@@ -0,0 +1,53 @@
+/**
+ * Warning Routes
+ * Handles routing for warnings and warning settings
+ */
+const express = require('express');
+const router = express.Router();
+const warningController = require('../controllers/warningController');
+const auth = require('../middlewares/auth');
+const { checkPermission } = require('../middlewares/permissions');
+
+/**
+ * @route   GET /api/warnings/settings
+ * @desc    Get the warning types and point thresholds
+ * @access  Moderator
+ */
+router.get('/settings', auth.protect, checkPermission('warnUsers'), warningController.getSettings);
+
+/**
+ * @route   PUT /api/warnings/settings
+ * @desc    Change the warning types or point thresholds
+ * @access  Admin
+ */
+router.put('/settings', auth.protect, checkPermission('manageSettings'), warningController.updateSettings);
+
+/**
+ * @route   GET /api/warnings/mine
+ * @desc    Get the current user's active warnings
+ * @access  Private
+ */
+router.get('/mine', auth.protect, warningController.getOwnWarnings);
+
+/**
+ * @route   GET /api/warnings/users/:userId
+ * @desc    Get all warnings of a user
+ * @access  Moderator
+ */
+router.get('/users/:userId', auth.protect, checkPermission('warnUsers'), warningController.getUserWarnings);
+
+/**
+ * @route   POST /api/warnings/users/:userId
+ * @desc    Warn a user
+ * @access  Moderator
+ */
+router.post('/users/:userId', auth.protect, checkPermission('warnUsers'), warningController.issueWarning);
+
+/**
+ * @route   DELETE /api/warnings/:id
+ * @desc    Revoke a warning
+ * @access  Moderator
+ */
+router.delete('/:id', auth.protect, checkPermission('warnUsers'), warningController.revokeWarning);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * Migrate legacy user roles to user groups
+ * Assigns each user a primary group based on the old User.role column, then drops the column.
+ * Usage: npm run migrate:roles
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize, UserGroup } = require('../models');
+const config = require('../config/config');
+
+// Legacy role => group name
+const ROLE_GROUPS = {
+  admin: 'administrator',
+  moderator: 'moderator',
+  user: config.forum.defaultUserGroup
+};
+
+async function migrate() {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('Users');
+  
+  if (!columns.role) {
+    console.log('Users.role does not exist, nothing to migrate.');
+    return;
+  }
+  
+  const transaction = await sequelize.transaction();
+  
+  try {
+    if (!columns.groupId) {
+      await queryInterface.addColumn('Users', 'groupId', {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'user_groups',
+          key: 'id'
+        }
+      }, { transaction });
+    }
+    
+    for (const [role, groupName] of Object.entries(ROLE_GROUPS)) {
+      const group = await UserGroup.findOne({ where: { name: groupName }, transaction });
+      
+      if (!group) {
+        throw new Error(`User group '${groupName}' not found. Create the default groups first.`);
+      }
+      
+      // Users that already have a primary group keep it
+      const [, result] = await sequelize.query(
+        'UPDATE "Users" SET "groupId" = :groupId WHERE "role" = :role AND "groupId" IS NULL',
+        { replacements: { groupId: group.id, role }, transaction }
+      );
+      
+      console.log(`${role}: ${result.rowCount} user(s) moved to '${groupName}'`);
+    }
+    
+    await queryInterface.removeColumn('Users', 'role', { transaction });
+    await sequelize.query('DROP TYPE IF EXISTS "enum_Users_role"', { transaction });
+    
+    await transaction.commit();
+    console.log('Users.role migrated to user groups.');
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+migrate()
+  .catch((error) => {
+    console.error('Role migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
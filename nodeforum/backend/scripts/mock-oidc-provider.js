@@ -0,0 +1,161 @@
+/**
+ * Mock OpenID Connect provider for developing and testing single sign-on
+ * Implements discovery, the authorization code flow with PKCE and a JWKS endpoint. The
+ * authorization page is a form where any email address, username and groups can be entered.
+ * Never expose it outside development: it logs in whoever fills in the form.
+ *
+ * Usage: npm run mock:oidc
+ * Then start the backend with
+ *   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=nodeforum
+ *   OIDC_GROUP_MAPPING='{"forum-admins":"administrator","forum-mods":"moderator"}'
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+
+// Signing key, new on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes, valid for one minute
+const codes = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'none'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    claims_supported: ['sub', 'email', 'email_verified', 'preferred_username', 'name', 'groups']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// Login form; the authorization request is passed on in hidden fields
+app.get('/authorize', (req, res) => {
+  const { response_type: responseType, code_challenge_method: challengeMethod } = req.query;
+
+  if (responseType !== 'code' || challengeMethod !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).send('Only the authorization code flow with S256 PKCE is supported');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!DOCTYPE html>
+<html>
+<body>
+  <h1>Mock identity provider</h1>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email <input name="email" value="staff@example.com"></label></p>
+    <p><label>Username <input name="username" value="staff"></label></p>
+    <p><label>Groups (comma separated) <input name="groups" value="forum-mods"></label></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+    <button type="submit">Log in</button>
+    <button type="submit" name="deny" value="true">Cancel</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.body;
+  const redirect = new URL(redirectUri);
+
+  if (state) {
+    redirect.searchParams.set('state', state);
+  }
+
+  if (req.body.deny) {
+    redirect.searchParams.set('error', 'access_denied');
+    redirect.searchParams.set('error_description', 'The user cancelled the login');
+    return res.redirect(redirect.toString());
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri,
+    codeChallenge: req.body.code_challenge,
+    nonce: req.body.nonce,
+    email: req.body.email,
+    emailVerified: req.body.email_verified === 'true',
+    username: req.body.username,
+    groups: (req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean),
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const request = codes.get(code);
+
+  // Codes can only be used once
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !request || request.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+
+  if (request.clientId !== clientId || request.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect URI mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== request.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({
+    // Stable subject per email address, like a real provider's user ID
+    sub: crypto.createHash('sha256').update(request.email.toLowerCase()).digest('hex').substring(0, 24),
+    email: request.email,
+    email_verified: request.emailVerified,
+    preferred_username: request.username,
+    name: request.username,
+    groups: request.groups,
+    nonce: request.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OpenID Connect provider running at ${issuer}`);
+});
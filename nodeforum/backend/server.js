@@ -6,6 +6,8 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { sequelize } = require('./models');
 const errorHandler = require('./middlewares/errorHandler');
+const { loadPermissions } = require('./middlewares/permissions');
+const { startJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -14,6 +16,13 @@ const forumRoutes = require('./routes/forumRoutes');
 const threadRoutes = require('./routes/threadRoutes');
 const postRoutes = require('./routes/postRoutes');
 const messageRoutes = require('./routes/messageRoutes');
+const userGroupRoutes = require('./routes/userGroupRoutes');
+const registrationRoutes = require('./routes/registrationRoutes');
+const challengeRoutes = require('./routes/challengeRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const warningRoutes = require('./routes/warningRoutes');
+const banListRoutes = require('./routes/banListRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
 
 // Load env variables
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
@@ -29,6 +38,9 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
+// Apply guest permissions to anonymous requests
+app.use(loadPermissions);
+
 // Set up routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -36,6 +48,13 @@ app.use('/api/forums', forumRoutes);
 app.use('/api/threads', threadRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/groups', userGroupRoutes);
+app.use('/api/registration', registrationRoutes);
+app.use('/api/challenge', challengeRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/warnings', warningRoutes);
+app.use('/api/ban-lists', banListRoutes);
+app.use('/api/audit-log', auditLogRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -59,6 +78,8 @@ async function startServer() {
     app.listen(PORT, () => {
       console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     });
+    
+    startJobs();
   } catch (error) {
     console.error('Unable to connect to the database:', error);
   }
@@ -0,0 +1,223 @@
+/**
+ * Anti-Bot Challenge
+ * An offline alternative to third-party CAPTCHAs combining three checks:
+ *   - proof of work: the client has to find a nonce so that SHA-256("<token>:<nonce>") starts
+ *     with a number of zero bits, which costs a browser a moment but a bot a lot at scale
+ *   - honeypot: a form field hidden from people that bots fill in
+ *   - minimum fill time: forms submitted faster than a person can type are rejected
+ * Challenges are signed tokens, so no state is needed until one is used; used tokens are
+ * remembered until they expire so they cannot be replayed.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createStore } = require('./attemptStores');
+const { ValidationError } = require('./errors');
+const { getSetting, setSetting } = require('./settings');
+const config = require('../config/config');
+
+// Marks challenge tokens so no other token can be used in their place
+const CHALLENGE_PURPOSE = 'anti-bot';
+
+// Forms that can require a challenge
+const CHALLENGE_ACTIONS = ['register', 'passwordReset'];
+
+// Used challenges share the login throttle's storage
+const store = createStore(config.security.loginThrottle.store);
+
+exports.CHALLENGE_ACTIONS = CHALLENGE_ACTIONS;
+
+/**
+ * Get the current settings: the defaults from config.security.antiBot with admin changes applied
+ * @returns {Promise<Object>} { actions, difficulty, minFillSeconds, honeypotField, expiresInMinutes }
+ */
+const getAntiBotSettings = async () => {
+  const defaults = config.security.antiBot;
+  const changes = await getSetting('antiBot', {});
+
+  return {
+    ...defaults,
+    ...changes,
+    actions: { ...defaults.actions, ...changes.actions }
+  };
+};
+
+exports.getAntiBotSettings = getAntiBotSettings;
+
+/**
+ * Change the settings
+ * @param {Object} data - { actions, difficulty, minFillSeconds }
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<Object>} New settings
+ */
+exports.updateAntiBotSettings = async (data, user) => {
+  const errors = [];
+  const changes = { ...await getSetting('antiBot', {}) };
+
+  if (data.actions !== undefined) {
+    if (!data.actions || typeof data.actions !== 'object' || Array.isArray(data.actions)) {
+      errors.push({ field: 'actions', message: 'Actions must be an object' });
+    } else {
+      for (const [action, enabled] of Object.entries(data.actions)) {
+        if (!CHALLENGE_ACTIONS.includes(action)) {
+          errors.push({ field: `actions.${action}`, message: `Action must be one of: ${CHALLENGE_ACTIONS.join(', ')}` });
+        } else if (typeof enabled !== 'boolean') {
+          errors.push({ field: `actions.${action}`, message: 'Value must be true or false' });
+        }
+      }
+      changes.actions = { ...changes.actions, ...data.actions };
+    }
+  }
+
+  // Every extra bit doubles the work; beyond 24 bits browsers take too long
+  if (data.difficulty !== undefined) {
+    if (!Number.isInteger(data.difficulty) || data.difficulty < 0 || data.difficulty > 24) {
+      errors.push({ field: 'difficulty', message: 'Difficulty must be a number of bits between 0 and 24' });
+    }
+    changes.difficulty = data.difficulty;
+  }
+
+  if (data.minFillSeconds !== undefined) {
+    if (!Number.isInteger(data.minFillSeconds) || data.minFillSeconds < 0 || data.minFillSeconds > 60) {
+      errors.push({ field: 'minFillSeconds', message: 'Minimum fill time must be between 0 and 60 seconds' });
+    }
+    changes.minFillSeconds = data.minFillSeconds;
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  await setSetting('antiBot', changes, user);
+
+  return getAntiBotSettings();
+};
+
+/**
+ * Check whether a form requires a challenge
+ * @param {string} action - Form, one of CHALLENGE_ACTIONS
+ * @returns {Promise<boolean>}
+ */
+exports.isChallengeEnabled = async (action) => {
+  const settings = await getAntiBotSettings();
+  return settings.actions[action] === true;
+};
+
+/**
+ * Issue a challenge for a form
+ * Clients should fetch it when the form is shown, since the fill time counts from here.
+ * @param {string} action - Form, one of CHALLENGE_ACTIONS
+ * @returns {Promise<Object>} { token, difficulty, honeypotField, minFillSeconds }
+ */
+exports.createChallenge = async (action) => {
+  const settings = await getAntiBotSettings();
+
+  const token = jwt.sign(
+    {
+      purpose: CHALLENGE_PURPOSE,
+      action,
+      difficulty: settings.difficulty,
+      jti: crypto.randomBytes(12).toString('base64url')
+    },
+    config.jwt.secret,
+    { expiresIn: `${settings.expiresInMinutes}m` }
+  );
+
+  return {
+    token,
+    difficulty: settings.difficulty,
+    honeypotField: settings.honeypotField,
+    minFillSeconds: settings.minFillSeconds
+  };
+};
+
+/**
+ * Count the leading zero bits of a hash
+ * @param {Buffer} hash - Hash
+ * @returns {number} Zero bits
+ */
+const countLeadingZeroBits = (hash) => {
+  let bits = 0;
+
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+
+  return bits;
+};
+
+/**
+ * Check the challenge sent with a form
+ * @param {string} action - Form, one of CHALLENGE_ACTIONS
+ * @param {Object} body - Request body with challengeToken, challengeNonce and the honeypot field
+ * @throws {ValidationError} With the failed check as `rule` in the details
+ */
+exports.verifyChallenge = async (action, body = {}) => {
+  const settings = await getAntiBotSettings();
+  const fail = (rule, message) => {
+    throw new ValidationError('Anti-bot check failed', [{ field: 'challenge', rule, message }]);
+  };
+
+  if (body[settings.honeypotField]) {
+    fail('honeypot', 'Please leave the hidden field empty');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(String(body.challengeToken || ''), config.jwt.secret);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== CHALLENGE_PURPOSE || decoded.action !== action) {
+    fail('invalid', 'The form has expired. Please reload it and try again.');
+  }
+
+  if (Date.now() - decoded.iat * 1000 < settings.minFillSeconds * 1000) {
+    fail('tooFast', 'The form was submitted too quickly. Please try again.');
+  }
+
+  // The difficulty is taken from the token, so changing it does not break open forms
+  const hash = crypto.createHash('sha256').update(`${body.challengeToken}:${body.challengeNonce}`).digest();
+  if (body.challengeNonce === undefined || countLeadingZeroBits(hash) < decoded.difficulty) {
+    fail('proofOfWork', 'The proof of work is missing or wrong');
+  }
+
+  const key = `challenge:${decoded.jti}`;
+  if (await store.get(key)) {
+    fail('used', 'The form was already submitted. Please reload it and try again.');
+  }
+
+  await store.save({
+    key,
+    userId: null,
+    failures: 1,
+    lastFailureAt: new Date(),
+    lockedUntil: new Date(decoded.exp * 1000)
+  });
+};
+
+/**
+ * Check the challenge sent with a form if the form requires one
+ * @param {string} action - Form, one of CHALLENGE_ACTIONS
+ * @param {Object} body - Request body
+ * @throws {ValidationError} If the challenge is required and not passed
+ */
+exports.checkChallenge = async (action, body) => {
+  if (await exports.isChallengeEnabled(action)) {
+    await exports.verifyChallenge(action, body);
+  }
+};
+
+/**
+ * Forget used challenges that have expired anyway
+ */
+exports.pruneUsedChallenges = async () => {
+  // The database store holds failed logins too, so keep records as long as the login throttle does
+  const now = new Date();
+  await store.prune(new Date(now.getTime() - config.security.loginThrottle.resetAfterMinutes * 60 * 1000), now);
+};
@@ -0,0 +1,83 @@
+/**
+ * API Token Utilities
+ * Personal access tokens let scripts and bots call the API as a user, limited to the scopes
+ * chosen when the token was created
+ */
+const crypto = require('crypto');
+const { ApiToken, User } = require('../models');
+
+// Distinguishes API tokens from JWTs in the Authorization header
+const TOKEN_PREFIX = 'nfp_';
+
+// API areas tokens can be scoped to, named after their route prefix (/api/<resource>)
+// Everything else, including session and token management under /api/auth, is off limits
+const SCOPE_RESOURCES = ['forums', 'threads', 'posts', 'messages', 'users'];
+
+/**
+ * All known scopes, e.g. 'threads:write'
+ * Read scopes cover GET requests, write scopes everything else.
+ */
+const SCOPES = SCOPE_RESOURCES.reduce((scopes, resource) => [...scopes, `${resource}:read`, `${resource}:write`], []);
+
+exports.SCOPES = SCOPES;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Check whether a bearer token is an API token rather than a JWT
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+exports.isApiToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Get the scope a request needs when made with an API token
+ * @param {Object} req - Express request, after routing
+ * @returns {string|null} Scope, or null if API tokens cannot be used for the route
+ */
+exports.getRequiredScope = (req) => {
+  const resource = (req.baseUrl || '').split('/')[2];
+
+  if (!SCOPE_RESOURCES.includes(resource)) {
+    return null;
+  }
+
+  return `${resource}:${req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write'}`;
+};
+
+/**
+ * Create a token for a user
+ * @param {Object} user - User instance
+ * @param {Object} options - { name, scopes, expiresAt }
+ * @returns {Promise<Object>} { apiToken, token } where token is the plain token to show once
+ */
+exports.createApiToken = async (user, { name, scopes, expiresAt = null }) => {
+  const token = TOKEN_PREFIX + crypto.randomBytes(30).toString('base64url');
+
+  const apiToken = await ApiToken.create({
+    userId: user.id,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.substring(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { apiToken, token };
+};
+
+/**
+ * Find the valid token for a bearer token, along with its user
+ * @param {string} token - Plain API token
+ * @returns {Promise<Object|null>} ApiToken instance with User, or null
+ */
+exports.findApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: [User]
+  });
+
+  return apiToken && apiToken.isValid() ? apiToken : null;
+};
@@ -0,0 +1,115 @@
+/**
+ * Attempt Stores
+ * Storage backends for failed login attempts used by the login throttle
+ *
+ * A store keeps one record per key ('account:<user id>' or 'ip:<address>'):
+ *   { key, userId, failures, lastFailureAt, lockedUntil }
+ * The memory store suits a single server; the database store shares records between nodes.
+ */
+const { Op } = require('sequelize');
+const { LoginAttempt } = require('../models');
+
+/**
+ * In-memory store for single node deployments
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    return record ? { ...record } : null;
+  }
+
+  async save(record) {
+    this.records.set(record.key, { ...record });
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async findLockedAccounts(now) {
+    return [...this.records.values()]
+      .filter(record => record.userId && record.lockedUntil && record.lockedUntil > now)
+      .map(record => ({ ...record }));
+  }
+
+  async prune(before, now) {
+    for (const [key, record] of this.records) {
+      if (record.lastFailureAt < before && !(record.lockedUntil > now)) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Database store for multi-node deployments (see LoginAttempt)
+ */
+class DatabaseStore {
+  async get(key) {
+    const attempt = await LoginAttempt.findByPk(key, { raw: true });
+    return attempt || null;
+  }
+
+  async save(record) {
+    await LoginAttempt.upsert({
+      key: record.key,
+      userId: record.userId,
+      failures: record.failures,
+      lastFailureAt: record.lastFailureAt,
+      lockedUntil: record.lockedUntil
+    });
+  }
+
+  async delete(key) {
+    await LoginAttempt.destroy({ where: { key } });
+  }
+
+  async findLockedAccounts(now) {
+    return LoginAttempt.findAll({
+      where: {
+        userId: { [Op.ne]: null },
+        lockedUntil: { [Op.gt]: now }
+      },
+      raw: true
+    });
+  }
+
+  async prune(before, now) {
+    await LoginAttempt.destroy({
+      where: {
+        lastFailureAt: { [Op.lt]: before },
+        [Op.or]: [
+          { lockedUntil: null },
+          { lockedUntil: { [Op.lte]: now } }
+        ]
+      }
+    });
+  }
+}
+
+const STORES = {
+  memory: MemoryStore,
+  database: DatabaseStore
+};
+
+/**
+ * Create a store by name
+ * @param {string} name - 'memory' or 'database'
+ * @returns {Object} Store instance
+ */
+exports.createStore = (name) => {
+  const Store = STORES[name];
+
+  if (!Store) {
+    throw new Error(`Unknown login attempt store: ${name}`);
+  }
+
+  return new Store();
+};
+
+exports.MemoryStore = MemoryStore;
+exports.DatabaseStore = DatabaseStore;
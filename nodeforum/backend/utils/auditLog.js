@@ -0,0 +1,158 @@
+/**
+ * Audit Log
+ * Records administrative and moderation actions so they can be reviewed later: who did what
+ * to which record, the changed fields before and after, and the reason given.
+ */
+const { Op } = require('sequelize');
+const { AuditLog, User } = require('../models');
+const { ValidationError, NotFoundError } = require('./errors');
+
+/**
+ * Record an action
+ * Actions taken while impersonating a user are recorded with that user as the actor and the
+ * admin who really acted as the impersonator.
+ * @param {Object} entry - { actor, action, targetType, targetId, before, after, reason, details }
+ * @param {Object} [req] - Express request the action came from
+ * @param {Object} [options] - { transaction } for actions that can still be rolled back
+ * @returns {Promise<Object>} AuditLog instance
+ */
+exports.logAction = ({
+  actor,
+  action,
+  targetType = null,
+  targetId = null,
+  before = null,
+  after = null,
+  reason = null,
+  details = null
+}, req = null, { transaction } = {}) => {
+  return AuditLog.create({
+    actorId: actor ? actor.id : null,
+    impersonatorId: req && req.impersonator ? req.impersonator.id : null,
+    action,
+    targetType,
+    targetId: targetId === null ? null : String(targetId),
+    before,
+    after,
+    reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+    details,
+    ipAddress: req ? req.ip || null : null
+  }, { transaction });
+};
+
+/**
+ * Take the values of some fields of a record for the before or after snapshot
+ * @param {Object} record - Model instance or plain object
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} Field values
+ */
+exports.snapshot = (record, fields) => {
+  const values = typeof record.get === 'function' ? record.get({ plain: true }) : record;
+  const result = {};
+
+  for (const field of fields) {
+    result[field] = values[field] === undefined ? null : values[field];
+  }
+
+  return result;
+};
+
+/**
+ * Parse a date filter
+ * @param {string} value - Date from the query string
+ * @param {string} field - Filter name, for the error
+ * @returns {Date}
+ */
+const parseDate = (value, field) => {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError('Validation failed', [{ field, message: 'Must be a date' }]);
+  }
+
+  return date;
+};
+
+/**
+ * Get log entries, newest first
+ * `action` takes a comma-separated list of actions; an action ending in ".*" matches all
+ * actions of that kind, e.g. "thread.*".
+ * @param {Object} filters - { actorId, action, targetType, targetId, from, to, page, limit }
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+exports.getAuditLog = async ({ actorId, action, targetType, targetId, from, to, page = 1, limit = 50 } = {}) => {
+  const where = {};
+
+  if (actorId) {
+    where.actorId = actorId;
+  }
+
+  if (action) {
+    where[Op.or] = String(action).split(',').map(name => name.trim()).filter(Boolean).map(name => (
+      name.endsWith('.*')
+        ? { action: { [Op.startsWith]: name.slice(0, -1) } }
+        : { action: name }
+    ));
+  }
+
+  if (targetType) {
+    where.targetType = targetType;
+  }
+
+  if (targetId) {
+    where.targetId = String(targetId);
+  }
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) {
+      where.createdAt[Op.gte] = parseDate(from, 'from');
+    }
+    if (to) {
+      where.createdAt[Op.lte] = parseDate(to, 'to');
+    }
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+
+  const { count, rows } = await AuditLog.findAndCountAll({
+    where,
+    include: [
+      { model: User, as: 'Actor', attributes: ['id', 'username'] },
+      { model: User, as: 'Impersonator', attributes: ['id', 'username'] }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize
+  });
+
+  return {
+    entries: rows,
+    pagination: {
+      total: count,
+      page: pageNumber,
+      pages: Math.ceil(count / pageSize)
+    }
+  };
+};
+
+/**
+ * Get a log entry
+ * @param {string} id - Entry id
+ * @returns {Promise<Object>} AuditLog instance
+ */
+exports.getAuditLogEntry = async (id) => {
+  const entry = await AuditLog.findByPk(id, {
+    include: [
+      { model: User, as: 'Actor', attributes: ['id', 'username'] },
+      { model: User, as: 'Impersonator', attributes: ['id', 'username'] }
+    ]
+  });
+
+  if (!entry) {
+    throw new NotFoundError('Log entry not found');
+  }
+
+  return entry;
+};
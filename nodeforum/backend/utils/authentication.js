@@ -0,0 +1,210 @@
+/**
+ * Authentication Service
+ * Registration and login shared by /api/auth and its aliases under /api/users, so both give
+ * the same results in the same shape
+ */
+const { sequelize, User, UserGroup, UserGroupMembership } = require('../models');
+const { ValidationError, AuthenticationError } = require('./errors');
+const { validateUserData } = require('./validators');
+const { generateVerificationToken } = require('./helpers');
+const { createSession } = require('./sessions');
+const { createChallengeToken } = require('./twoFactor');
+const { getRegistrationMode, findUsableInvite, redeemInvite } = require('./registration');
+const { checkChallenge } = require('./antiBot');
+const { createBannedError } = require('./bans');
+const { checkRegistration, checkLogin, normalizeIp } = require('./banLists');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('./loginThrottle');
+const { sendUserMail } = require('../mailer');
+const config = require('../config/config');
+
+/**
+ * Describe a user in authentication responses
+ * @param {Object} user - User instance
+ * @returns {Object} User payload
+ */
+const formatAuthUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  groupId: user.groupId,
+  avatar: user.avatar,
+  isActive: user.isActive,
+  isApproved: user.isApproved,
+  twoFactorEnabled: user.twoFactorEnabled
+});
+
+exports.formatAuthUser = formatAuthUser;
+
+/**
+ * Register a new account in the default group
+ * When config.forum.requireEmailVerification is on, the account stays inactive until the
+ * address is verified. Depending on the registration mode an invite code is required, or the
+ * account waits for approval. No session is started until the account can be used.
+ * When enabled, the data has to carry a solved anti-bot challenge (see utils/antiBot.js).
+ * @param {Object} data - { username, email, password, confirmPassword, inviteCode }
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, token, refreshToken, requiresVerification, requiresApproval }
+ */
+exports.registerUser = async (data, req) => {
+  const { username, email, password, confirmPassword } = data;
+  const mode = await getRegistrationMode();
+
+  const validationErrors = validateUserData(data);
+  if (validationErrors.length > 0) {
+    throw new ValidationError('Validation failed', validationErrors);
+  }
+
+  // Only checked for clients that ask for the password twice
+  if (confirmPassword !== undefined && password !== confirmPassword) {
+    throw new ValidationError('Passwords do not match', [
+      { field: 'confirmPassword', message: 'Passwords do not match' }
+    ]);
+  }
+
+  await checkRegistration({ username, email }, req);
+
+  if (await User.findOne({ where: { username } })) {
+    throw new ValidationError('Username is already taken', [
+      { field: 'username', message: 'Username is already taken' }
+    ]);
+  }
+
+  if (await User.findOne({ where: { email } })) {
+    throw new ValidationError('Email is already registered', [
+      { field: 'email', message: 'Email is already registered' }
+    ]);
+  }
+
+  const invite = mode === 'invite' ? await findUsableInvite(data.inviteCode) : null;
+
+  const defaultGroup = await UserGroup.getDefaultGroup(config.forum.defaultUserGroup);
+
+  if (!defaultGroup) {
+    throw new Error('Default user group not found');
+  }
+
+  const requiresVerification = config.forum.requireEmailVerification;
+  const requiresApproval = mode === 'approval';
+  const verificationToken = requiresVerification ? generateVerificationToken() : null;
+
+  // Checked last, since a passed challenge is used up and the form would need a new one
+  await checkChallenge('register', data);
+
+  const user = await sequelize.transaction(async (transaction) => {
+    if (invite) {
+      await redeemInvite(invite, transaction);
+    }
+
+    // The password is hashed by the model
+    const newUser = await User.create({
+      username,
+      email,
+      password,
+      groupId: defaultGroup.id,
+      isActive: !requiresVerification,
+      isApproved: !requiresApproval,
+      verificationToken,
+      inviteCodeId: invite ? invite.id : null,
+      registrationIp: normalizeIp(req.ip) || null
+    }, { transaction });
+
+    if (invite && invite.groupId && invite.groupId !== defaultGroup.id) {
+      await UserGroupMembership.create({
+        userId: newUser.id,
+        groupId: invite.groupId,
+        addedBy: invite.createdBy
+      }, { transaction });
+    }
+
+    return newUser;
+  });
+
+  if (requiresVerification) {
+    await sendUserMail(user, 'verification', {
+      link: `${config.app.frontendUrl}/verify-email/${verificationToken}`
+    });
+  }
+
+  if (requiresVerification || requiresApproval) {
+    return { user: formatAuthUser(user), token: null, refreshToken: null, requiresVerification, requiresApproval };
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  return { user: formatAuthUser(user), token, refreshToken, requiresVerification, requiresApproval };
+};
+
+/**
+ * Finish a login once all credentials are checked: clear failed attempts and start a session
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, token, refreshToken }
+ */
+exports.completeLogin = async (user, req) => {
+  await checkLogin(user, req);
+
+  await recordLoginSuccess(req.ip, user);
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  return { user: formatAuthUser(user), token, refreshToken };
+};
+
+/**
+ * Log in with a username or email address and password
+ * Accounts with two-factor authentication get a challenge instead of a session
+ * (see POST /api/auth/login/2fa); their failures are only cleared once it is completed.
+ * @param {Object} credentials - { login, password }; login may be a username or email address
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, token, refreshToken } or { twoFactorRequired, challengeToken }
+ */
+exports.loginUser = async ({ login, password }, req) => {
+  if (!login || !password || typeof login !== 'string' || typeof password !== 'string') {
+    throw new ValidationError('Username or email and password are required');
+  }
+
+  // Usernames cannot contain @, so a login with one is always an email address
+  const user = await User.findOne({
+    where: login.includes('@') ? { email: login } : { username: login }
+  });
+
+  // Refuse attempts while the IP address or account has to wait
+  await checkLoginAllowed(req.ip, user);
+
+  if (!user) {
+    await recordLoginFailure(req.ip);
+    throw new AuthenticationError('Invalid credentials');
+  }
+
+  if (!await user.comparePassword(password)) {
+    await recordLoginFailure(req.ip, user);
+    throw new AuthenticationError('Invalid credentials');
+  }
+
+  // Account state is only revealed to someone who knows the password
+  if (!user.isActive) {
+    throw new AuthenticationError('Account is not active. Please verify your email.');
+  }
+
+  if (!user.isApproved) {
+    throw new AuthenticationError('Your account is waiting for approval by an administrator.');
+  }
+
+  if (user.isBanActive()) {
+    throw createBannedError(user);
+  }
+
+  await checkLogin(user, req);
+
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user)
+    };
+  }
+
+  return exports.completeLogin(user, req);
+};
@@ -0,0 +1,359 @@
+/**
+ * Ban Lists
+ * Admin-managed lists that keep people out regardless of their account:
+ *   - ip: IP addresses and CIDR ranges, checked at registration, login and posting
+ *   - email: domains (matching subdomains too) or patterns such as "*@spam.*", checked at
+ *     registration, email changes, login and posting
+ *   - username: patterns such as "admin*", checked at registration
+ * Patterns use * for any number of characters and ? for a single one and ignore case.
+ * The lists are consulted on every post, so they are kept in memory until an entry changes.
+ */
+const net = require('net');
+const { Op } = require('sequelize');
+const { BanListEntry, User } = require('../models');
+const { ValidationError, NotFoundError, AuthorizationError } = require('./errors');
+const { logAction } = require('./auditLog');
+
+const BAN_LIST_TYPES = ['ip', 'email', 'username'];
+
+exports.BAN_LIST_TYPES = BAN_LIST_TYPES;
+
+// Compiled lists and when they have to be loaded again, see loadLists
+let lists = null;
+let listsExpireAt = 0;
+
+// Entries can expire without a change to the lists, so they are reloaded at least this often
+const MAX_LIST_AGE = 60 * 60 * 1000;
+
+const clearLists = () => {
+  lists = null;
+};
+
+BanListEntry.addHook('afterSave', clearLists);
+BanListEntry.addHook('afterDestroy', clearLists);
+BanListEntry.addHook('afterBulkCreate', clearLists);
+BanListEntry.addHook('afterBulkDestroy', clearLists);
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients on dual-stack sockets
+ * @param {string} ip - IP address
+ * @returns {string} IP address
+ */
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+exports.normalizeIp = normalizeIp;
+
+/**
+ * Parse an IP address or CIDR range
+ * @param {string} value - e.g. "203.0.113.7", "203.0.113.0/24" or "2001:db8::/32"
+ * @returns {Object|null} { address, prefix, family } or null if invalid
+ */
+const parseIpRange = (value) => {
+  const [address, prefix, ...rest] = value.split('/');
+  const version = net.isIP(address);
+
+  if (!version || rest.length > 0) {
+    return null;
+  }
+
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  const maxPrefix = version === 4 ? 32 : 128;
+
+  if (prefix === undefined) {
+    return { address, prefix: maxPrefix, family };
+  }
+
+  if (!/^\d+$/.test(prefix) || Number(prefix) > maxPrefix) {
+    return null;
+  }
+
+  return { address, prefix: Number(prefix), family };
+};
+
+/**
+ * Turn a pattern with * and ? into a regular expression matching whole values
+ * @param {string} pattern - Pattern
+ * @returns {RegExp}
+ */
+const patternToRegExp = (pattern) => {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Check whether an email list value is a plain domain rather than a pattern
+ * @param {string} value - List value
+ * @returns {boolean}
+ */
+const isDomain = (value) => !value.includes('@') && !value.includes('*') && !value.includes('?');
+
+/**
+ * Load the entries that have not expired and compile them for matching
+ * @returns {Promise<Object>} { ip, email, username } with { entry, ... } matchers
+ */
+const loadLists = async () => {
+  if (lists && Date.now() < listsExpireAt) {
+    return lists;
+  }
+
+  const entries = await BanListEntry.findAll({
+    where: {
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: new Date() } }
+      ]
+    }
+  });
+
+  const compiled = { ip: [], email: [], username: [] };
+  let expireAt = Date.now() + MAX_LIST_AGE;
+
+  for (const entry of entries) {
+    if (entry.expiresAt) {
+      expireAt = Math.min(expireAt, entry.expiresAt.getTime());
+    }
+
+    if (entry.type === 'ip') {
+      const range = parseIpRange(entry.value);
+      if (range) {
+        const blockList = new net.BlockList();
+        blockList.addSubnet(range.address, range.prefix, range.family);
+        compiled.ip.push({ entry, blockList });
+      }
+    } else if (entry.type === 'email' && isDomain(entry.value)) {
+      compiled.email.push({ entry, domain: entry.value });
+    } else {
+      compiled[entry.type].push({ entry, regExp: patternToRegExp(entry.value) });
+    }
+  }
+
+  lists = compiled;
+  listsExpireAt = expireAt;
+
+  return compiled;
+};
+
+/**
+ * Find the first entry of a list matching a value
+ * @param {string} type - One of BAN_LIST_TYPES
+ * @param {string} value - IP address, email address or username
+ * @returns {Promise<Object|null>} BanListEntry instance, or null if the value is not listed
+ */
+const findMatch = async (type, value) => {
+  if (!value) {
+    return null;
+  }
+
+  const compiled = (await loadLists())[type];
+
+  if (type === 'ip') {
+    const ip = normalizeIp(value);
+    const version = net.isIP(ip);
+    if (!version) {
+      return null;
+    }
+    const family = version === 4 ? 'ipv4' : 'ipv6';
+    const match = compiled.find(({ blockList }) => blockList.check(ip, family));
+    return match ? match.entry : null;
+  }
+
+  if (type === 'email') {
+    const address = String(value).toLowerCase();
+    const domain = address.substring(address.lastIndexOf('@') + 1);
+    const match = compiled.find(({ domain: listed, regExp }) => (listed
+      ? domain === listed || domain.endsWith(`.${listed}`)
+      : regExp.test(address)));
+    return match ? match.entry : null;
+  }
+
+  const match = compiled.find(({ regExp }) => regExp.test(String(value)));
+  return match ? match.entry : null;
+};
+
+exports.findMatch = findMatch;
+
+/**
+ * Refuse requests from listed IP addresses
+ * @param {string} ip - Client IP address
+ * @param {string} message - Error message
+ * @throws {AuthorizationError} If the address is listed
+ */
+const checkIp = async (ip, message) => {
+  if (await findMatch('ip', ip)) {
+    throw new AuthorizationError(message);
+  }
+};
+
+/**
+ * Check a new account against the lists
+ * @param {Object} data - { username, email }
+ * @param {Object} req - Express request
+ * @throws {AuthorizationError} If the IP address is listed
+ * @throws {ValidationError} If the username or email address is listed
+ */
+exports.checkRegistration = async ({ username, email }, req) => {
+  await checkIp(req.ip, 'Registration from your network is not allowed');
+
+  const errors = [];
+
+  if (await findMatch('username', username)) {
+    errors.push({ field: 'username', message: 'This username is not allowed' });
+  }
+
+  if (await findMatch('email', email)) {
+    errors.push({ field: 'email', message: 'Email addresses from this provider are not allowed' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+};
+
+/**
+ * Check a new email address of an existing account against the list
+ * @param {string} email - Email address
+ * @throws {ValidationError} If the address is listed
+ */
+exports.checkEmail = async (email) => {
+  if (await findMatch('email', email)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'email', message: 'Email addresses from this provider are not allowed' }
+    ]);
+  }
+};
+
+/**
+ * Check a login against the lists
+ * @param {Object} user - User instance logging in
+ * @param {Object} req - Express request
+ * @throws {AuthorizationError} If the IP address or the account's email address is listed
+ */
+exports.checkLogin = async (user, req) => {
+  await checkIp(req.ip, 'Login from your network is not allowed');
+
+  if (await findMatch('email', user.email)) {
+    throw new AuthorizationError('Accounts with email addresses from this provider are not allowed');
+  }
+};
+
+/**
+ * Check a new post or thread against the lists
+ * @param {Object} user - Author
+ * @param {Object} req - Express request
+ * @throws {AuthorizationError} If the IP address or the author's email address is listed
+ */
+exports.checkPosting = async (user, req) => {
+  await checkIp(req.ip, 'Posting from your network is not allowed');
+
+  if (await findMatch('email', user.email)) {
+    throw new AuthorizationError('Accounts with email addresses from this provider cannot post');
+  }
+};
+
+/**
+ * Get the entries of the lists
+ * @param {Object} [filters] - { type }
+ * @returns {Promise<Array>} BanListEntry instances, newest first
+ */
+exports.getEntries = ({ type } = {}) => {
+  return BanListEntry.findAll({
+    where: type ? { type } : {},
+    include: [{ model: User, as: 'Creator', attributes: ['id', 'username'] }],
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+/**
+ * Add an entry to a list
+ * @param {Object} data - { type, value, reason, expiresAt }
+ * @param {Object} user - Admin adding the entry
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<Object>} BanListEntry instance
+ */
+exports.addEntry = async (data, user, req = null) => {
+  const errors = [];
+  const type = data.type;
+  let value = typeof data.value === 'string' ? data.value.trim().toLowerCase() : '';
+
+  if (!BAN_LIST_TYPES.includes(type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${BAN_LIST_TYPES.join(', ')}` });
+  }
+
+  if (!value) {
+    errors.push({ field: 'value', message: 'Value is required' });
+  } else if (value.length > 255) {
+    errors.push({ field: 'value', message: 'Value must be at most 255 characters' });
+  } else if (type === 'ip') {
+    const range = parseIpRange(value);
+    if (!range) {
+      errors.push({ field: 'value', message: 'Value must be an IP address or CIDR range' });
+    }
+  } else if (/^[*?@.]+$/.test(value) && value.includes('*')) {
+    errors.push({ field: 'value', message: 'Value would match everyone' });
+  } else if (type === 'email') {
+    // "@example.com" is the same as "example.com"
+    value = value.replace(/^@(?=[^@]+$)/, '');
+  }
+
+  let expiresAt = null;
+  if (data.expiresAt) {
+    expiresAt = new Date(data.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      errors.push({ field: 'expiresAt', message: 'Expiry must be a date in the future' });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  if (await BanListEntry.findOne({ where: { type, value } })) {
+    throw new ValidationError('Validation failed', [{ field: 'value', message: 'This value is already listed' }]);
+  }
+
+  const entry = await BanListEntry.create({
+    type,
+    value,
+    reason: data.reason || null,
+    createdBy: user.id,
+    expiresAt
+  });
+
+  await logAction({
+    actor: user,
+    action: 'banList.add',
+    targetType: 'banList',
+    targetId: entry.id,
+    details: { type, value, reason: entry.reason, expiresAt }
+  }, req);
+
+  return entry;
+};
+
+/**
+ * Remove an entry from a list
+ * @param {string} id - Entry id
+ * @param {Object} user - Admin removing the entry
+ * @param {Object} [req] - Express request, for the audit log
+ */
+exports.removeEntry = async (id, user, req = null) => {
+  const entry = await BanListEntry.findByPk(id);
+
+  if (!entry) {
+    throw new NotFoundError('Ban list entry not found');
+  }
+
+  await entry.destroy();
+
+  await logAction({
+    actor: user,
+    action: 'banList.remove',
+    targetType: 'banList',
+    targetId: entry.id,
+    details: { type: entry.type, value: entry.value }
+  }, req);
+};
@@ -0,0 +1,275 @@
+/**
+ * Bans
+ * Moderators ban users for a number of days or permanently. Every ban is kept as a Ban record
+ * with the moderator, a private reason for the staff and a public reason for the user, so the
+ * records make up the user's ban history. A user has at most one ban in force; the User's
+ * isBanned, banReason and banExpiresAt fields mirror it so the auth checks need no extra query.
+ * Bans past their end are lifted by the liftExpiredBans job.
+ */
+const { Op } = require('sequelize');
+const { Ban, User } = require('../models');
+const { ValidationError, NotFoundError, AuthorizationError, BannedError } = require('./errors');
+const { attachPermissions } = require('./permissions');
+// Not destructured: sessions requires this module in turn
+const sessions = require('./sessions');
+const { logAction, snapshot } = require('./auditLog');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// User fields a ban changes, for the audit log
+const BAN_FIELDS = ['isBanned', 'banReason', 'banExpiresAt'];
+
+/**
+ * Get the end of a ban from the request data
+ * @param {Object} data - { duration } in days or { endsAt } as a date
+ * @returns {Date|null} End, or null for a permanent ban
+ * @throws {ValidationError} If the duration or end is invalid
+ */
+const getBanEnd = ({ duration, endsAt }) => {
+  if (endsAt !== undefined && endsAt !== null && endsAt !== '') {
+    const end = new Date(endsAt);
+    if (Number.isNaN(end.getTime()) || end <= new Date()) {
+      throw new ValidationError('Validation failed', [{ field: 'endsAt', message: 'End must be a date in the future' }]);
+    }
+    return end;
+  }
+
+  if (duration !== undefined && duration !== null && duration !== '') {
+    const days = Number(duration);
+    if (!Number.isInteger(days) || days < 1) {
+      throw new ValidationError('Validation failed', [{ field: 'duration', message: 'Duration must be a whole number of days' }]);
+    }
+    return new Date(Date.now() + days * DAY);
+  }
+
+  return null;
+};
+
+/**
+ * Copy a ban onto the user's ban fields
+ * @param {Object} user - User instance
+ * @param {Object|null} ban - Ban in force, or null to clear the fields
+ */
+const applyToUser = async (user, ban) => {
+  user.isBanned = !!ban;
+  user.banReason = ban ? ban.publicReason : null;
+  user.banExpiresAt = ban ? ban.endsAt : null;
+  await user.save();
+};
+
+/**
+ * Get the bans of a user that are in force
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} Ban instances
+ */
+const getActiveBans = (userId) => {
+  return Ban.findAll({
+    where: {
+      userId,
+      liftedAt: null,
+      [Op.or]: [
+        { endsAt: null },
+        { endsAt: { [Op.gt]: new Date() } }
+      ]
+    }
+  });
+};
+
+/**
+ * Ban a user
+ * A ban in force is replaced by the new one, which shows up in the history as lifted.
+ * @param {Object|null} moderator - Moderator issuing the ban, or null for automatic bans
+ * @param {Object} user - User instance to ban
+ * @param {Object} data - { reason, publicReason, duration in days or endsAt; neither for a permanent ban }
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<Object>} Ban instance
+ */
+exports.banUser = async (moderator, user, data = {}, req = null) => {
+  if (moderator && user.id === moderator.id) {
+    throw new ValidationError('You cannot ban yourself');
+  }
+
+  await attachPermissions(user);
+  if (user.can('admin.accessAdminPanel')) {
+    throw new AuthorizationError('Cannot ban an administrator');
+  }
+
+  const endsAt = getBanEnd(data);
+  const reason = data.reason ? String(data.reason).trim() : null;
+  const publicReason = data.publicReason ? String(data.publicReason).trim() : null;
+
+  if (publicReason && publicReason.length > 255) {
+    throw new ValidationError('Validation failed', [{ field: 'publicReason', message: 'Public reason must be at most 255 characters' }]);
+  }
+
+  const before = snapshot(user, BAN_FIELDS);
+  const now = new Date();
+  for (const previous of await getActiveBans(user.id)) {
+    previous.liftedAt = now;
+    previous.liftedBy = moderator ? moderator.id : null;
+    previous.liftReason = 'Replaced by a new ban';
+    await previous.save();
+  }
+
+  const ban = await Ban.create({
+    userId: user.id,
+    issuedBy: moderator ? moderator.id : null,
+    reason,
+    publicReason,
+    startsAt: now,
+    endsAt
+  });
+
+  await applyToUser(user, ban);
+
+  // Log the user out everywhere
+  await sessions.invalidateUserSessions(user);
+
+  await logAction({
+    actor: moderator,
+    action: 'user.ban',
+    targetType: 'user',
+    targetId: user.id,
+    before,
+    after: snapshot(user, BAN_FIELDS),
+    reason,
+    details: { banId: ban.id, username: user.username }
+  }, req);
+
+  return ban;
+};
+
+/**
+ * Lift the ban of a user before it ends
+ * @param {Object} moderator - Moderator lifting the ban
+ * @param {Object} user - User instance
+ * @param {Object} [data] - { reason }
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<Array>} Lifted Ban instances
+ */
+exports.liftBan = async (moderator, user, data = {}, req = null) => {
+  const bans = await getActiveBans(user.id);
+
+  // Users banned before ban records existed have only the fields on the user
+  if (bans.length === 0 && !user.isBanActive()) {
+    throw new ValidationError('This user is not banned');
+  }
+
+  const liftReason = data.reason ? String(data.reason).trim() : null;
+  const before = snapshot(user, BAN_FIELDS);
+  const now = new Date();
+
+  for (const ban of bans) {
+    ban.liftedAt = now;
+    ban.liftedBy = moderator.id;
+    ban.liftReason = liftReason;
+    await ban.save();
+  }
+
+  await applyToUser(user, null);
+
+  await logAction({
+    actor: moderator,
+    action: 'user.unban',
+    targetType: 'user',
+    targetId: user.id,
+    before,
+    after: snapshot(user, BAN_FIELDS),
+    reason: liftReason,
+    details: { banIds: bans.map(ban => ban.id), username: user.username }
+  }, req);
+
+  return bans;
+};
+
+/**
+ * Clear the ban fields of users whose ban has ended
+ * The bans are marked as lifted at their end, without a moderator, so the history shows them ended.
+ * @returns {Promise<number>} Number of users whose ban was lifted
+ */
+exports.liftExpiredBans = async () => {
+  const now = new Date();
+  const users = await User.findAll({
+    where: {
+      isBanned: true,
+      banExpiresAt: { [Op.lte]: now }
+    }
+  });
+
+  for (const user of users) {
+    const bans = await Ban.findAll({
+      where: {
+        userId: user.id,
+        liftedAt: null,
+        endsAt: { [Op.lte]: now }
+      }
+    });
+
+    for (const ban of bans) {
+      ban.liftedAt = ban.endsAt;
+      ban.liftReason = 'Ban ended';
+      await ban.save();
+    }
+
+    const before = snapshot(user, BAN_FIELDS);
+    await applyToUser(user, null);
+
+    await logAction({
+      actor: null,
+      action: 'user.banExpired',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: snapshot(user, BAN_FIELDS),
+      details: { banIds: bans.map(ban => ban.id), username: user.username }
+    });
+  }
+
+  return users.length;
+};
+
+/**
+ * Get the ban history of a user, newest first
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} Bans with `active` set for the ban in force
+ */
+exports.getBanHistory = async (userId) => {
+  const user = await User.findByPk(userId, { attributes: ['id'] });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const bans = await Ban.findAll({
+    where: { userId },
+    include: [
+      { model: User, as: 'Issuer', attributes: ['id', 'username'] },
+      { model: User, as: 'Lifter', attributes: ['id', 'username'] }
+    ],
+    order: [['startsAt', 'DESC']]
+  });
+
+  return bans.map(ban => ({ ...ban.toJSON(), active: ban.isActive() }));
+};
+
+/**
+ * Format the end of a ban for messages to the user
+ * @param {Date} date - End of the ban
+ * @returns {string} Date and time in UTC
+ */
+const formatBanEnd = (date) => `${date.toISOString().substring(0, 16).replace('T', ' ')} UTC`;
+
+/**
+ * Get the error refusing a banned user, explaining the ban and when it ends
+ * @param {Object} user - Banned User instance
+ * @returns {BannedError}
+ */
+exports.createBannedError = (user) => {
+  const endsAt = user.banExpiresAt || null;
+  const message = (endsAt
+    ? `This account has been banned until ${formatBanEnd(endsAt)}.`
+    : 'This account has been banned permanently.') +
+    (user.banReason ? ` Reason: ${user.banReason}` : '');
+
+  return new BannedError(message, { reason: user.banReason || null, endsAt });
+};
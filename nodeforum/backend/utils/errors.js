@@ -0,0 +1,76 @@
+/**
+ * Custom Error Classes
+ * Application-specific errors mapped to HTTP responses by the error handler middleware
+ */
+
+/**
+ * Base class for all application errors
+ */
+class AppError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Invalid input (400)
+ * @param {string} message - Error message
+ * @param {Array} [details] - Field-level error details
+ */
+class ValidationError extends AppError {
+  constructor(message, details = []) {
+    super(message);
+    this.details = details;
+  }
+}
+
+/**
+ * Missing or invalid credentials (401)
+ */
+class AuthenticationError extends AppError {}
+
+/**
+ * Login refused because the account is banned (401)
+ * @param {string} message - Error message explaining the ban
+ * @param {Object} ban - { reason, endsAt } of the ban, endsAt null for permanent bans
+ */
+class BannedError extends AuthenticationError {
+  constructor(message, ban) {
+    super(message);
+    this.ban = ban;
+  }
+}
+
+/**
+ * Authenticated but not allowed (403)
+ */
+class AuthorizationError extends AppError {}
+
+/**
+ * Resource does not exist (404)
+ */
+class NotFoundError extends AppError {}
+
+/**
+ * Too many attempts (429)
+ * @param {string} message - Error message
+ * @param {number} [retryAfter] - Seconds until the client may try again
+ */
+class RateLimitError extends AppError {
+  constructor(message, retryAfter = null) {
+    super(message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  BannedError,
+  AuthorizationError,
+  NotFoundError,
+  RateLimitError
+};
@@ -125,4 +125,25 @@ exports.generateSlug = (text) => {
  * @returns {string} Human-readable time elapsed (e.g., "2 hours ago")
  */
 exports.timeAgo = (date) => {
-  if (!date) return 'N/A';
\ No newline at end of file
+  if (!date) return 'N/A';
+  
+  const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+  
+  const intervals = [
+    { label: 'year', seconds: 31536000 },
+    { label: 'month', seconds: 2592000 },
+    { label: 'week', seconds: 604800 },
+    { label: 'day', seconds: 86400 },
+    { label: 'hour', seconds: 3600 },
+    { label: 'minute', seconds: 60 }
+  ];
+  
+  for (const interval of intervals) {
+    const count = Math.floor(seconds / interval.seconds);
+    if (count >= 1) {
+      return `${count} ${interval.label}${count > 1 ? 's' : ''} ago`;
+    }
+  }
+  
+  return 'just now';
+};
@@ -0,0 +1,73 @@
+/**
+ * Impersonation
+ * Lets admins act as another user to reproduce problems the user reports. Impersonation runs
+ * in a session of its own that names the admin, so the admin's own session is left untouched,
+ * account settings only the owner may change stay blocked (see auth.preventImpersonation), and
+ * every start and stop is written to the audit log.
+ */
+const { User } = require('../models');
+const { ValidationError, AuthorizationError, NotFoundError } = require('./errors');
+const { attachPermissions } = require('./permissions');
+const { createImpersonationSession, revokeSession } = require('./sessions');
+const { logAction } = require('./auditLog');
+
+/**
+ * Start acting as a user
+ * @param {Object} impersonator - Admin's User instance with permissions attached
+ * @param {string} userId - Id of the user to act as
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, expiresAt, user }
+ */
+exports.startImpersonation = async (impersonator, userId, req) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.id === impersonator.id) {
+    throw new ValidationError('You cannot impersonate yourself');
+  }
+
+  if (!user.isActive) {
+    throw new ValidationError('Inactive accounts cannot be impersonated');
+  }
+
+  // Acting as another admin would hand out permissions the impersonator may not have
+  await attachPermissions(user);
+  if (user.can('admin.accessAdminPanel')) {
+    throw new AuthorizationError('Administrators cannot be impersonated');
+  }
+
+  const { token, session } = await createImpersonationSession(user, impersonator, req);
+
+  await logAction({
+    actor: impersonator,
+    action: 'impersonation.start',
+    targetType: 'user',
+    targetId: user.id,
+    details: { sessionId: session.id, username: user.username, expiresAt: session.expiresAt }
+  }, req);
+
+  return {
+    token,
+    expiresAt: session.expiresAt,
+    user: { id: user.id, username: user.username }
+  };
+};
+
+/**
+ * Stop acting as a user by ending the impersonation session
+ * @param {Object} req - Express request authenticated with an impersonation token
+ */
+exports.stopImpersonation = async (req) => {
+  await revokeSession(req.authSession);
+
+  await logAction({
+    actor: req.impersonator,
+    action: 'impersonation.stop',
+    targetType: 'user',
+    targetId: req.user.id,
+    details: { sessionId: req.authSession.id, username: req.user.username }
+  }, req);
+};
@@ -0,0 +1,229 @@
+/**
+ * IP Lookup
+ * Helps moderators find sockpuppets: all accounts and posts that share an IP address, and the
+ * addresses an account has used together with the other accounts seen at them. Addresses come
+ * from posts, sessions that have not been cleaned up yet and registrations. Every lookup is
+ * written to the audit log, since the addresses are personal data.
+ */
+const net = require('net');
+const { Op, fn, col } = require('sequelize');
+const { User, Post, Thread, Session } = require('../models');
+const { ValidationError, NotFoundError } = require('./errors');
+const { normalizeIp, findMatch } = require('./banLists');
+const { logAction } = require('./auditLog');
+
+/**
+ * Get the forms an address may be stored in
+ * IPv4 clients on dual-stack sockets are reported with the IPv4-mapped IPv6 prefix.
+ * @param {string} ip - Normalized IP address
+ * @returns {Array<string>}
+ */
+const ipVariants = (ip) => (net.isIPv4(ip) ? [ip, `::ffff:${ip}`] : [ip]);
+
+/**
+ * Collect the accounts seen at a set of addresses
+ * @param {Array<string>} ips - Normalized IP addresses
+ * @returns {Promise<Map>} Normalized address to Map of user id to { postCount, lastSeenAt, registered }
+ */
+const findAccountsAt = async (ips) => {
+  const addresses = ips.flatMap(ipVariants);
+  const result = new Map(ips.map(ip => [ip, new Map()]));
+
+  const sighting = (ip, userId) => {
+    const accounts = result.get(normalizeIp(ip));
+    if (!accounts.has(userId)) {
+      accounts.set(userId, { postCount: 0, lastSeenAt: null, registered: false });
+    }
+    return accounts.get(userId);
+  };
+
+  const seen = (entry, date) => {
+    if (date && (!entry.lastSeenAt || new Date(date) > entry.lastSeenAt)) {
+      entry.lastSeenAt = new Date(date);
+    }
+  };
+
+  const [posts, sessions, users] = await Promise.all([
+    Post.findAll({
+      attributes: ['ipAddress', 'userId', [fn('COUNT', col('id')), 'postCount'], [fn('MAX', col('createdAt')), 'lastPostAt']],
+      where: { ipAddress: { [Op.in]: addresses }, userId: { [Op.ne]: null } },
+      group: ['ipAddress', 'userId'],
+      raw: true
+    }),
+    Session.findAll({
+      attributes: ['ipAddress', 'userId', [fn('MAX', col('lastSeenAt')), 'lastSeenAt']],
+      where: { ipAddress: { [Op.in]: addresses } },
+      group: ['ipAddress', 'userId'],
+      raw: true
+    }),
+    User.findAll({
+      attributes: ['id', 'registrationIp', 'createdAt'],
+      where: { registrationIp: { [Op.in]: addresses } },
+      raw: true
+    })
+  ]);
+
+  for (const row of posts) {
+    const entry = sighting(row.ipAddress, row.userId);
+    entry.postCount += parseInt(row.postCount, 10);
+    seen(entry, row.lastPostAt);
+  }
+
+  for (const row of sessions) {
+    seen(sighting(row.ipAddress, row.userId), row.lastSeenAt);
+  }
+
+  for (const row of users) {
+    const entry = sighting(row.registrationIp, row.id);
+    entry.registered = true;
+    seen(entry, row.createdAt);
+  }
+
+  return result;
+};
+
+/**
+ * Load the accounts named in sightings
+ * @param {Array<string>} userIds - User ids
+ * @returns {Promise<Map>} User id to User instance
+ */
+const loadAccounts = async (userIds) => {
+  const users = await User.findAll({
+    where: { id: { [Op.in]: userIds } },
+    attributes: ['id', 'username', 'email', 'createdAt', 'lastLogin', 'isActive', 'isBanned', 'banExpiresAt']
+  });
+
+  return new Map(users.map(user => [user.id, user]));
+};
+
+/**
+ * Get all accounts and posts that share an IP address
+ * @param {Object} moderator - Moderator looking up the address
+ * @param {string} ip - IP address
+ * @param {Object} [options] - { page, limit } for the posts
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<Object>} { ip, banListed, accounts, posts, pagination }
+ */
+exports.lookupIp = async (moderator, ip, { page = 1, limit = 20 } = {}, req = null) => {
+  const address = normalizeIp(ip);
+
+  if (!net.isIP(address)) {
+    throw new ValidationError('Validation failed', [{ field: 'ip', message: 'Must be an IP address' }]);
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  const sightings = (await findAccountsAt([address])).get(address);
+  const accounts = await loadAccounts([...sightings.keys()]);
+
+  const { count, rows } = await Post.findAndCountAll({
+    where: { ipAddress: { [Op.in]: ipVariants(address) } },
+    attributes: ['id', 'threadId', 'userId', 'content', 'isApproved', 'createdAt'],
+    include: [
+      { model: User, as: 'User', attributes: ['id', 'username'] },
+      { model: Thread, attributes: ['id', 'title'] }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize
+  });
+
+  await logAction({
+    actor: moderator,
+    action: 'ip.lookup',
+    targetType: 'ip',
+    targetId: address
+  }, req);
+
+  return {
+    ip: address,
+    banListed: !!await findMatch('ip', address),
+    accounts: [...sightings.entries()]
+      .filter(([userId]) => accounts.has(userId))
+      .map(([userId, sighting]) => ({ ...accounts.get(userId).toJSON(), ...sighting }))
+      .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0)),
+    posts: rows,
+    pagination: {
+      total: count,
+      page: pageNumber,
+      pages: Math.ceil(count / pageSize)
+    }
+  };
+};
+
+/**
+ * Get the IP addresses a user has used, each with the other accounts seen at it
+ * @param {Object} moderator - Moderator looking up the user
+ * @param {string} userId - User id
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<Object>} { user, addresses } with the addresses shared with most accounts first
+ */
+exports.getUserIpAddresses = async (moderator, userId, req = null) => {
+  const user = await User.findByPk(userId, { attributes: ['id', 'username', 'registrationIp'] });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const [posts, sessions] = await Promise.all([
+    Post.findAll({
+      attributes: ['ipAddress'],
+      where: { userId: user.id, ipAddress: { [Op.ne]: null } },
+      group: ['ipAddress'],
+      raw: true
+    }),
+    Session.findAll({
+      attributes: ['ipAddress'],
+      where: { userId: user.id, ipAddress: { [Op.ne]: null } },
+      group: ['ipAddress'],
+      raw: true
+    })
+  ]);
+
+  const ips = [...new Set(
+    [...posts, ...sessions].map(row => normalizeIp(row.ipAddress))
+      .concat(user.registrationIp ? [normalizeIp(user.registrationIp)] : [])
+  )].filter(ip => net.isIP(ip));
+
+  const sightings = ips.length > 0 ? await findAccountsAt(ips) : new Map();
+  const otherIds = new Set();
+  for (const accounts of sightings.values()) {
+    for (const id of accounts.keys()) {
+      if (id !== user.id) {
+        otherIds.add(id);
+      }
+    }
+  }
+  const accounts = await loadAccounts([...otherIds]);
+
+  const addresses = [];
+  for (const [ip, seenAccounts] of sightings) {
+    const own = seenAccounts.get(user.id) || { postCount: 0, lastSeenAt: null, registered: false };
+    addresses.push({
+      ip,
+      banListed: !!await findMatch('ip', ip),
+      ...own,
+      otherAccounts: [...seenAccounts.keys()]
+        .filter(id => accounts.has(id))
+        .map(id => {
+          const account = accounts.get(id);
+          return { id, username: account.username, isBanned: account.isBanned, ...seenAccounts.get(id) };
+        })
+    });
+  }
+
+  addresses.sort((a, b) => b.otherAccounts.length - a.otherAccounts.length || (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+
+  await logAction({
+    actor: moderator,
+    action: 'ip.userLookup',
+    targetType: 'user',
+    targetId: user.id
+  }, req);
+
+  return {
+    user: { id: user.id, username: user.username },
+    addresses
+  };
+};
@@ -0,0 +1,240 @@
+/**
+ * Login Throttle
+ * Tracks failed logins per account and per IP address. After a few free attempts each further
+ * attempt has to wait exponentially longer, and too many failures lock the account or IP for a
+ * while. Locked accounts get an email with a link to unlock them.
+ */
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { createStore } = require('./attemptStores');
+const { RateLimitError, ValidationError } = require('./errors');
+const { sendUserMail } = require('../mailer');
+const config = require('../config/config');
+
+const settings = config.security.loginThrottle;
+const store = createStore(settings.store);
+
+// Marks unlock tokens so no other token can be used in their place
+const UNLOCK_PURPOSE = 'account-unlock';
+
+const accountKey = (userId) => `account:${userId}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Get the record for a key, forgetting failures that are old enough
+ * @param {string} key - Store key
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Record
+ */
+const getRecord = async (key, now) => {
+  const record = await store.get(key);
+
+  if (
+    record &&
+    !(record.lockedUntil > now) &&
+    now - record.lastFailureAt > settings.resetAfterMinutes * 60 * 1000
+  ) {
+    await store.delete(key);
+    return null;
+  }
+
+  return record;
+};
+
+/**
+ * Get the number of seconds until another attempt is allowed
+ * @param {Object} record - Attempt record
+ * @param {Object} limits - Limits for the kind of record (settings.account or settings.ip)
+ * @param {Date} now - Current time
+ * @returns {number} Seconds to wait, 0 if an attempt is allowed now
+ */
+const getWaitSeconds = (record, limits, now) => {
+  if (!record) {
+    return 0;
+  }
+
+  if (record.lockedUntil > now) {
+    return Math.ceil((record.lockedUntil - now) / 1000);
+  }
+
+  if (record.failures < limits.freeAttempts) {
+    return 0;
+  }
+
+  // Double the delay for every failure beyond the free attempts
+  const delay = Math.min(
+    settings.baseDelaySeconds * (2 ** (record.failures - limits.freeAttempts)),
+    settings.maxDelaySeconds
+  );
+  const nextAttemptAt = new Date(record.lastFailureAt).getTime() + delay * 1000;
+
+  return Math.max(0, Math.ceil((nextAttemptAt - now) / 1000));
+};
+
+/**
+ * Check that a login attempt is allowed
+ * @param {string} ip - Client IP address
+ * @param {Object} [user] - User the attempt is for, if the account exists
+ * @throws {RateLimitError} If the IP address or account has to wait
+ */
+exports.checkLoginAllowed = async (ip, user = null) => {
+  const now = new Date();
+  const ipRecord = await getRecord(ipKey(ip), now);
+  const accountRecord = user ? await getRecord(accountKey(user.id), now) : null;
+
+  if (accountRecord && accountRecord.lockedUntil > now) {
+    throw new RateLimitError(
+      'This account has been temporarily locked after too many failed login attempts. ' +
+      'Check your email for an unlock link or try again later.',
+      getWaitSeconds(accountRecord, settings.account, now)
+    );
+  }
+
+  const wait = Math.max(
+    getWaitSeconds(ipRecord, settings.ip, now),
+    getWaitSeconds(accountRecord, settings.account, now)
+  );
+
+  if (wait > 0) {
+    throw new RateLimitError(`Too many failed login attempts. Please try again in ${wait} second${wait === 1 ? '' : 's'}.`, wait);
+  }
+};
+
+/**
+ * Create a link token that unlocks an account
+ * The token only unlocks the lockout it was issued for.
+ * @param {Object} record - Locked account record
+ * @returns {string} JWT
+ */
+const createUnlockToken = (record) => {
+  return jwt.sign(
+    { id: record.userId, purpose: UNLOCK_PURPOSE, lockedUntil: new Date(record.lockedUntil).getTime() },
+    config.jwt.secret,
+    { expiresIn: '24h' }
+  );
+};
+
+/**
+ * Tell the owner of an account that it was locked
+ * @param {Object} user - User instance
+ * @param {Object} record - Locked account record
+ */
+const sendUnlockEmail = async (user, record) => {
+  const token = createUnlockToken(record);
+
+  await sendUserMail(user, 'accountUnlock', {
+    link: `${config.app.frontendUrl}/unlock-account/${token}`
+  });
+};
+
+/**
+ * Add a failure to a record, locking it once the limit is reached
+ * @param {string} key - Store key
+ * @param {Object} limits - Limits for the kind of record
+ * @param {string|null} userId - Account the record belongs to
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { record, locked } where locked is true if this failure locked it
+ */
+const addFailure = async (key, limits, userId, now) => {
+  const record = await getRecord(key, now) || {
+    key,
+    userId,
+    failures: 0,
+    lastFailureAt: null,
+    lockedUntil: null
+  };
+
+  record.failures += 1;
+  record.lastFailureAt = now;
+
+  let locked = false;
+  if (record.failures >= limits.lockoutAttempts && !(record.lockedUntil > now)) {
+    record.lockedUntil = new Date(now.getTime() + limits.lockoutMinutes * 60 * 1000);
+    locked = true;
+  }
+
+  await store.save(record);
+
+  return { record, locked };
+};
+
+/**
+ * Record a failed login
+ * @param {string} ip - Client IP address
+ * @param {Object} [user] - User the attempt was for, if the account exists
+ */
+exports.recordLoginFailure = async (ip, user = null) => {
+  const now = new Date();
+
+  await addFailure(ipKey(ip), settings.ip, null, now);
+
+  if (user) {
+    const { record, locked } = await addFailure(accountKey(user.id), settings.account, user.id, now);
+
+    if (locked) {
+      await sendUnlockEmail(user, record);
+    }
+  }
+};
+
+/**
+ * Record a successful login, clearing the account's failures
+ * Failures of the IP address are kept, so logging into one account does not reset the
+ * attempts made against others.
+ * @param {string} ip - Client IP address
+ * @param {Object} user - User who logged in
+ */
+exports.recordLoginSuccess = async (ip, user) => {
+  await store.delete(accountKey(user.id));
+};
+
+/**
+ * Unlock an account with the token from the unlock email
+ * @param {string} token - Unlock token
+ * @returns {Promise<Object>} The unlocked user
+ */
+exports.unlockWithToken = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== UNLOCK_PURPOSE) {
+    throw new ValidationError('Invalid or expired unlock link');
+  }
+
+  const record = await store.get(accountKey(decoded.id));
+
+  if (record && record.lockedUntil && new Date(record.lockedUntil).getTime() === decoded.lockedUntil) {
+    await store.delete(record.key);
+  }
+
+  return User.findByPk(decoded.id);
+};
+
+/**
+ * Unlock an account (admin)
+ * @param {string} userId - ID of the user
+ */
+exports.unlockAccount = async (userId) => {
+  await store.delete(accountKey(userId));
+};
+
+/**
+ * Get the accounts that are currently locked
+ * @returns {Promise<Array>} Records of locked accounts
+ */
+exports.getLockedAccounts = async () => {
+  return store.findLockedAccounts(new Date());
+};
+
+/**
+ * Forget failures that no longer count
+ */
+exports.pruneAttempts = async () => {
+  const now = new Date();
+  await store.prune(new Date(now.getTime() - settings.resetAfterMinutes * 60 * 1000), now);
+};
@@ -0,0 +1,149 @@
+/**
+ * Magic Link Login
+ * One-time login links sent by email as an alternative to the password. A link can be used
+ * once, expires quickly and only works in the browser that requested it: the request returns a
+ * browser key the client keeps and sends along with the token from the link.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const { createStore } = require('./attemptStores');
+const { generateVerificationToken } = require('./helpers');
+const { AuthenticationError, RateLimitError, ValidationError } = require('./errors');
+const { createBannedError } = require('./bans');
+const { sendUserMail } = require('../mailer');
+const config = require('../config/config');
+
+const settings = config.security.magicLink;
+
+// Requests per email address share the login throttle's storage
+const store = createStore(config.security.loginThrottle.store);
+
+const requestKey = (email) => `magic-link:${email.toLowerCase()}`;
+
+const hashBrowserKey = (browserKey) => {
+  return crypto.createHash('sha256').update(String(browserKey)).digest('hex');
+};
+
+/**
+ * Count a link request for an email address
+ * @param {string} email - Email address
+ * @throws {RateLimitError} If too many links were requested for the address recently
+ */
+const countRequest = async (email) => {
+  const now = new Date();
+  const key = requestKey(email);
+  let record = await store.get(key);
+
+  if (record && record.lockedUntil > now) {
+    const wait = Math.ceil((record.lockedUntil - now) / 1000);
+    throw new RateLimitError(`Too many login links requested. Please try again in ${Math.ceil(wait / 60)} minutes.`, wait);
+  }
+
+  if (!record || now - record.lastFailureAt > settings.windowMinutes * 60 * 1000) {
+    record = { key, userId: null, failures: 0, lastFailureAt: null, lockedUntil: null };
+  }
+
+  record.failures += 1;
+  record.lastFailureAt = now;
+
+  // The request that reaches the limit is still served; the ones after it wait
+  if (record.failures >= settings.maxRequests) {
+    record.lockedUntil = new Date(now.getTime() + settings.windowMinutes * 60 * 1000);
+  }
+
+  await store.save(record);
+};
+
+/**
+ * Send a login link to the owner of an email address
+ * Nothing is sent for unknown, inactive, unapproved or banned accounts, but the result looks the same so
+ * the request does not reveal which addresses are registered.
+ * @param {string} email - Email address
+ * @returns {Promise<string>} Browser key the client needs to use the link
+ */
+exports.requestMagicLink = async (email) => {
+  if (!email || typeof email !== 'string') {
+    throw new ValidationError('Email is required');
+  }
+
+  await countRequest(email);
+
+  const browserKey = generateVerificationToken();
+  const user = await User.findOne({ where: { email } });
+
+  if (!user || !user.isActive || !user.isApproved || user.isBanActive()) {
+    return browserKey;
+  }
+
+  const token = generateVerificationToken();
+
+  user.magicLinkToken = token;
+  user.magicLinkExpiresAt = new Date(Date.now() + settings.expiresInMinutes * 60 * 1000);
+  user.magicLinkBrowserHash = hashBrowserKey(browserKey);
+  await user.save();
+
+  await sendUserMail(user, 'magicLink', {
+    link: `${config.app.frontendUrl}/magic-login/${token}`,
+    expiresInMinutes: settings.expiresInMinutes
+  });
+
+  return browserKey;
+};
+
+/**
+ * Use a login link
+ * @param {string} token - Token from the link
+ * @param {string} browserKey - Browser key returned when the link was requested
+ * @returns {Promise<Object>} The user the link logs in
+ * @throws {AuthenticationError|BannedError} If the account can no longer log in
+ */
+exports.consumeMagicLink = async (token, browserKey) => {
+  const user = token ? await User.findOne({
+    where: {
+      magicLinkToken: token,
+      magicLinkExpiresAt: { [Op.gt]: new Date() }
+    }
+  }) : null;
+
+  if (!user) {
+    throw new ValidationError('Invalid or expired login link');
+  }
+
+  // A link opened elsewhere stays valid for the browser that requested it
+  const expected = Buffer.from(user.magicLinkBrowserHash, 'hex');
+  const actual = Buffer.from(hashBrowserKey(browserKey || ''), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    throw new ValidationError('Please open the login link in the browser where you requested it');
+  }
+
+  user.magicLinkToken = null;
+  user.magicLinkExpiresAt = null;
+  user.magicLinkBrowserHash = null;
+  await user.save();
+
+  // The account may have been deactivated or banned since the link was sent
+  if (!user.isActive) {
+    throw new AuthenticationError('Account is not active. Please verify your email.');
+  }
+
+  if (!user.isApproved) {
+    throw new AuthenticationError('Your account is waiting for approval by an administrator.');
+  }
+
+  if (user.isBanActive()) {
+    throw createBannedError(user);
+  }
+
+  return user;
+};
+
+/**
+ * Forget request counts that no longer count
+ */
+exports.pruneMagicLinkRequests = async () => {
+  // The database store holds failed logins too, so keep records as long as the login throttle does
+  const now = new Date();
+  await store.prune(new Date(now.getTime() - config.security.loginThrottle.resetAfterMinutes * 60 * 1000), now);
+};
@@ -0,0 +1,402 @@
+/**
+ * OpenID Connect Utilities
+ * Authorization code flow with PKCE against the identity provider configured in config.oidc
+ *
+ * The PKCE verifier and nonce travel inside the encrypted `state` parameter, so no server-side
+ * storage is needed. The state is bound to the browser that started the login by a cookie.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sequelize, User, UserGroup, UserGroupMembership, UserIdentity } = require('../models');
+const { AuthenticationError, AuthorizationError, ValidationError } = require('./errors');
+const { getRegistrationMode } = require('./registration');
+const { checkRegistration, normalizeIp } = require('./banLists');
+const config = require('../config/config');
+
+const STATE_COOKIE = 'oidc_state';
+
+// Time allowed between starting the login and returning from the identity provider
+const STATE_LIFETIME = 10 * 60 * 1000;
+
+let metadata = null;
+let keys = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// State encryption key, derived from the JWT secret
+const getStateKey = () => crypto.createHash('sha256').update(`oidc-state:${config.jwt.secret}`).digest();
+
+const encryptState = (payload) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getStateKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+  return base64url(Buffer.concat([iv, cipher.getAuthTag(), encrypted]));
+};
+
+const decryptState = (state) => {
+  try {
+    const data = Buffer.from(state, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getStateKey(), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+
+    return JSON.parse(Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fetch JSON from the identity provider
+ * @param {string} url - URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Response body
+ */
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new AuthenticationError(`Identity provider error: ${body.error_description || body.error || response.status}`);
+  }
+
+  return body;
+};
+
+/**
+ * Get the provider's discovery document
+ * @returns {Promise<Object>} OpenID provider metadata
+ */
+const getMetadata = async () => {
+  if (!metadata) {
+    const issuer = config.oidc.issuer.replace(/\/$/, '');
+    metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  }
+
+  return metadata;
+};
+
+/**
+ * Get the public key an ID token was signed with
+ * The key set is fetched again when a token names an unknown key, so key rotation works.
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<Object>} KeyObject
+ */
+const getSigningKey = async (kid) => {
+  if (!keys.has(kid)) {
+    const { jwks_uri: jwksUri } = await getMetadata();
+    const { keys: jwks = [] } = await fetchJson(jwksUri);
+
+    keys = new Map(jwks
+      .filter(jwk => !jwk.use || jwk.use === 'sig')
+      .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+  }
+
+  const key = keys.get(kid) || (keys.size === 1 && !kid ? [...keys.values()][0] : null);
+
+  if (!key) {
+    throw new AuthenticationError('ID token signed with an unknown key');
+  }
+
+  return key;
+};
+
+/**
+ * Check whether single sign-on is configured
+ * @returns {boolean}
+ */
+exports.isEnabled = () => !!(config.oidc.issuer && config.oidc.clientId);
+
+exports.STATE_COOKIE = STATE_COOKIE;
+exports.STATE_LIFETIME = STATE_LIFETIME;
+
+/**
+ * Start a login
+ * @param {string} [returnTo] - Frontend path to return to after logging in
+ * @returns {Promise<Object>} { url, browserId } where url is the authorization URL to redirect to
+ *   and browserId the value of the state cookie to set
+ */
+exports.createAuthorizationRequest = async (returnTo = '/') => {
+  const { authorization_endpoint: authorizationEndpoint } = await getMetadata();
+
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(16));
+  const browserId = base64url(crypto.randomBytes(16));
+
+  const state = encryptState({
+    codeVerifier,
+    nonce,
+    browserId,
+    returnTo,
+    expiresAt: Date.now() + STATE_LIFETIME
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.oidc.clientId,
+    redirect_uri: config.oidc.redirectUri,
+    scope: config.oidc.scopes,
+    state,
+    nonce,
+    code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    url: `${authorizationEndpoint}?${params.toString()}`,
+    browserId
+  };
+};
+
+/**
+ * Finish a login: check the state, redeem the code and verify the ID token
+ * @param {Object} params - { code, state } from the callback and browserId from the state cookie
+ * @returns {Promise<Object>} { claims, returnTo } with the verified ID token claims
+ */
+exports.handleCallback = async ({ code, state, browserId }) => {
+  const request = state ? decryptState(state) : null;
+
+  if (!request || request.expiresAt < Date.now() || !browserId || request.browserId !== browserId) {
+    throw new AuthenticationError('Login request has expired. Please try again.');
+  }
+
+  if (!code) {
+    throw new AuthenticationError('Login was cancelled');
+  }
+
+  const { token_endpoint: tokenEndpoint, issuer } = await getMetadata();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.oidc.redirectUri,
+    client_id: config.oidc.clientId,
+    code_verifier: request.codeVerifier
+  });
+
+  if (config.oidc.clientSecret) {
+    body.set('client_secret', config.oidc.clientSecret);
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+
+  if (!tokens.id_token) {
+    throw new AuthenticationError('Identity provider did not return an ID token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+
+  if (!decoded) {
+    throw new AuthenticationError('Invalid ID token');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getSigningKey(decoded.header.kid), {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+      issuer,
+      audience: config.oidc.clientId
+    });
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      throw error;
+    }
+    throw new AuthenticationError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== request.nonce) {
+    throw new AuthenticationError('Invalid ID token nonce');
+  }
+
+  return {
+    claims,
+    returnTo: request.returnTo
+  };
+};
+
+/**
+ * Read the state cookie from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Browser ID
+ */
+exports.getStateCookie = (req) => {
+  const cookies = (req.headers.cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === STATE_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Map the groups claim of an ID token to forum groups
+ * @param {Object} claims - ID token claims
+ * @returns {Object} { mapped, granted } group names: all mapped groups, and those the claims grant
+ */
+const mapClaimGroups = (claims) => {
+  const mapping = config.oidc.groupMapping;
+  const claimValue = claims[config.oidc.groupClaim];
+  const claimGroups = Array.isArray(claimValue) ? claimValue : (claimValue ? [claimValue] : []);
+
+  return {
+    mapped: [...new Set(Object.values(mapping))],
+    granted: [...new Set(claimGroups.filter(group => mapping[group]).map(group => mapping[group]))]
+  };
+};
+
+exports.mapClaimGroups = mapClaimGroups;
+
+/**
+ * Pick a free username for a new account, based on the provider's username or the email address
+ * @param {Object} claims - ID token claims
+ * @returns {Promise<string>} Username
+ */
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || (claims.email || '').split('@')[0];
+  let base = source.replace(/[^A-Za-z0-9_.-]/g, '').substring(0, 24);
+
+  if (base.length < 3) {
+    base = 'user';
+  }
+
+  let username = base;
+  for (let attempt = 0; await User.findOne({ where: { username } }); attempt++) {
+    if (attempt >= 10) {
+      throw new Error('Could not find a free username');
+    }
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+
+  return username;
+};
+
+/**
+ * Find the user an identity provider login belongs to
+ * Identities seen before are looked up by issuer and subject. New identities are linked to the
+ * user with the same email address if the provider has verified it; otherwise a new account is
+ * created in the default group (if config.oidc.autoProvision is on). New accounts follow the
+ * registration mode and ban lists like any registration: in `invite` mode nobody is provisioned,
+ * so people have to register with an invite first and can then log in with the same address.
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, created }
+ */
+exports.findOrCreateUser = async (claims, req) => {
+  const identity = await UserIdentity.findOne({
+    where: { issuer: claims.iss, subject: claims.sub },
+    include: [User]
+  });
+
+  if (identity) {
+    identity.email = claims.email || identity.email;
+    identity.lastLoginAt = new Date();
+    await identity.save();
+
+    return { user: identity.User, created: false };
+  }
+
+  // Only trust addresses the provider has verified, or anyone could take over an account
+  // by entering its email address at the provider
+  if (!claims.email || claims.email_verified !== true) {
+    throw new AuthenticationError('Your identity provider has not verified your email address');
+  }
+
+  let user = await User.findOne({
+    where: sequelize.where(sequelize.fn('lower', sequelize.col('email')), claims.email.toLowerCase())
+  });
+  let created = false;
+
+  if (user) {
+    // The provider has confirmed the address the account is waiting to verify
+    if (!user.isActive && user.verificationToken) {
+      user.isActive = true;
+      user.verificationToken = null;
+      await user.save();
+    }
+  } else {
+    const mode = await getRegistrationMode();
+
+    if (!config.oidc.autoProvision) {
+      throw new AuthenticationError('There is no forum account for your email address');
+    }
+
+    if (mode === 'invite') {
+      throw new AuthorizationError('Registration is by invitation only. Register with your invite code first, then log in with the same email address.');
+    }
+
+    const username = await generateUsername(claims);
+
+    try {
+      await checkRegistration({ username, email: claims.email }, req);
+    } catch (error) {
+      // The user did not pick the generated username, so the form errors are of no use
+      if (error instanceof ValidationError) {
+        throw new AuthorizationError('Registration with this account is not allowed');
+      }
+      throw error;
+    }
+
+    const defaultGroup = await UserGroup.getDefaultGroup(config.forum.defaultUserGroup);
+
+    // The random password cannot be used; a local password can be set with a password reset
+    user = await User.create({
+      username,
+      email: claims.email,
+      password: crypto.randomBytes(32).toString('hex'),
+      groupId: defaultGroup ? defaultGroup.id : null,
+      isActive: true,
+      isApproved: mode !== 'approval',
+      registrationIp: normalizeIp(req.ip) || null
+    });
+    created = true;
+  }
+
+  await UserIdentity.create({
+    userId: user.id,
+    issuer: claims.iss,
+    subject: claims.sub,
+    email: claims.email,
+    lastLoginAt: new Date()
+  });
+
+  return { user, created };
+};
+
+/**
+ * Update a user's secondary groups from the groups claim
+ * Groups named in config.oidc.groupMapping follow the claim on every login; memberships of
+ * other groups, and the primary group, are left alone.
+ * @param {Object} user - User instance
+ * @param {Object} claims - Verified ID token claims
+ */
+exports.syncGroups = async (user, claims) => {
+  const { mapped, granted } = mapClaimGroups(claims);
+
+  if (mapped.length === 0) {
+    return;
+  }
+
+  const groups = await UserGroup.findAll({ where: { name: mapped } });
+
+  for (const group of groups) {
+    const membership = await UserGroupMembership.findOne({
+      where: { userId: user.id, groupId: group.id }
+    });
+
+    if (granted.includes(group.name)) {
+      if (!membership) {
+        await UserGroupMembership.create({ userId: user.id, groupId: group.id });
+      }
+    } else if (membership) {
+      await membership.destroy();
+    }
+  }
+};
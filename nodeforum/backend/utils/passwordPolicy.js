@@ -0,0 +1,101 @@
+/**
+ * Password Policy
+ * Checks new passwords against the rules in config.security.passwordPolicy and an offline list
+ * of common and breached passwords
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  digit: { pattern: /[0-9]/, label: 'a digit' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'a symbol' }
+};
+
+let blocklist = null;
+
+/**
+ * Load the list of rejected passwords, once
+ * @returns {Set<string>} Lowercased passwords
+ */
+const getBlocklist = () => {
+  if (!blocklist) {
+    const file = path.resolve(__dirname, '..', config.security.passwordPolicy.blocklistFile);
+
+    blocklist = new Set(fs.readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => line.toLowerCase()));
+  }
+
+  return blocklist;
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password - New password
+ * @param {Object} [user] - Account the password is for: { username, email }
+ * @param {string} [field] - Request field the password was sent in
+ * @returns {Array} Validation error details, each { field, rule, message }; empty if allowed
+ */
+exports.checkPassword = (password, user = {}, field = 'password') => {
+  const policy = config.security.passwordPolicy;
+  const errors = [];
+  const fail = (rule, message) => errors.push({ field, rule, message });
+
+  if (typeof password !== 'string' || password.length === 0) {
+    fail('required', 'Password is required');
+    return errors;
+  }
+
+  if (password.length < policy.minLength) {
+    fail('minLength', `Password must be at least ${policy.minLength} characters long`);
+  }
+
+  // bcrypt ignores everything after 72 bytes
+  if (Buffer.byteLength(password, 'utf8') > policy.maxLength) {
+    fail('maxLength', `Password must be at most ${policy.maxLength} bytes long`);
+  }
+
+  for (const name of policy.requiredClasses) {
+    if (!CHARACTER_CLASSES[name].pattern.test(password)) {
+      fail(name, `Password must contain ${CHARACTER_CLASSES[name].label}`);
+    }
+  }
+
+  const classCount = Object.values(CHARACTER_CLASSES).filter(({ pattern }) => pattern.test(password)).length;
+  if (classCount < policy.minCharacterClasses) {
+    fail('characterClasses', `Password must contain at least ${policy.minCharacterClasses} of: lowercase letters, uppercase letters, digits, symbols`);
+  }
+
+  if (policy.rejectPersonalInfo) {
+    const lower = password.toLowerCase();
+    const email = typeof user.email === 'string' ? user.email : '';
+    const personal = [user.username, email, email.split('@')[0]]
+      .filter(value => typeof value === 'string' && value.length >= 3)
+      .map(value => value.toLowerCase());
+
+    if (personal.some(value => lower.includes(value))) {
+      fail('personalInfo', 'Password must not contain your username or email address');
+    }
+  }
+
+  if (policy.rejectCommon && getBlocklist().has(password.toLowerCase())) {
+    fail('common', 'This password is too common or has appeared in a data breach');
+  }
+
+  return errors;
+};
+
+/**
+ * Describe the policy for clients, so they can show the rules before submitting
+ * @returns {Object} Policy settings
+ */
+exports.getPasswordPolicy = () => {
+  const { minLength, maxLength, requiredClasses, minCharacterClasses, rejectPersonalInfo, rejectCommon } = config.security.passwordPolicy;
+
+  return { minLength, maxLength, requiredClasses, minCharacterClasses, rejectPersonalInfo, rejectCommon };
+};
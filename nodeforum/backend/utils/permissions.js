@@ -0,0 +1,403 @@
+/**
+ * Permission Utilities
+ * Registry of known permission keys and resolution of a user's effective permissions
+ */
+const { Op } = require('sequelize');
+const { UserGroup, Forum, ForumPermission, ForumModerator } = require('../models');
+const config = require('../config/config');
+
+/**
+ * Known permissions grouped by category
+ * Keys are stored in UserGroup.permissions as nested objects, e.g. { forum: { createThread: true } }
+ */
+const PERMISSIONS = {
+  forum: [
+    'viewForums',
+    'viewThreads',
+    'createThread',
+    'createPost',
+    'editAnyThread',
+    'editAnyPost',
+    'deleteAnyPost',
+    'deleteAnyThread',
+    'moderateThreads',
+    'pinThreads',
+    'moveThreads',
+    'createForum',
+    'updateForum',
+    'deleteForum',
+    'createCategory',
+    'updateCategory',
+    'deleteCategory',
+    'postInLockedThreads'
+  ],
+  user: [
+    'editOwnProfile',
+    'editAnyProfile',
+    'reportContent',
+    'viewUsers',
+    'warnUsers',
+    'banUsers',
+    'viewIpAddresses',
+    'approveUsers',
+    'manageUserGroups'
+  ],
+  admin: [
+    'accessAdminPanel',
+    'manageSettings',
+    'viewLogs',
+    'impersonateUsers',
+    'manageBanLists',
+    'managePlugins',
+    'manageThemes'
+  ]
+};
+
+// Map short permission names (e.g. 'createThread') to dotted keys (e.g. 'forum.createThread')
+const permissionIndex = {};
+for (const [category, names] of Object.entries(PERMISSIONS)) {
+  for (const name of names) {
+    permissionIndex[name] = `${category}.${name}`;
+  }
+}
+
+/**
+ * Permissions that can be overridden per forum (see ForumPermission)
+ */
+const FORUM_PERMISSIONS = [
+  'forum.viewForums',
+  'forum.viewThreads',
+  'forum.createThread',
+  'forum.createPost',
+  'forum.editAnyThread',
+  'forum.editAnyPost',
+  'forum.deleteAnyPost',
+  'forum.deleteAnyThread',
+  'forum.moderateThreads',
+  'forum.pinThreads',
+  'forum.moveThreads',
+  'forum.postInLockedThreads'
+];
+
+/**
+ * Permissions granted to forum moderators within the forums they moderate (see ForumModerator)
+ */
+const MODERATOR_PERMISSIONS = [
+  'forum.editAnyThread',
+  'forum.editAnyPost',
+  'forum.deleteAnyPost',
+  'forum.deleteAnyThread',
+  'forum.moderateThreads',
+  'forum.pinThreads',
+  'forum.moveThreads',
+  'forum.postInLockedThreads'
+];
+
+exports.PERMISSIONS = PERMISSIONS;
+exports.FORUM_PERMISSIONS = FORUM_PERMISSIONS;
+exports.MODERATOR_PERMISSIONS = MODERATOR_PERMISSIONS;
+
+/**
+ * Resolve a permission name to its dotted key
+ * @param {string} permission - Short name ('banUsers') or dotted key ('user.banUsers')
+ * @returns {string} Dotted permission key
+ */
+const resolvePermissionKey = (permission) => {
+  if (permission.includes('.')) {
+    return permission;
+  }
+
+  return permissionIndex[permission] || permission;
+};
+
+exports.resolvePermissionKey = resolvePermissionKey;
+
+// Forum hierarchy, forum ACLs and moderator assignments are consulted on every forum-scoped
+// check, so keep them in memory
+let forumAccess = null;
+
+const clearForumAccess = () => {
+  forumAccess = null;
+};
+
+for (const model of [Forum, ForumPermission, ForumModerator]) {
+  model.addHook('afterSave', clearForumAccess);
+  model.addHook('afterDestroy', clearForumAccess);
+  model.addHook('afterBulkCreate', clearForumAccess);
+  model.addHook('afterBulkUpdate', clearForumAccess);
+  model.addHook('afterBulkDestroy', clearForumAccess);
+}
+
+// Group rows by forum ID
+const groupByForum = (rows) => {
+  const result = new Map();
+
+  for (const row of rows) {
+    if (!result.has(row.forumId)) {
+      result.set(row.forumId, []);
+    }
+    result.get(row.forumId).push(row);
+  }
+
+  return result;
+};
+
+/**
+ * Load the forum hierarchy, all forum permission overrides and moderator assignments
+ * @returns {Promise<Object>} { parents, overrides, moderators } where overrides and moderators are keyed by forum ID
+ */
+const loadForumAccess = async () => {
+  if (!forumAccess) {
+    const [forums, entries, moderators] = await Promise.all([
+      Forum.findAll({ attributes: ['id', 'parentId'], raw: true }),
+      ForumPermission.findAll({ attributes: ['forumId', 'groupId', 'permission', 'value'], raw: true }),
+      ForumModerator.findAll({ attributes: ['forumId', 'userId', 'groupId'], raw: true })
+    ]);
+
+    forumAccess = {
+      parents: new Map(forums.map(forum => [forum.id, forum.parentId])),
+      overrides: groupByForum(entries),
+      moderators: groupByForum(moderators)
+    };
+  }
+
+  return forumAccess;
+};
+
+exports.loadForumAccess = loadForumAccess;
+
+/**
+ * Get a forum followed by all of its ancestors, nearest first
+ * @param {Object} access - Result of loadForumAccess()
+ * @param {string} forumId - Forum to start from
+ * @returns {Array} Forum IDs
+ */
+const getForumChain = (access, forumId) => {
+  const chain = [];
+  let currentId = forumId;
+
+  while (currentId && !chain.includes(currentId)) {
+    chain.push(currentId);
+    currentId = access.parents.get(currentId);
+  }
+
+  return chain;
+};
+
+exports.getForumChain = getForumChain;
+
+/**
+ * Find the forum-level override for a permission
+ * Walks from the forum up through its parents; the nearest forum with an override for any
+ * of the groups decides, and within that forum a deny beats an allow.
+ * @param {Object} access - Result of loadForumAccess()
+ * @param {Array} groupIds - IDs of the groups to consider
+ * @param {string} key - Dotted permission key
+ * @param {string} forumId - Forum to start from
+ * @returns {boolean|undefined} Override value, or undefined if no forum in the chain overrides it
+ */
+const resolveForumOverride = (access, groupIds, key, forumId) => {
+  for (const currentId of getForumChain(access, forumId)) {
+    const entries = (access.overrides.get(currentId) || []).filter(entry =>
+      entry.permission === key && groupIds.includes(entry.groupId)
+    );
+
+    if (entries.length > 0) {
+      return !entries.some(entry => entry.value === 'deny');
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Check whether a user moderates a forum, directly or through one of their groups
+ * Moderators of a forum also moderate all of its subforums.
+ * @param {Object} access - Result of loadForumAccess()
+ * @param {string} userId - ID of the user
+ * @param {Array} groupIds - IDs of the user's groups
+ * @param {string} forumId - Forum to check
+ * @returns {boolean} Whether the user moderates the forum
+ */
+const isForumModerator = (access, userId, groupIds, forumId) => {
+  return getForumChain(access, forumId).some(currentId =>
+    (access.moderators.get(currentId) || []).some(moderator =>
+      (userId && moderator.userId === userId) || groupIds.includes(moderator.groupId)
+    )
+  );
+};
+
+/**
+ * Merge a permission across groups
+ * The group with the highest priority that sets the permission decides; among groups of equal
+ * priority, a grant wins. Groups that do not set the permission are ignored.
+ * @param {Array} groups - UserGroup instances
+ * @param {string} key - Dotted permission key
+ * @returns {boolean} Whether the permission is granted
+ */
+const resolveGroupPermission = (groups, key) => {
+  let result = false;
+  let resultPriority = null;
+
+  for (const group of groups) {
+    const value = group.getPermissionValue(key);
+
+    if (value === undefined) {
+      continue;
+    }
+
+    if (resultPriority === null || group.priority > resultPriority || (group.priority === resultPriority && value)) {
+      result = value;
+      resultPriority = group.priority;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Build a permission check function for a set of groups
+ * Without a forum, group permissions are merged by priority (see resolveGroupPermission). With
+ * a forum, moderators of that forum are granted the moderator permissions, and forum overrides
+ * for the groups take precedence over the group permissions.
+ * @param {Array} groups - UserGroup instances
+ * @param {Object} [access] - Result of loadForumAccess()
+ * @param {string} [userId] - ID of the user the groups belong to
+ * @returns {Function} can(permission, [forum]) => boolean, forum being a Forum instance or ID
+ */
+const createPermissionChecker = (groups, access = null, userId = null) => {
+  const groupIds = groups.map(group => group.id);
+
+  return (permission, forum) => {
+    const key = resolvePermissionKey(permission);
+
+    if (forum && access) {
+      const forumId = typeof forum === 'object' ? forum.id : forum;
+
+      if (MODERATOR_PERMISSIONS.includes(key) && isForumModerator(access, userId, groupIds, forumId)) {
+        return true;
+      }
+
+      const override = resolveForumOverride(access, groupIds, key, forumId);
+
+      if (override !== undefined) {
+        return override;
+      }
+    }
+
+    return resolveGroupPermission(groups, key);
+  };
+};
+
+exports.createPermissionChecker = createPermissionChecker;
+
+/**
+ * Get all permission keys granted by a permission check function
+ * @param {Function} can - Permission check function
+ * @returns {Array} Dotted permission keys
+ */
+exports.getGrantedPermissions = (can) => {
+  return Object.values(permissionIndex).filter(key => can(key));
+};
+
+/**
+ * Check whether a group grants admin panel access or moderation permissions
+ * Only such groups can require two-factor authentication of their members.
+ * @param {Object} group - UserGroup instance
+ * @returns {boolean}
+ */
+exports.isStaffGroup = (group) => {
+  return ['admin.accessAdminPanel', 'user.warnUsers', 'user.banUsers', 'user.viewIpAddresses', 'user.approveUsers', ...MODERATOR_PERMISSIONS]
+    .some(key => group.getPermissionValue(key) === true);
+};
+
+/**
+ * Get the groups a user belongs to
+ * The primary group (User.groupId) is merged with the secondary memberships. Expired memberships
+ * are ignored even before the cleanup job removes them. Users without any group fall back to
+ * the default group.
+ * @param {Object} user - User instance
+ * @returns {Promise<Array>} UserGroup instances
+ */
+exports.getUserGroups = async (user) => {
+  const groups = await user.getUserGroups({
+    joinTableAttributes: [],
+    through: {
+      where: {
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      }
+    }
+  });
+
+  if (user.groupId && !groups.some(group => group.id === user.groupId)) {
+    const primaryGroup = await UserGroup.findByPk(user.groupId);
+
+    if (primaryGroup) {
+      groups.unshift(primaryGroup);
+    }
+  }
+
+  if (groups.length > 0) {
+    return groups;
+  }
+
+  const defaultGroup = await UserGroup.getDefaultGroup(config.forum.defaultUserGroup);
+
+  return defaultGroup ? [defaultGroup] : [];
+};
+
+// Guest permissions are resolved on every anonymous request, so keep the group in memory
+let guestGroups = null;
+
+const clearGuestGroups = () => {
+  guestGroups = null;
+};
+
+UserGroup.addHook('afterSave', clearGuestGroups);
+UserGroup.addHook('afterDestroy', clearGuestGroups);
+
+/**
+ * Get the groups applied to anonymous visitors
+ * @returns {Promise<Array>} UserGroup instances
+ */
+exports.getGuestGroups = async () => {
+  if (!guestGroups) {
+    const guestGroup = await UserGroup.findOne({ where: { name: 'guest' } });
+    guestGroups = guestGroup ? [guestGroup] : [];
+  }
+
+  return guestGroups;
+};
+
+/**
+ * Resolve a user's groups and attach them along with a `can` method
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} The same user instance
+ */
+exports.attachPermissions = async (user) => {
+  user.groups = await exports.getUserGroups(user);
+  user.can = createPermissionChecker(user.groups, await loadForumAccess(), user.id);
+  return user;
+};
+
+/**
+ * Create a permission check function for anonymous visitors
+ * @returns {Promise<Function>} can(permission, [forum]) => boolean
+ */
+exports.getGuestPermissionChecker = async () => {
+  return createPermissionChecker(await exports.getGuestGroups(), await loadForumAccess());
+};
+
+/**
+ * Get the IDs of all forums in which a permission is granted
+ * @param {Function} can - Permission check function
+ * @param {string} [permission] - Permission to check (default: 'viewForums')
+ * @returns {Promise<Array>} Forum IDs
+ */
+exports.getPermittedForumIds = async (can, permission = 'viewForums') => {
+  const access = await loadForumAccess();
+  return [...access.parents.keys()].filter(forumId => can(permission, forumId));
+};
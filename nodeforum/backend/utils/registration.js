@@ -0,0 +1,102 @@
+/**
+ * Registration Modes
+ * Decides who can register: everyone ('open'), holders of an invite code ('invite'), or
+ * everyone but with accounts waiting for an admin's approval ('approval')
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, InviteCode } = require('../models');
+const { ValidationError } = require('./errors');
+const { getSetting, setSetting } = require('./settings');
+const config = require('../config/config');
+
+const REGISTRATION_MODES = ['open', 'invite', 'approval'];
+
+// Invite codes avoid characters that are easily confused, such as 0/O and 1/I
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+exports.REGISTRATION_MODES = REGISTRATION_MODES;
+
+/**
+ * Get the current registration mode
+ * @returns {Promise<string>} Mode
+ */
+exports.getRegistrationMode = async () => {
+  const mode = await getSetting('registrationMode', config.forum.registrationMode);
+  return REGISTRATION_MODES.includes(mode) ? mode : 'open';
+};
+
+/**
+ * Change the registration mode
+ * @param {string} mode - New mode
+ * @param {Object} user - Admin making the change
+ */
+exports.setRegistrationMode = async (mode, user) => {
+  if (!REGISTRATION_MODES.includes(mode)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'mode', message: `Mode must be one of: ${REGISTRATION_MODES.join(', ')}` }
+    ]);
+  }
+
+  await setSetting('registrationMode', mode, user);
+};
+
+/**
+ * Generate a random invite code
+ * @returns {string} Code
+ */
+exports.generateInviteCode = () => {
+  return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+};
+
+/**
+ * Find the invite for a code entered at registration
+ * @param {string} code - Invite code
+ * @returns {Promise<Object>} InviteCode instance
+ * @throws {ValidationError} If the code is missing, unknown or used up
+ */
+exports.findUsableInvite = async (code) => {
+  const invite = code && typeof code === 'string'
+    ? await InviteCode.findOne({ where: { code: code.trim().toUpperCase() } })
+    : null;
+
+  if (!invite || !invite.isUsable()) {
+    throw new ValidationError('Validation failed', [
+      { field: 'inviteCode', message: code ? 'Invalid or expired invite code' : 'An invite code is required' }
+    ]);
+  }
+
+  return invite;
+};
+
+/**
+ * Use up one use of an invite
+ * The check and the update happen in one statement, so concurrent registrations cannot
+ * exceed the limit.
+ * @param {Object} invite - InviteCode instance
+ * @param {Object} [transaction] - Transaction
+ * @throws {ValidationError} If the code was used up in the meantime
+ */
+exports.redeemInvite = async (invite, transaction = null) => {
+  const [count] = await InviteCode.update(
+    { uses: sequelize.literal('"uses" + 1') },
+    {
+      where: {
+        id: invite.id,
+        revokedAt: null,
+        [Op.and]: [
+          { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+          { [Op.or]: [{ maxUses: null }, { uses: { [Op.lt]: sequelize.col('maxUses') } }] }
+        ]
+      },
+      transaction
+    }
+  );
+
+  if (count === 0) {
+    throw new ValidationError('Validation failed', [
+      { field: 'inviteCode', message: 'Invalid or expired invite code' }
+    ]);
+  }
+};
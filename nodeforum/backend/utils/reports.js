@@ -0,0 +1,425 @@
+/**
+ * Reports
+ * Users report posts, threads, users and private messages; moderators work through the
+ * reports in a queue. Open reports of the same target are grouped and handled together, and
+ * reporters are told when their report was resolved.
+ *
+ * Reports of posts and threads belong to the moderators of their forum. Reports of users and
+ * messages, and reports in forums without moderators, are handled by global moderators (groups
+ * granting moderateThreads). Escalated reports wait for an administrator.
+ */
+const { Op, fn, col, literal } = require('sequelize');
+const { validate: isUuid } = require('uuid');
+const { Report, Post, Thread, User, Message, Forum } = require('../models');
+const { ValidationError, NotFoundError, AuthorizationError } = require('./errors');
+const { logAction } = require('./auditLog');
+const { sendUserMail } = require('../mailer');
+const config = require('../config/config');
+
+const REPORT_TARGETS = ['post', 'thread', 'user', 'message'];
+const REPORT_CATEGORIES = ['spam', 'abuse', 'offTopic', 'illegal', 'other'];
+const REPORT_STATUSES = ['pending', 'escalated', 'resolved', 'dismissed'];
+const OPEN_STATUSES = ['pending', 'escalated'];
+
+exports.REPORT_TARGETS = REPORT_TARGETS;
+exports.REPORT_CATEGORIES = REPORT_CATEGORIES;
+exports.REPORT_STATUSES = REPORT_STATUSES;
+
+/**
+ * Find the target of a report
+ * @param {string} targetType - One of REPORT_TARGETS
+ * @param {string} targetId - ID of the target
+ * @returns {Promise<Object|null>} { forumId, targetUserId, receiverId } or null if not found
+ */
+const findTarget = async (targetType, targetId) => {
+  if (!isUuid(String(targetId))) {
+    return null;
+  }
+
+  switch (targetType) {
+    case 'post': {
+      const post = await Post.findByPk(targetId, { include: [{ model: Thread, attributes: ['forumId'] }] });
+      return post && { forumId: post.Thread.forumId, targetUserId: post.userId };
+    }
+    case 'thread': {
+      const thread = await Thread.findByPk(targetId);
+      return thread && { forumId: thread.forumId, targetUserId: thread.userId };
+    }
+    case 'user': {
+      const user = await User.findByPk(targetId);
+      return user && { forumId: null, targetUserId: user.id };
+    }
+    case 'message': {
+      const message = await Message.findByPk(targetId);
+      return message && { forumId: null, targetUserId: message.senderId, receiverId: message.receiverId };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * File a report
+ * @param {Object} reporter - User instance with permissions attached
+ * @param {Object} data - { targetType, targetId, category, reason }
+ * @returns {Promise<Object>} Report instance
+ */
+exports.createReport = async (reporter, { targetType, targetId, category = 'other', reason }) => {
+  const errors = [];
+
+  if (!REPORT_TARGETS.includes(targetType)) {
+    errors.push({ field: 'targetType', message: `Target type must be one of: ${REPORT_TARGETS.join(', ')}` });
+  }
+
+  if (!REPORT_CATEGORIES.includes(category)) {
+    errors.push({ field: 'category', message: `Category must be one of: ${REPORT_CATEGORIES.join(', ')}` });
+  }
+
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    errors.push({ field: 'reason', message: 'Reason must be text' });
+  } else if (category === 'other' && !(reason && reason.trim())) {
+    // Without a specific category the moderators need to know what is wrong
+    errors.push({ field: 'reason', message: 'Reason is required' });
+  } else if (reason && reason.length > 2000) {
+    errors.push({ field: 'reason', message: 'Reason cannot exceed 2000 characters' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const target = await findTarget(targetType, targetId);
+
+  // Content the reporter cannot see is reported as missing
+  const canSee = target && (
+    target.forumId ? reporter.can('viewThreads', target.forumId)
+      : targetType !== 'message' || target.receiverId === reporter.id
+  );
+
+  if (!canSee) {
+    throw new NotFoundError(`${targetType.charAt(0).toUpperCase()}${targetType.slice(1)} not found`);
+  }
+
+  if (target.targetUserId === reporter.id) {
+    throw new ValidationError('You cannot report yourself or your own content');
+  }
+
+  const existing = await Report.findOne({
+    where: {
+      reporterId: reporter.id,
+      targetType,
+      targetId,
+      status: OPEN_STATUSES
+    }
+  });
+
+  if (existing) {
+    throw new ValidationError('You have already reported this');
+  }
+
+  return Report.create({
+    reporterId: reporter.id,
+    targetType,
+    targetId,
+    forumId: target.forumId,
+    targetUserId: target.targetUserId,
+    category,
+    reason: reason ? reason.trim() : null
+  });
+};
+
+/**
+ * Work out which reports a user may handle
+ * @param {Object} user - User instance with permissions attached
+ * @returns {Promise<Object>} { global, admin, forumIds } where forumIds are the forums the user moderates
+ * @throws {AuthorizationError} If the user moderates nothing
+ */
+const getModerationScope = async (user) => {
+  const admin = user.can('admin.accessAdminPanel');
+  const global = admin || user.can('moderateThreads');
+
+  if (global) {
+    return { global, admin, forumIds: null };
+  }
+
+  const forums = await Forum.findAll({ attributes: ['id'], raw: true });
+  const forumIds = forums.map(forum => forum.id).filter(forumId => user.can('moderateThreads', forumId));
+
+  if (forumIds.length === 0) {
+    throw new AuthorizationError('You do not have permission to handle reports');
+  }
+
+  return { global, admin, forumIds };
+};
+
+exports.getModerationScope = getModerationScope;
+
+/**
+ * Check whether a moderation scope covers a report
+ * @param {Object} scope - Result of getModerationScope()
+ * @param {Object} report - Report instance
+ * @returns {boolean}
+ */
+const canHandle = (scope, report) => {
+  if (report.status === 'escalated') {
+    return scope.admin;
+  }
+
+  return scope.global || (!!report.forumId && scope.forumIds.includes(report.forumId));
+};
+
+/**
+ * Describe the targets of report groups for the queue
+ * @param {Array} groups - Report groups with targetType and targetId
+ * @returns {Promise<Array>} The groups, each with a `target` summary (null if it was deleted)
+ */
+const describeTargets = async (groups) => {
+  const idsOf = (type) => groups.filter(group => group.targetType === type).map(group => group.targetId);
+  const author = { model: User, as: 'User', attributes: ['id', 'username'] };
+
+  const [posts, threads, users, messages] = await Promise.all([
+    Post.findAll({ where: { id: idsOf('post') }, attributes: ['id', 'content', 'threadId', 'createdAt'], include: [author] }),
+    Thread.findAll({ where: { id: idsOf('thread') }, attributes: ['id', 'title', 'slug', 'forumId'], include: [author] }),
+    User.findAll({ where: { id: idsOf('user') }, attributes: ['id', 'username', 'avatar', 'isBanned'] }),
+    Message.findAll({
+      where: { id: idsOf('message') },
+      attributes: ['id', 'subject', 'content', 'createdAt'],
+      include: [{ model: User, as: 'Sender', attributes: ['id', 'username'] }]
+    })
+  ]);
+
+  const targets = { post: posts, thread: threads, user: users, message: messages };
+
+  return groups.map(group => ({
+    ...group,
+    target: targets[group.targetType].find(target => target.id === group.targetId) || null
+  }));
+};
+
+/**
+ * Get the moderation queue
+ * Reports are grouped by target; groups with more reports come first, then older ones.
+ * @param {Object} user - Moderator with permissions attached
+ * @param {Object} filters - { status, targetType, forumId, page, limit }
+ * @returns {Promise<Object>} { groups, pagination }
+ */
+exports.getReportQueue = async (user, { status = 'pending', targetType, forumId, page = 1, limit = 20 }) => {
+  const scope = await getModerationScope(user);
+
+  if (!REPORT_STATUSES.includes(status)) {
+    throw new ValidationError(`Status must be one of: ${REPORT_STATUSES.join(', ')}`);
+  }
+
+  if (status === 'escalated' && !scope.admin) {
+    throw new AuthorizationError('Only administrators can handle escalated reports');
+  }
+
+  const where = { status };
+
+  if (targetType) {
+    if (!REPORT_TARGETS.includes(targetType)) {
+      throw new ValidationError(`Target type must be one of: ${REPORT_TARGETS.join(', ')}`);
+    }
+    where.targetType = targetType;
+  }
+
+  if (forumId) {
+    if (!scope.global && !scope.forumIds.includes(forumId)) {
+      throw new AuthorizationError('You do not moderate this forum');
+    }
+    where.forumId = forumId;
+  } else if (!scope.global) {
+    where.forumId = { [Op.in]: scope.forumIds };
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  // Group and page in the database; only the reports of the groups on the page are loaded
+  const [count, targets] = await Promise.all([
+    Report.findOne({
+      attributes: [[literal('COUNT(DISTINCT ("targetType", "targetId"))'), 'total']],
+      where,
+      raw: true
+    }),
+    Report.findAll({
+      attributes: [
+        'targetType',
+        'targetId',
+        [fn('COUNT', col('id')), 'reportCount'],
+        [fn('MIN', col('createdAt')), 'firstReportedAt']
+      ],
+      where,
+      group: ['targetType', 'targetId'],
+      order: [[literal('"reportCount"'), 'DESC'], [literal('"firstReportedAt"'), 'ASC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+      raw: true
+    })
+  ]);
+
+  const total = parseInt(count.total, 10);
+
+  const reports = targets.length > 0 ? await Report.findAll({
+    where: {
+      ...where,
+      [Op.or]: targets.map(({ targetType: type, targetId }) => ({ targetType: type, targetId }))
+    },
+    include: [{ model: User, as: 'Reporter', attributes: ['id', 'username'] }],
+    order: [['createdAt', 'ASC']]
+  }) : [];
+
+  const groupsByTarget = new Map(targets.map(({ targetType: type, targetId }) => [`${type}:${targetId}`, {
+    targetType: type,
+    targetId,
+    forumId: null,
+    targetUserId: null,
+    reportCount: 0,
+    categories: {},
+    firstReportedAt: null,
+    lastReportedAt: null,
+    reports: []
+  }]));
+
+  for (const report of reports) {
+    const group = groupsByTarget.get(`${report.targetType}:${report.targetId}`);
+
+    if (!group.firstReportedAt) {
+      group.forumId = report.forumId;
+      group.targetUserId = report.targetUserId;
+      group.firstReportedAt = report.createdAt;
+    }
+
+    group.reportCount += 1;
+    group.categories[report.category] = (group.categories[report.category] || 0) + 1;
+    group.lastReportedAt = report.createdAt;
+    group.reports.push(report);
+  }
+
+  return {
+    groups: await describeTargets([...groupsByTarget.values()]),
+    pagination: {
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+/**
+ * Handle a report together with all other open reports of the same target
+ * @param {Object} user - Moderator with permissions attached
+ * @param {string} id - ID of one of the reports
+ * @param {string} action - 'dismiss', 'resolve' or 'escalate'
+ * @param {Object} data - { actionTaken, note, feedback }; actionTaken is required to resolve
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { status, count } with the new status and the number of reports handled
+ */
+exports.handleReport = async (user, id, action, { actionTaken, note, feedback } = {}, req) => {
+  const scope = await getModerationScope(user);
+  const report = isUuid(String(id)) ? await Report.findByPk(id) : null;
+
+  if (!report) {
+    throw new NotFoundError('Report not found');
+  }
+
+  if (!canHandle(scope, report)) {
+    throw new AuthorizationError('You do not have permission to handle this report');
+  }
+
+  if (!report.isOpen()) {
+    throw new ValidationError('This report has already been handled');
+  }
+
+  const changes = {
+    handledBy: user.id,
+    handledAt: new Date(),
+    moderatorNote: typeof note === 'string' && note.trim() ? note.trim() : null
+  };
+
+  switch (action) {
+    case 'dismiss':
+      changes.status = 'dismissed';
+      break;
+    case 'resolve':
+      if (typeof actionTaken !== 'string' || !actionTaken.trim()) {
+        throw new ValidationError('Validation failed', [
+          { field: 'actionTaken', message: 'Describe the action taken' }
+        ]);
+      }
+      changes.status = 'resolved';
+      changes.actionTaken = actionTaken.trim().substring(0, 500);
+      changes.reporterFeedback = typeof feedback === 'string' && feedback.trim() ? feedback.trim() : null;
+      break;
+    case 'escalate':
+      if (report.status === 'escalated') {
+        throw new ValidationError('This report has already been escalated');
+      }
+      changes.status = 'escalated';
+      break;
+    default:
+      throw new ValidationError('Unknown action');
+  }
+
+  const reports = await Report.findAll({
+    where: {
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status: OPEN_STATUSES
+    },
+    include: [{ model: User, as: 'Reporter', attributes: ['id', 'username', 'email', 'locale'] }]
+  });
+
+  // Escalated reports of the target are left to the administrators
+  if (reports.some(item => !canHandle(scope, item))) {
+    throw new AuthorizationError('Other reports of this content have been escalated to the administrators');
+  }
+
+  await Report.update(changes, { where: { id: reports.map(item => item.id) } });
+
+  await logAction({
+    actor: user,
+    action: `report.${action}`,
+    targetType: report.targetType,
+    targetId: report.targetId,
+    reason: changes.moderatorNote,
+    details: {
+      reports: reports.length,
+      actionTaken: changes.actionTaken,
+      note: changes.moderatorNote
+    }
+  }, req);
+
+  // Let everyone who reported the target know that something was done
+  if (changes.status === 'resolved') {
+    const reporters = new Map(reports.filter(item => item.Reporter).map(item => [item.Reporter.id, item.Reporter]));
+
+    for (const reporter of reporters.values()) {
+      await sendUserMail(reporter, 'reportResolved', {
+        feedback: changes.reporterFeedback,
+        link: `${config.app.frontendUrl}/reports`
+      });
+    }
+  }
+
+  return { status: changes.status, count: reports.length };
+};
+
+/**
+ * Get the reports a user has filed, with the outcome shared with reporters
+ * @param {Object} user - User instance
+ * @returns {Promise<Array>} Reports
+ */
+exports.getOwnReports = async (user) => {
+  const reports = await Report.findAll({
+    where: { reporterId: user.id },
+    attributes: ['id', 'targetType', 'targetId', 'category', 'reason', 'status', 'reporterFeedback', 'handledAt', 'createdAt'],
+    order: [['createdAt', 'DESC']]
+  });
+
+  // Escalation is internal; to the reporter the report is still pending
+  return reports.map(report => ({
+    ...report.toJSON(),
+    status: report.status === 'escalated' ? 'pending' : report.status
+  }));
+};
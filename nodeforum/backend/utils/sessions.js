@@ -0,0 +1,242 @@
+/**
+ * Session Utilities
+ * Issues short-lived access tokens and rotating refresh tokens backed by server-side sessions
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const jwt = require('jsonwebtoken');
+const { validate: isUuid } = require('uuid');
+const { Session } = require('../models');
+const { AuthenticationError } = require('./errors');
+// Not destructured: bans requires this module in turn
+const bans = require('./bans');
+const config = require('../config/config');
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} secret - Random part of the refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Get the date a session expires when refreshed now
+ * @returns {Date}
+ */
+const getSessionExpiry = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + config.jwt.refreshExpiresInDays);
+  return expiresAt;
+};
+
+/**
+ * Describe the client a request comes from
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const getClientInfo = (req) => {
+  const userAgent = req.get('User-Agent');
+
+  return {
+    userAgent: userAgent ? userAgent.substring(0, 512) : null,
+    ipAddress: req.ip || null
+  };
+};
+
+/**
+ * Sign an access token for a session
+ * The token carries the user's token version so it stops working once the version changes.
+ * @param {Object} user - User instance
+ * @param {Object} session - Session instance
+ * @returns {string} JWT
+ */
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user.id, sid: session.id, ver: user.tokenVersion },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  );
+};
+
+exports.generateAccessToken = generateAccessToken;
+
+/**
+ * Give a session a new refresh token
+ * Refresh tokens have the form `<session id>.<secret>`; only a hash of the secret is stored.
+ * @param {Object} session - Session instance (not yet saved)
+ * @returns {string} Refresh token
+ */
+const issueRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+  return `${session.id}.${secret}`;
+};
+
+/**
+ * Start a new session for a user
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request the login came from
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+exports.createSession = async (user, req) => {
+  const session = Session.build({
+    userId: user.id,
+    ...getClientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: getSessionExpiry()
+  });
+
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  return {
+    token: generateAccessToken(user, session),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Start a session in which an admin acts as another user (see utils/impersonation.js)
+ * Its access token names the admin and lives as long as the session; no refresh token is
+ * handed out, so the session cannot outlast config.security.impersonation.expiresInMinutes.
+ * @param {Object} user - User instance to act as
+ * @param {Object} impersonator - Admin's User instance
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, session }
+ */
+exports.createImpersonationSession = async (user, impersonator, req) => {
+  const { expiresInMinutes } = config.security.impersonation;
+
+  const session = Session.build({
+    userId: user.id,
+    impersonatorId: impersonator.id,
+    ...getClientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+
+  // Stored so the session looks like any other, but never given out
+  issueRefreshToken(session);
+  await session.save();
+
+  const token = jwt.sign(
+    { id: user.id, sid: session.id, ver: user.tokenVersion, imp: impersonator.id },
+    config.jwt.secret,
+    { expiresIn: `${expiresInMinutes}m` }
+  );
+
+  return { token, session };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * Presenting a refresh token that has already been rotated means it was copied, so the
+ * whole session is revoked, unless it was rotated within config.jwt.refreshGraceSeconds: then
+ * only an access token is issued and refreshToken is null.
+ * @param {string} refreshToken - Refresh token issued by createSession or a previous refresh
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ * @throws {AuthenticationError|BannedError} If the session or account can no longer be used
+ */
+exports.refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = (typeof refreshToken === 'string' ? refreshToken : '').split('.');
+
+  if (!isUuid(sessionId) || !secret) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  const session = await Session.findByPk(sessionId, {
+    include: ['User']
+  });
+
+  if (!session || !session.isValid()) {
+    throw new AuthenticationError('Session has expired. Please log in again.');
+  }
+
+  if (session.impersonatorId) {
+    throw new AuthenticationError('Impersonation sessions cannot be refreshed');
+  }
+
+  // Another tab may have refreshed with the same token a moment ago; it keeps the new refresh
+  // token, this request only gets an access token
+  const isGraceRefresh = session.previousRefreshTokenHash === hashToken(secret) &&
+    Date.now() - session.rotatedAt.getTime() < config.jwt.refreshGraceSeconds * 1000;
+
+  if (session.refreshTokenHash !== hashToken(secret) && !isGraceRefresh) {
+    session.revokedAt = new Date();
+    await session.save();
+    throw new AuthenticationError('Session has been revoked. Please log in again.');
+  }
+
+  if (!session.User || !session.User.isActive) {
+    throw new AuthenticationError('Your account has been deactivated');
+  }
+
+  if (!session.User.isApproved) {
+    throw new AuthenticationError('Your account is waiting for approval by an administrator.');
+  }
+
+  if (session.User.isBanActive()) {
+    throw bans.createBannedError(session.User);
+  }
+
+  let newRefreshToken = null;
+  if (!isGraceRefresh) {
+    session.previousRefreshTokenHash = session.refreshTokenHash;
+    session.rotatedAt = new Date();
+    newRefreshToken = issueRefreshToken(session);
+  }
+  Object.assign(session, getClientInfo(req));
+  session.lastSeenAt = new Date();
+  session.expiresAt = getSessionExpiry();
+  await session.save();
+
+  return {
+    token: generateAccessToken(session.User, session),
+    refreshToken: newRefreshToken,
+    session
+  };
+};
+
+/**
+ * Revoke a session
+ * @param {Object} session - Session instance
+ * @returns {Promise<Object>} The session
+ */
+exports.revokeSession = async (session) => {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    await session.save();
+  }
+
+  return session;
+};
+
+/**
+ * Invalidate all tokens issued to a user
+ * Bumps the user's token version, which rejects every access token issued so far, and revokes
+ * their sessions so they cannot be refreshed. Used after a password change, password reset or ban.
+ * @param {Object} user - User instance
+ * @param {Object} [keepSession] - Session to keep, e.g. the one the password was changed from
+ * @returns {Promise<Object>} The user
+ */
+exports.invalidateUserSessions = async (user, keepSession = null) => {
+  user.tokenVersion += 1;
+  await user.save();
+
+  const where = {
+    userId: user.id,
+    revokedAt: null
+  };
+
+  if (keepSession) {
+    where.id = { [Op.ne]: keepSession.id };
+  }
+
+  await Session.update({ revokedAt: new Date() }, { where });
+
+  return user;
+};
@@ -0,0 +1,47 @@
+/**
+ * Settings
+ * Forum settings admins change at runtime, stored in the Setting model. Values are cached
+ * briefly so other server nodes pick up changes within a minute.
+ */
+const { Setting } = require('../models');
+
+const CACHE_TTL = 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * Get a setting
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value when the setting was never changed
+ * @returns {Promise<*>} Value
+ */
+exports.getSetting = async (key, defaultValue) => {
+  const cached = cache.get(key);
+
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+    return cached.value === null ? defaultValue : cached.value;
+  }
+
+  const setting = await Setting.findByPk(key);
+  const value = setting ? setting.value : null;
+
+  cache.set(key, { value, loadedAt: Date.now() });
+
+  return value === null ? defaultValue : value;
+};
+
+/**
+ * Change a setting
+ * @param {string} key - Setting key
+ * @param {*} value - New value, or null to go back to the default
+ * @param {Object} [user] - Admin making the change
+ */
+exports.setSetting = async (key, value, user = null) => {
+  await Setting.upsert({
+    key,
+    value,
+    updatedBy: user ? user.id : null
+  });
+
+  cache.set(key, { value, loadedAt: Date.now() });
+};
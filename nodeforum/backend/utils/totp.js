@@ -0,0 +1,165 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) compatible with common authenticator apps
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps assume SHA-1, 6 digits and 30 second steps unless told otherwise
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, without padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded data
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random shared secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+exports.generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get the time step a moment falls into
+ * @param {number} [time] - Unix time in milliseconds (default: now)
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+};
+
+/**
+ * Generate the code for a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Generate the current code for a secret
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [time] - Unix time in milliseconds (default: now)
+ * @returns {string} Code
+ */
+exports.generateCode = (secret, time) => {
+  return generateCode(secret, getTimeStep(time));
+};
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Number of steps accepted before and after the current one
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+exports.verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from QR codes
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} account - Account name shown in the app
+ * @param {string} issuer - Site name shown in the app
+ * @returns {string} otpauth URI
+ */
+exports.getOtpauthUri = (secret, account, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
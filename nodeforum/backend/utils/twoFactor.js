@@ -0,0 +1,140 @@
+/**
+ * Two-Factor Authentication Utilities
+ * Login challenges, code verification and recovery codes for TOTP two-factor authentication
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyCode } = require('./totp');
+const { AuthenticationError } = require('./errors');
+const config = require('../config/config');
+
+// Marks challenge tokens so they cannot be used as access tokens and vice versa
+const CHALLENGE_PURPOSE = 'two-factor';
+
+/**
+ * Issue a challenge token for the second login step
+ * Returned by login instead of a session when the account has two-factor authentication enabled.
+ * @param {Object} user - User instance whose password was verified
+ * @returns {string} Short-lived JWT
+ */
+exports.createChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user.id, purpose: CHALLENGE_PURPOSE },
+    config.jwt.secret,
+    { expiresIn: config.twoFactor.challengeExpiresIn }
+  );
+};
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token from createChallengeToken
+ * @returns {string} ID of the user the challenge belongs to
+ */
+exports.verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token || '', config.jwt.secret);
+
+    if (decoded.purpose === CHALLENGE_PURPOSE) {
+      return decoded.id;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+
+  throw new AuthenticationError('Login challenge has expired. Please log in again.');
+};
+
+/**
+ * Check whether any of a user's groups requires two-factor authentication
+ * @param {Object} user - User instance with permissions attached
+ * @returns {boolean}
+ */
+exports.isTwoFactorRequired = (user) => {
+  return (user.groups || []).some(group => group.requireTwoFactor);
+};
+
+// Recovery codes are compared without formatting
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+/**
+ * Give a user a new set of recovery codes, replacing any previous ones
+ * @param {Object} user - User instance (not saved)
+ * @returns {Array} Plain recovery codes, to be shown to the user once
+ */
+exports.generateRecoveryCodes = (user) => {
+  const codes = [];
+
+  for (let i = 0; i < config.twoFactor.recoveryCodeCount; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.substring(0, 5)}-${code.substring(5)}`);
+  }
+
+  user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+
+  return codes;
+};
+
+/**
+ * Verify a TOTP code for a user
+ * Each code is accepted only once.
+ * @param {Object} user - User instance (not saved)
+ * @param {string} code - Code from the authenticator app
+ * @param {string} [secret] - Secret to check against (default: the user's active secret)
+ * @returns {boolean} Whether the code is valid
+ */
+exports.verifyTotp = (user, code, secret = user.twoFactorSecret) => {
+  if (!secret) {
+    return false;
+  }
+
+  const step = verifyCode(secret, code, config.twoFactor.window);
+
+  if (step === null || (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep)) {
+    return false;
+  }
+
+  user.twoFactorLastStep = step;
+  return true;
+};
+
+/**
+ * Verify and use up a recovery code
+ * @param {Object} user - User instance (not saved)
+ * @param {string} code - Recovery code
+ * @returns {boolean} Whether the code was valid
+ */
+exports.useRecoveryCode = (user, code) => {
+  const hash = hashRecoveryCode(code);
+  const remaining = user.twoFactorRecoveryCodes || [];
+
+  if (!normalizeRecoveryCode(code) || !remaining.includes(hash)) {
+    return false;
+  }
+
+  user.twoFactorRecoveryCodes = remaining.filter(existing => existing !== hash);
+  return true;
+};
+
+/**
+ * Verify the second factor entered at login or for sensitive changes
+ * @param {Object} user - User instance with two-factor authentication enabled (saved when valid)
+ * @param {Object} credentials - { code } from the authenticator app or { recoveryCode }
+ * @returns {Promise<boolean>} Whether the second factor is valid
+ */
+exports.verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const valid = recoveryCode
+    ? exports.useRecoveryCode(user, recoveryCode)
+    : exports.verifyTotp(user, code);
+
+  if (valid) {
+    await user.save();
+  }
+
+  return valid;
+};
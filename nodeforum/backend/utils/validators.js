@@ -1,4 +1,37 @@
 // Validators for forum data and post content
+const { PERMISSIONS, FORUM_PERMISSIONS, resolvePermissionKey } = require('./permissions');
+const { checkPassword } = require('./passwordPolicy');
+
+exports.validateUserData = (data) => {
+  const errors = [];
+
+  if (typeof data.username !== 'string' || data.username.trim().length < 3 || data.username.trim().length > 30) {
+    errors.push({ field: 'username', message: 'Username must be between 3 and 30 characters' });
+  } else if (data.username.includes('@')) {
+    // Logins containing @ are looked up as email addresses
+    errors.push({ field: 'username', message: 'Username cannot contain @' });
+  }
+
+  if (typeof data.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    errors.push({ field: 'email', message: 'Please include a valid email' });
+  }
+
+  errors.push(...checkPassword(data.password, { username: data.username, email: data.email }));
+
+  return errors;
+};
+
+exports.validatePasswordChange = (data, user) => {
+  const errors = [];
+
+  if (!data.currentPassword) {
+    errors.push({ field: 'currentPassword', message: 'Current password is required' });
+  }
+
+  errors.push(...checkPassword(data.newPassword, user, 'newPassword'));
+
+  return errors;
+};
 
 exports.validateForumData = (data) => {
   const errors = [];
@@ -21,5 +54,108 @@ exports.validatePostData = (data) => {
     errors.push({ field: 'content', message: 'Content must be at least 10 characters long' });
   }
 
+  return errors;
+};
+
+exports.validateThreadData = (data) => {
+  const errors = [];
+
+  if (typeof data.title !== 'string' || data.title.trim().length < 3) {
+    errors.push({ field: 'title', message: 'Title must be at least 3 characters long' });
+  } else if (data.title.length > 255) {
+    errors.push({ field: 'title', message: 'Title must be at most 255 characters long' });
+  }
+
+  if (typeof data.content !== 'string' || data.content.trim().length < 10) {
+    errors.push({ field: 'content', message: 'Content must be at least 10 characters long' });
+  }
+
+  if (data.tags !== undefined && (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push({ field: 'tags', message: 'Tags must be a list of names' });
+  }
+
+  return errors;
+};
+
+exports.validateForumPermissionData = (data) => {
+  const errors = [];
+
+  if (!data.groupId) {
+    errors.push({ field: 'groupId', message: 'Group ID is required' });
+  }
+
+  if (typeof data.permission !== 'string' || !FORUM_PERMISSIONS.includes(resolvePermissionKey(data.permission))) {
+    errors.push({ field: 'permission', message: `Permission must be one of: ${FORUM_PERMISSIONS.join(', ')}` });
+  }
+
+  if (!['allow', 'deny', 'inherit'].includes(data.value)) {
+    errors.push({ field: 'value', message: 'Value must be allow, deny or inherit' });
+  }
+
+  return errors;
+};
+
+exports.validatePermissionsData = (permissions) => {
+  const errors = [];
+
+  if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    errors.push({ field: 'permissions', message: 'Permissions must be an object' });
+    return errors;
+  }
+
+  for (const [category, values] of Object.entries(permissions)) {
+    if (!Object.prototype.hasOwnProperty.call(PERMISSIONS, category)) {
+      errors.push({ field: `permissions.${category}`, message: `Unknown permission category '${category}'` });
+      continue;
+    }
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push({ field: `permissions.${category}`, message: 'Permission category must be an object' });
+      continue;
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+      if (!PERMISSIONS[category].includes(name)) {
+        errors.push({ field: `permissions.${category}.${name}`, message: `Unknown permission '${category}.${name}'` });
+      } else if (typeof value !== 'boolean') {
+        errors.push({ field: `permissions.${category}.${name}`, message: 'Permission value must be true or false' });
+      }
+    }
+  }
+
+  return errors;
+};
+
+exports.validateUserGroupData = (data, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || !/^[a-z0-9_-]{2,50}$/.test(data.name)) {
+      errors.push({ field: 'name', message: 'Name must be 2-50 lowercase letters, numbers, dashes or underscores' });
+    }
+  }
+
+  if (!isUpdate || data.displayName !== undefined) {
+    if (typeof data.displayName !== 'string' || data.displayName.trim().length === 0) {
+      errors.push({ field: 'displayName', message: 'Display name is required' });
+    }
+  }
+
+  if (data.priority !== undefined && !Number.isInteger(data.priority)) {
+    errors.push({ field: 'priority', message: 'Priority must be an integer' });
+  }
+
+  if (data.color && !/^#[0-9A-F]{6}$/i.test(data.color)) {
+    errors.push({ field: 'color', message: 'Color must be a hex color such as #3498db' });
+  }
+
+  if (data.requireTwoFactor !== undefined && typeof data.requireTwoFactor !== 'boolean') {
+    errors.push({ field: 'requireTwoFactor', message: 'requireTwoFactor must be a boolean' });
+  }
+
+  if (data.permissions !== undefined) {
+    errors.push(...exports.validatePermissionsData(data.permissions));
+  }
+
   return errors;
 };
\ No newline at end of file
@@ -0,0 +1,393 @@
+/**
+ * Warnings
+ * Moderators warn users for breaking the rules. Each warning carries points that count until
+ * the warning expires or is revoked; when a warning takes a user's active points to one of the
+ * configured thresholds, its consequence is applied: post moderation, a ban or a group change.
+ * The user is told about every warning by private message.
+ */
+const { Op } = require('sequelize');
+const { Warning, User, UserGroup, UserGroupMembership, Post, Message } = require('../models');
+const { ValidationError, NotFoundError, AuthorizationError } = require('./errors');
+const { attachPermissions } = require('./permissions');
+const { banUser } = require('./bans');
+const { getSetting, setSetting } = require('./settings');
+const { logAction } = require('./auditLog');
+const config = require('../config/config');
+
+const THRESHOLD_ACTIONS = ['moderatePosts', 'ban', 'changeGroup'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the warning types and thresholds: the defaults from config.moderation.warnings unless
+ * an admin has changed them
+ * @returns {Promise<Object>} { types, thresholds }
+ */
+const getWarningSettings = async () => {
+  const defaults = config.moderation.warnings;
+  const changes = await getSetting('warnings', {});
+
+  return {
+    types: changes.types || defaults.types,
+    thresholds: changes.thresholds || defaults.thresholds
+  };
+};
+
+exports.getWarningSettings = getWarningSettings;
+
+/**
+ * Change the warning types or thresholds
+ * Existing warnings keep the points they were issued with.
+ * @param {Object} data - { types, thresholds }
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<Object>} New settings
+ */
+exports.updateWarningSettings = async (data, user) => {
+  const errors = [];
+  const changes = { ...await getSetting('warnings', {}) };
+
+  if (data.types !== undefined) {
+    if (!data.types || typeof data.types !== 'object' || Object.keys(data.types).length === 0) {
+      errors.push({ field: 'types', message: 'At least one warning type is required' });
+    } else {
+      for (const [key, type] of Object.entries(data.types)) {
+        if (!/^[A-Za-z0-9_-]{1,50}$/.test(key) || !type || !type.label) {
+          errors.push({ field: `types.${key}`, message: 'Warning types need a key of up to 50 letters or digits and a label' });
+        } else if (!Number.isInteger(type.points) || type.points < 0) {
+          errors.push({ field: `types.${key}.points`, message: 'Points must be a whole number of at least 0' });
+        } else if (type.expiresInDays !== null && (!Number.isInteger(type.expiresInDays) || type.expiresInDays < 1)) {
+          errors.push({ field: `types.${key}.expiresInDays`, message: 'Expiry must be a number of days, or null for never' });
+        }
+      }
+      changes.types = data.types;
+    }
+  }
+
+  if (data.thresholds !== undefined) {
+    if (!Array.isArray(data.thresholds)) {
+      errors.push({ field: 'thresholds', message: 'Thresholds must be a list' });
+    } else {
+      data.thresholds.forEach((threshold, index) => {
+        if (!threshold || !Number.isInteger(threshold.points) || threshold.points < 1) {
+          errors.push({ field: `thresholds.${index}.points`, message: 'Points must be a whole number of at least 1' });
+        } else if (!THRESHOLD_ACTIONS.includes(threshold.action)) {
+          errors.push({ field: `thresholds.${index}.action`, message: `Action must be one of: ${THRESHOLD_ACTIONS.join(', ')}` });
+        } else if (threshold.days !== undefined && threshold.days !== null && (!Number.isInteger(threshold.days) || threshold.days < 1)) {
+          errors.push({ field: `thresholds.${index}.days`, message: 'Days must be a whole number of at least 1' });
+        } else if (threshold.action === 'moderatePosts' && !threshold.days) {
+          errors.push({ field: `thresholds.${index}.days`, message: 'Post moderation needs a number of days' });
+        } else if (threshold.action === 'changeGroup' && !Number.isInteger(threshold.groupId)) {
+          errors.push({ field: `thresholds.${index}.groupId`, message: 'Group changes need a group' });
+        }
+      });
+      changes.thresholds = data.thresholds;
+    }
+  }
+
+  if (errors.length === 0 && changes.thresholds) {
+    const groupIds = changes.thresholds.filter(threshold => threshold.action === 'changeGroup').map(threshold => threshold.groupId);
+    const groups = await UserGroup.count({ where: { id: groupIds } });
+
+    if (groups !== new Set(groupIds).size) {
+      errors.push({ field: 'thresholds', message: 'Group not found' });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  await setSetting('warnings', changes, user);
+
+  return getWarningSettings();
+};
+
+/**
+ * Condition for warnings whose points still count
+ * @returns {Object} Sequelize where clause
+ */
+const activeWhere = () => ({
+  revokedAt: null,
+  [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+});
+
+/**
+ * Add up a user's active warning points
+ * @param {string} userId - ID of the user
+ * @returns {Promise<number>} Points
+ */
+const getActivePoints = async (userId) => {
+  return (await Warning.sum('points', { where: { userId, ...activeWhere() } })) || 0;
+};
+
+exports.getActivePoints = getActivePoints;
+
+/**
+ * Get a date a number of days from now
+ * @param {number} [days] - Days
+ * @returns {Date|null} Date, or null without days
+ */
+const daysFromNow = (days) => (days ? new Date(Date.now() + days * DAY) : null);
+
+/**
+ * Apply the consequence of a threshold
+ * @param {Object} user - Warned user
+ * @param {Object} threshold - Threshold from the warning settings
+ * @param {Object} moderator - Moderator who issued the warning
+ * @param {Object} [req] - Express request, for the audit log
+ */
+const applyConsequence = async (user, threshold, moderator, req) => {
+  const until = daysFromNow(threshold.days);
+
+  switch (threshold.action) {
+    case 'moderatePosts':
+      // A running moderation period is never shortened
+      if (!user.moderatePostsUntil || user.moderatePostsUntil < until) {
+        user.moderatePostsUntil = until;
+        await user.save();
+      }
+      break;
+    case 'ban':
+      // A longer ban in force is never shortened
+      if (user.isBanActive() && (!user.banExpiresAt || (until && user.banExpiresAt >= until))) {
+        break;
+      }
+      await banUser(moderator, user, {
+        reason: `Reached ${threshold.points} warning points`,
+        publicReason: `Reached ${threshold.points} warning points`,
+        duration: threshold.days
+      }, req);
+      break;
+    case 'changeGroup':
+      await UserGroupMembership.upsert({
+        userId: user.id,
+        groupId: threshold.groupId,
+        expiresAt: until,
+        addedBy: moderator.id
+      });
+      break;
+  }
+};
+
+/**
+ * Describe a warning in the private message to the user
+ * @param {Object} warning - Warning instance
+ * @param {Object} type - Warning type
+ * @param {Array} consequences - Thresholds reached
+ * @returns {string} Message content
+ */
+const describeWarning = (warning, type, consequences) => {
+  const lines = [`You have received a warning for: ${type.label}.`];
+
+  if (warning.postId) {
+    lines.push(`It concerns this post: ${config.app.frontendUrl}/posts/${warning.postId}`);
+  }
+
+  if (warning.note) {
+    lines.push('', warning.note, '');
+  }
+
+  lines.push(`This warning adds ${warning.points} ${warning.points === 1 ? 'point' : 'points'} to your account` +
+    (warning.expiresAt ? ` until ${warning.expiresAt.toISOString().substring(0, 10)}.` : '.'));
+
+  for (const consequence of consequences) {
+    const until = consequence.days ? ` for ${consequence.days} days` : '';
+
+    if (consequence.action === 'moderatePosts') {
+      lines.push(`Your new posts will be checked by a moderator before they are shown${until}.`);
+    } else if (consequence.action === 'ban') {
+      lines.push(`Your account has been banned${until || ' permanently'}.`);
+    } else if (consequence.action === 'changeGroup') {
+      lines.push(`Your user group has been changed${until}.`);
+    }
+  }
+
+  lines.push('', `You can see your active warnings at ${config.app.frontendUrl}/profile.`);
+
+  return lines.join('\n');
+};
+
+/**
+ * Warn a user
+ * @param {Object} moderator - Moderator with permissions attached
+ * @param {string} userId - ID of the user to warn
+ * @param {Object} data - { type, points, expiresInDays, postId, note }; points and
+ *   expiresInDays default to the type's values
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { warning, activePoints, consequences }
+ */
+exports.issueWarning = async (moderator, userId, data, req) => {
+  const { types, thresholds } = await getWarningSettings();
+  const type = types[data.type];
+  const errors = [];
+
+  if (!type) {
+    errors.push({ field: 'type', message: `Type must be one of: ${Object.keys(types).join(', ')}` });
+  }
+
+  const points = data.points !== undefined ? data.points : type && type.points;
+  if ((type || data.points !== undefined) && (!Number.isInteger(points) || points < 0)) {
+    errors.push({ field: 'points', message: 'Points must be a whole number of at least 0' });
+  }
+
+  const expiresInDays = data.expiresInDays !== undefined ? data.expiresInDays : type && type.expiresInDays;
+  if (expiresInDays !== null && expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+    errors.push({ field: 'expiresInDays', message: 'Expiry must be a number of days, or null for never' });
+  }
+
+  if (data.note && data.note.length > 5000) {
+    errors.push({ field: 'note', message: 'Note cannot exceed 5000 characters' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.id === moderator.id) {
+    throw new ValidationError('You cannot warn yourself');
+  }
+
+  await attachPermissions(user);
+  if (user.can('admin.accessAdminPanel')) {
+    throw new AuthorizationError('Cannot warn an administrator');
+  }
+
+  if (data.postId) {
+    const post = await Post.findByPk(data.postId);
+
+    if (!post || post.userId !== user.id) {
+      throw new ValidationError('Validation failed', [
+        { field: 'postId', message: 'The post must be one of the user\'s posts' }
+      ]);
+    }
+  }
+
+  const pointsBefore = await getActivePoints(user.id);
+  const pointsAfter = pointsBefore + points;
+
+  // Only thresholds this warning crosses apply, so consequences are not repeated
+  const consequences = thresholds.filter(threshold =>
+    threshold.points > pointsBefore && threshold.points <= pointsAfter
+  );
+
+  const warning = await Warning.create({
+    userId: user.id,
+    issuedBy: moderator.id,
+    type: data.type,
+    points,
+    postId: data.postId || null,
+    note: data.note || null,
+    expiresAt: daysFromNow(expiresInDays),
+    consequences
+  });
+
+  for (const threshold of consequences) {
+    await applyConsequence(user, threshold, moderator, req);
+  }
+
+  await Message.create({
+    senderId: moderator.id,
+    receiverId: user.id,
+    subject: `Warning: ${type.label}`,
+    content: describeWarning(warning, type, consequences)
+  });
+
+  await logAction({
+    actor: moderator,
+    action: 'warning.issue',
+    targetType: 'user',
+    targetId: user.id,
+    reason: data.note,
+    details: {
+      warningId: warning.id,
+      type: data.type,
+      points,
+      postId: warning.postId,
+      activePoints: pointsAfter,
+      consequences
+    }
+  }, req);
+
+  return { warning, activePoints: pointsAfter, consequences };
+};
+
+/**
+ * Revoke a warning so its points no longer count
+ * Consequences already applied stay in place and have to be lifted separately.
+ * @param {Object} moderator - Moderator
+ * @param {string} id - ID of the warning
+ * @param {Object} req - Express request
+ * @param {string} [reason] - Why the warning is revoked, for the audit log
+ * @returns {Promise<Object>} Warning instance
+ */
+exports.revokeWarning = async (moderator, id, req, reason = null) => {
+  const warning = await Warning.findByPk(id);
+
+  if (!warning) {
+    throw new NotFoundError('Warning not found');
+  }
+
+  if (warning.revokedAt) {
+    throw new ValidationError('This warning has already been revoked');
+  }
+
+  warning.revokedAt = new Date();
+  warning.revokedBy = moderator.id;
+  await warning.save();
+
+  await logAction({
+    actor: moderator,
+    action: 'warning.revoke',
+    targetType: 'user',
+    targetId: warning.userId,
+    reason,
+    details: { warningId: warning.id, type: warning.type, points: warning.points }
+  }, req);
+
+  return warning;
+};
+
+/**
+ * Get a user's warnings
+ * @param {string} userId - ID of the user
+ * @param {Object} [options] - { activeOnly, forModerators }; users see neither the issuer
+ *   nor revoked warnings
+ * @returns {Promise<Object>} { warnings, activePoints }
+ */
+exports.getUserWarnings = async (userId, { activeOnly = false, forModerators = false } = {}) => {
+  const where = activeOnly ? { userId, ...activeWhere() } : { userId };
+  const include = [{ model: Post, attributes: ['id', 'threadId'] }];
+
+  if (forModerators) {
+    include.push(
+      { model: User, as: 'Issuer', attributes: ['id', 'username'] },
+      { model: User, as: 'Revoker', attributes: ['id', 'username'] }
+    );
+  }
+
+  const [{ types }, warnings, activePoints] = await Promise.all([
+    getWarningSettings(),
+    Warning.findAll({
+      where,
+      attributes: forModerators ? undefined : ['id', 'type', 'points', 'postId', 'note', 'expiresAt', 'createdAt'],
+      include,
+      order: [['createdAt', 'DESC']]
+    }),
+    getActivePoints(userId)
+  ]);
+
+  return {
+    warnings: warnings.map(warning => ({
+      ...warning.toJSON(),
+      label: types[warning.type] ? types[warning.type].label : warning.type,
+      isActive: warning.isActive()
+    })),
+    activePoints
+  };
+};
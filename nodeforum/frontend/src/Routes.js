@@ -43,7 +43,7 @@ const AdminRoute = ({ children }) => {
     return Loading...;
   }
 
-  if (!currentUser || currentUser.role !== 'admin') {
+  if (!currentUser || !currentUser.permissions?.includes('admin.accessAdminPanel')) {
     return ;
   }
 
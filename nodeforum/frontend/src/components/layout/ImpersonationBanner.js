@@ -0,0 +1,35 @@
+import { useContext, useState } from 'react';
+import { Alert, Button } from '@mui/material';
+import AuthContext from '../../contexts/AuthContext';
+
+// Shown at the top of every page while an admin acts as another user
+const ImpersonationBanner = () => {
+  const { currentUser, stopImpersonation } = useContext(AuthContext);
+  const [stopping, setStopping] = useState(false);
+
+  if (!currentUser?.impersonator) {
+    return null;
+  }
+
+  const handleStop = async () => {
+    setStopping(true);
+    await stopImpersonation();
+  };
+
+  return (
+    <Alert
+      severity="warning"
+      square
+      action={
+        <Button color="inherit" size="small" onClick={handleStop} disabled={stopping}>
+          Stop impersonating
+        </Button>
+      }
+    >
+      {currentUser.impersonator.username}, you are viewing the forum as {currentUser.username}.
+      Password, email and two-factor settings cannot be changed.
+    </Alert>
+  );
+};
+
+export default ImpersonationBanner;
@@ -1,5 +1,6 @@
 import { createContext, useState, useEffect } from 'react';
 import axios from 'axios';
+import { authAPI, userAPI, restoreImpersonatorTokens } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -11,19 +12,17 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     // If there's a token in localStorage, fetch the current user
+    // An expired access token is refreshed by the api interceptor
     if (token) {
       const fetchUser = async () => {
         try {
-          const res = await axios.get('/api/auth/me', {
-            headers: {
-              Authorization: `Bearer ${token}`
-            }
-          });
+          const res = await authAPI.getMe();
           setCurrentUser(res.data.user);
         } catch (err) {
           setError(err.response?.data?.message || 'Failed to authenticate');
-          // Clear invalid token
+          // Clear invalid tokens
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           setToken(null);
         } finally {
           setLoading(false);
@@ -36,12 +35,17 @@ export const AuthProvider = ({ children }) => {
   }, [token]);
 
   // Register user
+  // Accounts that have to verify their email address or wait for approval get no session yet
   const register = async (userData) => {
     try {
       const res = await axios.post('/api/auth/register', userData);
+      if (res.data.requiresVerification || res.data.requiresApproval) {
+        return res.data;
+      }
       setToken(res.data.token);
       setCurrentUser(res.data.user);
       localStorage.setItem('token', res.data.token);
+      localStorage.setItem('refreshToken', res.data.refreshToken);
       return res.data;
     } catch (err) {
       setError(err.response?.data?.message || 'Registration failed');
@@ -50,12 +54,17 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Login user
+  // Accounts with two-factor authentication get a challenge to complete with verifyTwoFactor
   const login = async (userData) => {
     try {
       const res = await axios.post('/api/auth/login', userData);
+      if (res.data.twoFactorRequired) {
+        return res.data;
+      }
       setToken(res.data.token);
       setCurrentUser(res.data.user);
       localStorage.setItem('token', res.data.token);
+      localStorage.setItem('refreshToken', res.data.refreshToken);
       return res.data;
     } catch (err) {
       setError(err.response?.data?.message || 'Login failed');
@@ -63,9 +72,125 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Complete a login with a code from the authenticator app or a recovery code
+  const verifyTwoFactor = async (challengeToken, credentials) => {
+    try {
+      const res = await axios.post('/api/auth/login/2fa', { challengeToken, ...credentials });
+      setToken(res.data.token);
+      setCurrentUser(res.data.user);
+      localStorage.setItem('token', res.data.token);
+      localStorage.setItem('refreshToken', res.data.refreshToken);
+      return res.data;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Two-factor verification failed');
+      throw err;
+    }
+  };
+
+  // Request a one-time login link by email
+  // The link only works together with the browser key kept here
+  const requestMagicLink = async (email) => {
+    try {
+      const res = await axios.post('/api/auth/magic-link', { email });
+      localStorage.setItem('magicLinkBrowserKey', res.data.browserKey);
+      return res.data;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send login link');
+      throw err;
+    }
+  };
+
+  // Log in with the token from a login link
+  // Accounts with two-factor authentication get a challenge to complete with verifyTwoFactor
+  const loginWithMagicLink = async (linkToken) => {
+    try {
+      const res = await axios.post('/api/auth/magic-link/login', {
+        token: linkToken,
+        browserKey: localStorage.getItem('magicLinkBrowserKey')
+      });
+      localStorage.removeItem('magicLinkBrowserKey');
+      if (res.data.twoFactorRequired) {
+        return res.data;
+      }
+      setToken(res.data.token);
+      setCurrentUser(res.data.user);
+      localStorage.setItem('token', res.data.token);
+      localStorage.setItem('refreshToken', res.data.refreshToken);
+      return res.data;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Login failed');
+      throw err;
+    }
+  };
+
+  // Finish a single sign-on login on the /login/sso page
+  // The backend passes the result in the URL fragment; accounts with two-factor authentication
+  // get a challenge to complete with verifyTwoFactor
+  const completeSsoLogin = () => {
+    const params = new URLSearchParams(window.location.hash.substring(1));
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (params.get('error')) {
+      setError(params.get('error'));
+      throw new Error(params.get('error'));
+    }
+
+    if (params.get('twoFactorRequired')) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: params.get('challengeToken'),
+        returnTo: params.get('returnTo')
+      };
+    }
+
+    localStorage.setItem('token', params.get('token'));
+    localStorage.setItem('refreshToken', params.get('refreshToken'));
+    setLoading(true);
+    setToken(params.get('token'));
+    return { returnTo: params.get('returnTo') || '/' };
+  };
+
+  // Act as another user (admins only)
+  // The admin's own tokens are set aside and restored by stopImpersonation; currentUser.impersonator
+  // names the admin while it lasts, so the layout can show a banner
+  const startImpersonation = async (userId) => {
+    try {
+      const res = await userAPI.impersonate(userId);
+      localStorage.setItem('impersonatorToken', localStorage.getItem('token'));
+      localStorage.setItem('impersonatorRefreshToken', localStorage.getItem('refreshToken'));
+      localStorage.setItem('token', res.data.token);
+      localStorage.removeItem('refreshToken');
+      setLoading(true);
+      setToken(res.data.token);
+      return res.data;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to impersonate user');
+      throw err;
+    }
+  };
+
+  // Return to the admin's own session
+  const stopImpersonation = async () => {
+    try {
+      await authAPI.stopImpersonation();
+    } catch (err) {
+      // The impersonation may already have expired
+    }
+    restoreImpersonatorTokens();
+    setLoading(true);
+    setToken(localStorage.getItem('token'));
+  };
+
   // Logout user
-  const logout = () => {
+  const logout = async () => {
+    try {
+      // End the session on the server
+      await authAPI.logout();
+    } catch (err) {
+      // The session may already be gone
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     setToken(null);
     setCurrentUser(null);
   };
@@ -26,25 +26,126 @@ api.interceptors.request.use(
   }
 );
 
+// Pending refresh request, shared by all requests that fail while it runs
+let refreshRequest = null;
+
+// Exchange the stored refresh token for a new access token
+export const refreshTokens = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshRequest = (refreshToken
+      ? axios.post('/api/auth/refresh', { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((res) => {
+        localStorage.setItem('token', res.data.token);
+        // No new refresh token when another tab has just refreshed with the same one
+        if (res.data.refreshToken) {
+          localStorage.setItem('refreshToken', res.data.refreshToken);
+        }
+        return res.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+
+  return refreshRequest;
+};
+
+// Put the admin's own tokens back after impersonating a user
+// Returns false when no impersonation was in progress
+export const restoreImpersonatorTokens = () => {
+  const token = localStorage.getItem('impersonatorToken');
+  const refreshToken = localStorage.getItem('impersonatorRefreshToken');
+
+  if (!refreshToken) {
+    return false;
+  }
+
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+  return true;
+};
+
 // Add a response interceptor
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
     // Handle unauthorized errors (401)
-    if (error.response && error.response.status === 401) {
-      // Remove token
-      localStorage.removeItem('token');
-      // Redirect to login page if not already there
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
+    if (error.response && error.response.status === 401 && originalRequest && !originalRequest._retry) {
+      // Retry the request once with a refreshed access token
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshTokens();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Impersonation tokens cannot be refreshed; once they expire, return to the admin's session
+        if (restoreImpersonatorTokens()) {
+          window.location.reload();
+          return Promise.reject(error);
+        }
+
+        // Session is gone; remove tokens
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        // Redirect to login page if not already there
+        if (window.location.pathname !== '/login') {
+          window.location.href = '/login';
+        }
       }
     }
     return Promise.reject(error);
   }
 );
 
+// Auth API calls
+export const authAPI = {
+  getMe: () => api.get('/auth/me'),
+  getPasswordPolicy: () => api.get('/auth/password-policy'),
+  logout: () => api.post('/auth/logout'),
+  stopImpersonation: () => api.delete('/auth/impersonation'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  getApiTokens: () => api.get('/auth/tokens'),
+  createApiToken: (data) => api.post('/auth/tokens', data),
+  revokeApiToken: (id) => api.delete(`/auth/tokens/${id}`),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code })
+};
+
+// Registration API calls
+export const registrationAPI = {
+  getSettings: () => api.get('/registration'),
+  updateSettings: (data) => api.put('/registration', data),
+  getInvites: (all = false) => api.get(`/registration/invites${all ? '?all=true' : ''}`),
+  createInvite: (data) => api.post('/registration/invites', data),
+  revokeInvite: (id) => api.delete(`/registration/invites/${id}`),
+  getPendingUsers: () => api.get('/registration/pending'),
+  approveUser: (id) => api.put(`/registration/pending/${id}/approve`),
+  rejectUser: (id) => api.delete(`/registration/pending/${id}`)
+};
+
+// Anti-bot challenge API calls (solve challenges with services/challenge.js)
+export const challengeAPI = {
+  getChallenge: (action) => api.get(`/challenge/${action}`),
+  getSettings: () => api.get('/challenge/settings'),
+  updateSettings: (data) => api.put('/challenge/settings', data)
+};
+
 // Forum API calls
 export const forumAPI = {
   getForums: () => api.get('/forums'),
@@ -73,7 +174,42 @@ export const postAPI = {
   getPost: (id) => api.get(`/posts/${id}`),
   createPost: (data) => api.post('/posts', data),
   updatePost: (id, data) => api.put(`/posts/${id}`, data),
-  deletePost: (id) => api.delete(`/posts/${id}`)
+  deletePost: (id) => api.delete(`/posts/${id}`),
+  getUnapprovedPosts: () => api.get('/posts/moderation'),
+  approvePost: (id) => api.put(`/posts/${id}/approve`)
+};
+
+// Report API calls
+export const reportAPI = {
+  createReport: (data) => api.post('/reports', data),
+  getOwnReports: () => api.get('/reports/mine'),
+  getQueue: (params) => api.get('/reports', { params }),
+  dismissReport: (id, data) => api.put(`/reports/${id}/dismiss`, data),
+  resolveReport: (id, data) => api.put(`/reports/${id}/resolve`, data),
+  escalateReport: (id, data) => api.put(`/reports/${id}/escalate`, data)
+};
+
+// Warning API calls
+export const warningAPI = {
+  getOwnWarnings: () => api.get('/warnings/mine'),
+  getUserWarnings: (userId) => api.get(`/warnings/users/${userId}`),
+  issueWarning: (userId, data) => api.post(`/warnings/users/${userId}`, data),
+  revokeWarning: (id) => api.delete(`/warnings/${id}`),
+  getSettings: () => api.get('/warnings/settings'),
+  updateSettings: (data) => api.put('/warnings/settings', data)
+};
+
+// Ban list API calls
+export const banListAPI = {
+  getEntries: (type) => api.get('/ban-lists', { params: { type } }),
+  addEntry: (data) => api.post('/ban-lists', data),
+  removeEntry: (id) => api.delete(`/ban-lists/${id}`)
+};
+
+// Audit log API calls
+export const auditLogAPI = {
+  getEntries: (params) => api.get('/audit-log', { params }),
+  getEntry: (id) => api.get(`/audit-log/${id}`)
 };
 
 // User API calls
@@ -82,6 +218,16 @@ export const userAPI = {
   getUser: (id) => api.get(`/users/${id}`),
   updateProfile: (data) => api.put('/users/profile', data),
   changePassword: (data) => api.put('/users/password', data),
+  requestEmailChange: (data) => api.post('/users/email', data),
+  cancelEmailChange: () => api.delete('/users/email'),
+  confirmEmailChange: (token) => api.post('/users/email/confirm', { token }),
+  revertEmailChange: (token) => api.post('/users/email/revert', { token }),
+  impersonate: (id) => api.post(`/users/${id}/impersonate`),
+  banUser: (id, data) => api.put(`/users/${id}/ban`, data),
+  unbanUser: (id, data) => api.put(`/users/${id}/unban`, data),
+  getBans: (id) => api.get(`/users/${id}/bans`),
+  getUsersByIp: (ip, params) => api.get(`/users/ip/${encodeURIComponent(ip)}`, { params }),
+  getIpAddresses: (id) => api.get(`/users/${id}/ips`),
   updateAvatar: (data) => api.put('/users/avatar', data)
 };
 
@@ -12,8 +12,14 @@ export const login = async (credentials) => {
   return response.data;
 };
 
+// Single sign-on is a full page redirect to the identity provider, not an API call
+export const getSsoLoginUrl = (returnTo = '/') => {
+  return `${API_URL}/oidc/login?returnTo=${encodeURIComponent(returnTo)}`;
+};
+
 export const logout = () => {
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
 };
 
 export const getCurrentUser = () => {
@@ -0,0 +1,49 @@
+import { challengeAPI } from './api';
+
+// Count the leading zero bits of a hash
+const countLeadingZeroBits = (bytes) => {
+  let bits = 0;
+
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+
+  return bits;
+};
+
+// Find a nonce so that SHA-256("<token>:<nonce>") starts with `difficulty` zero bits
+export const solveProofOfWork = async (token, difficulty) => {
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; ; nonce++) {
+    const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${nonce}`));
+
+    if (countLeadingZeroBits(new Uint8Array(hash)) >= difficulty) {
+      return String(nonce);
+    }
+  }
+};
+
+// Fetch a challenge when a form is shown; returns null if the form does not need one
+// The form has to render the honeypotField hidden from people and leave it empty
+export const getChallenge = async (action) => {
+  const res = await challengeAPI.getChallenge(action);
+  return res.data.enabled ? res.data : null;
+};
+
+// Solve a challenge and return the fields to send with the form
+export const solveChallenge = async (challenge) => {
+  if (!challenge) {
+    return {};
+  }
+
+  return {
+    challengeToken: challenge.token,
+    challengeNonce: await solveProofOfWork(challenge.token, challenge.difficulty)
+  };
+};